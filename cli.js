@@ -10,18 +10,24 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
-// Handle CLI arguments
+// Handle CLI arguments (one parser for every flag, shared with the server's ConfigManager)
+const { parseArgs, formatOptions } = require('./src/config/cliArgs');
 const args = process.argv.slice(2);
-const isHelp = args.includes('--help') || args.includes('-h');
-const isVersion = args.includes('--version') || args.includes('-v');
+const cli = parseArgs(args);
 
-if (isVersion) {
+if (cli.errors.length > 0) {
+    cli.errors.forEach(error => console.error(error));
+    console.error('Run with --help to see the available options.');
+    process.exit(1);
+}
+
+if (cli.version) {
     const packageJson = require('./package.json');
     console.log(`Democratize Quality MCP Server v${packageJson.version}`);
     process.exit(0);
 }
 
-if (isHelp) {
+if (cli.help) {
     console.log(`
 🎯 Democratize Quality MCP Server
 
@@ -32,25 +38,14 @@ Usage:
   democratize-quality-mcp [options]
   dq-mcp-server [options]
 
-Options:
-  --help, -h                Show this help
-  --version, -v             Show version
-  --debug                   Enable debug mode
-  --port <number>           Set server port
-  --env <environment>       Set environment (development|production|api-only)
-  
-Tool Category Options:
-  --api-only                Enable only API tools (shortcut for api-only environment)
-  --browser-only            Enable only browser tools
-  --no-api                  Disable API tools
-  --no-browser              Disable browser tools
-  --no-advanced             Disable advanced browser tools
-  --enable-all              Enable all tool categories (default in development)
+${formatOptions()}
 
 Environment Variables:
   MCP_FEATURES_ENABLEAPITOOLS=true/false        Enable/disable API tools
   MCP_FEATURES_ENABLEBROWSERTOOLS=true/false    Enable/disable browser tools
   MCP_FEATURES_ENABLEADVANCEDTOOLS=true/false   Enable/disable advanced tools
+  MCP_PROFILE=<name>                            Select a tool profile
+  MCP_<SECTION>_<KEY>=value                     Set any config key (see --print-config)
   NODE_ENV=api-only                             Use API-only configuration
 
 Integration with Claude Desktop:
@@ -65,6 +60,9 @@ Add this to ~/Library/Application Support/Claude/claude_desktop_config.json
   }
 }
 
+Shared HTTP server (Streamable HTTP on /mcp, legacy SSE on /sse):
+  npx @democratize-quality/mcp-server --transport http --port 3000
+
 Or if installed globally:
 {
   "mcpServers": {
@@ -74,64 +72,60 @@ Or if installed globally:
   }
 }
 
-Available Tools: 20
-• Browser Automation (17): launch, navigate, click, type, screenshot, pdf, etc.
+Available Tools: 23
+• Browser Automation (18): launch, connect, navigate, click, type, screenshot, pdf, etc.
 • API Testing (3): request, session status, HTML reports
+• Workflows (1): run a sequence of tools in one call
+• Server (1): server_info diagnostics (resolved config, browsers, sessions)
 
 GitHub: https://github.com/democratize-quality/mcp-server
 `);
     process.exit(0);
 }
 
-// Set up environment
-const env = { ...process.env };
-
-// Handle debug flag
-if (args.includes('--debug')) {
-    env.MCP_FEATURES_ENABLEDEBUGMODE = 'true';
-    env.NODE_ENV = 'development';
-}
-
-// Handle environment flag
-const envIndex = args.indexOf('--env');
-if (envIndex !== -1 && args[envIndex + 1]) {
-    env.NODE_ENV = args[envIndex + 1];
+// Set up environment: the server reads the flags from DQ_MCP_ARGS and applies them over every
+// other config source; NODE_ENV is set here too since some defaults depend on it
+const env = { ...process.env, DQ_MCP_ARGS: JSON.stringify(args) };
+if (cli.environment) {
+    env.NODE_ENV = cli.environment;
 }
 
-// Handle tool category flags
-if (args.includes('--api-only')) {
-    env.NODE_ENV = 'api-only';
-} else if (args.includes('--browser-only')) {
-    env.MCP_FEATURES_ENABLEAPITOOLS = 'false';
-    env.MCP_FEATURES_ENABLEBROWSERTOOLS = 'true';
-    env.MCP_FEATURES_ENABLEADVANCEDTOOLS = 'true';
-    env.MCP_FEATURES_ENABLEFILETOOLS = 'false';
-    env.MCP_FEATURES_ENABLENETWORKTOOLS = 'false';
-    env.MCP_FEATURES_ENABLEOTHERTOOLS = 'false';
-} else if (args.includes('--enable-all')) {
-    env.MCP_FEATURES_ENABLEAPITOOLS = 'true';
-    env.MCP_FEATURES_ENABLEBROWSERTOOLS = 'true';
-    env.MCP_FEATURES_ENABLEADVANCEDTOOLS = 'true';
-    env.MCP_FEATURES_ENABLEFILETOOLS = 'true';
-    env.MCP_FEATURES_ENABLENETWORKTOOLS = 'true';
-    env.MCP_FEATURES_ENABLEOTHERTOOLS = 'true';
-}
-
-// Handle individual tool category disable flags
-if (args.includes('--no-api')) {
-    env.MCP_FEATURES_ENABLEAPITOOLS = 'false';
-}
-if (args.includes('--no-browser')) {
-    env.MCP_FEATURES_ENABLEBROWSERTOOLS = 'false';
-}
-if (args.includes('--no-advanced')) {
-    env.MCP_FEATURES_ENABLEADVANCEDTOOLS = 'false';
+// An --set outputDir=<dir> flag, then OUTPUT_DIR, then a project config's outputDir replace
+// the default output directory below (the server validates the config file when it starts)
+const outputDirFlag = cli.overrides.filter(override => override.key === 'outputDir').pop();
+if (outputDirFlag) {
+    env.OUTPUT_DIR = path.resolve(String(outputDirFlag.value));
+} else if (!env.OUTPUT_DIR) {
+    try {
+        const { findProjectConfig, readProjectConfig } = require('./src/config/projectConfig');
+        const configPath = findProjectConfig(cli.configPath || env.DQ_MCP_CONFIG);
+        const projectConfig = configPath ? readProjectConfig(configPath) : {};
+        if (typeof projectConfig.outputDir === 'string') {
+            env.OUTPUT_DIR = path.resolve(path.dirname(configPath), projectConfig.outputDir);
+        }
+    } catch (error) {
+        // Reported by the server
+    }
 }
 
-// Handle port flag
-const portIndex = args.indexOf('--port');
-if (portIndex !== -1 && args[portIndex + 1]) {
-    env.PORT = args[portIndex + 1];
+// Print the effective configuration, loaded exactly as the server would load it
+if (cli.printConfig) {
+    Object.assign(process.env, env);
+    const config = require('./src/config');
+    const { redact } = require('./src/utils/redact');
+    const entries = config.getValueSources().map(({ key, value, source }) => {
+        // Mask secrets by the setting's own name, as redact() would in a config object
+        const name = key.split('.').pop();
+        return { setting: `${key} = ${JSON.stringify(redact({ [name]: value })[name])}`, source };
+    });
+    const width = Math.min(80, Math.max(...entries.map(entry => entry.setting.length)));
+
+    console.log(`Environment: ${config.environment}`);
+    console.log(`Project config: ${config.projectConfigFile || 'none'}\n`);
+    for (const { setting, source } of entries) {
+        console.log(`${setting.padEnd(width)}  # ${source}`);
+    }
+    process.exit(0);
 }
 
 // Ensure output directory exists
@@ -147,14 +141,15 @@ if (!fs.existsSync(outputDir)) {
 env.OUTPUT_DIR = outputDir;
 
 // Debug output (if enabled)
-if (args.includes('--debug')) {
+if (cli.overrides.some(override => override.key === 'features.enableDebugMode' && override.value === true)) {
     console.error(`📁 Output directory: ${outputDir}`);
     console.error(`🏠 Working directory: ${process.cwd()}`);
-    console.error(`🌍 Environment: ${env.NODE_ENV || 'development'}`);
-    console.error(`🔧 Tool Categories:`);
-    console.error(`   API Tools: ${env.MCP_FEATURES_ENABLEAPITOOLS || 'default'}`);
-    console.error(`   Browser Tools: ${env.MCP_FEATURES_ENABLEBROWSERTOOLS || 'default'}`);
-    console.error(`   Advanced Tools: ${env.MCP_FEATURES_ENABLEADVANCEDTOOLS || 'default'}`);
+    console.error(`🌍 Environment: ${env.NODE_ENV || 'api-only'}`);
+    console.error(`🔧 Command line overrides:`);
+    for (const { key, value, source } of cli.overrides) {
+        console.error(`   ${key} = ${JSON.stringify(value)} (${source})`);
+    }
+    console.error(`   Run with --print-config to see every setting and its source`);
 }
 
 // Start the MCP server
@@ -8,14 +8,57 @@
 //
 // The server automatically detects the mode and adjusts logging verbosity accordingly.
 
-const { JSONRPCServer } = require("json-rpc-2.0");
+const { JSONRPCServer, createJSONRPCErrorResponse } = require("json-rpc-2.0");
 const browserService = require('./src/services/browserService'); // Keep for shutdown functionality
-const { initializeTools, getToolDefinitions, executeTool } = require('./src/tools');
+const { initializeTools, watchTools, getToolDefinitions, executeTool, isToolAvailable } = require('./src/tools');
+const { initializePrompts, getPromptDefinitions, getPrompt } = require('./src/prompts');
+const { listResources, listResourceTemplates, readResource } = require('./src/resources');
+const { complete } = require('./src/completions');
+const { startHttpTransport } = require('./src/transports/httpTransport');
+const { startStdioTransport } = require('./src/transports/stdioTransport');
+const { LOG_LEVELS, isLogLevel, isLevelEnabled, runInLogSession, setStderrLevel, setMessageSink } = require('./src/utils/logger');
+const {
+    SUPPORTED_PROTOCOL_VERSIONS,
+    negotiateProtocolVersion,
+    supportsFeature,
+    adaptToolDefinition,
+    adaptToolResult
+} = require('./src/protocol');
 const config = require('./src/config');
+const packageInfo = require('./package.json');
 
 // Initialize JSON-RPC server
 const server = new JSONRPCServer();
 
+// Tools and handlers throw MCP errors as plain { code, message, data } objects;
+// keep their code and data instead of the library's generic error code
+server.mapErrorToJSONRPCErrorResponse = (id, error) => createJSONRPCErrorResponse(
+    id,
+    typeof error?.code === 'number' ? error.code : -32603,
+    error?.message || 'Internal error',
+    error?.data
+);
+
+// Requests a client may send before its initialize request has been answered
+const PRE_INITIALIZE_METHODS = ['initialize', 'ping'];
+
+// Hand the JSON-RPC request id to methods so tools/call can be matched by notifications/cancelled,
+// and reject requests from sessions that have not completed initialize
+server.applyMiddleware((next, request, serverParams) => {
+    const context = { ...serverParams, requestId: request.id };
+    const isRequest = request.id !== undefined && request.id !== null;
+
+    if (isRequest && !PRE_INITIALIZE_METHODS.includes(request.method) && !getClientSession(context)) {
+        return Promise.resolve(createJSONRPCErrorResponse(
+            request.id,
+            -32600,
+            `Server not initialized: send 'initialize' before '${request.method}'`
+        ));
+    }
+
+    return next(request, context);
+});
+
 // Check if debug mode is requested via environment variable first
 const debugFromEnv = process.env.MCP_FEATURES_ENABLEDEBUGMODE === 'true' || process.env.NODE_ENV === 'development';
 const isDebugMode = config.get('features.enableDebugMode', false) || debugFromEnv;
@@ -23,9 +66,101 @@ const isDebugMode = config.get('features.enableDebugMode', false) || debugFromEn
 // Set quiet mode if not in debug
 config.setQuiet(!isDebugMode);
 
+// Debug mode shows every subsystem's debug output on stderr, otherwise logging.level applies
+if (isDebugMode) {
+    setStderrLevel('debug');
+}
+
 // Global variable to hold tool definitions after initialization
 let toolDefinitions = [];
 
+// Active HTTP transport handle (only set when running with --transport http)
+let httpTransport = null;
+
+// Initialized client sessions: sessionId -> { protocolVersion, clientInfo, capabilities }
+const clientSessions = new Map();
+
+// Minimum log level per client session, set through logging/setLevel: sessionId -> level
+// Clients that never call logging/setLevel receive no notifications/message
+const clientLogLevels = new Map();
+
+// In-flight tools/call requests that can be cancelled: "sessionId:requestId" -> AbortController
+const inFlightRequests = new Map();
+
+// Requests aborted by notifications/cancelled; their responses are not sent, as the spec requires
+const cancelledRequests = new Set();
+
+/**
+ * Gets the session id for a transport context (stdio has a single session)
+ * @param {object} context - Transport context
+ * @returns {string} - Session id
+ */
+function getSessionId(context) {
+    return context?.sessionId || 'stdio';
+}
+
+/**
+ * Gets the initialized client session for a transport context
+ * @param {object} context - Transport context
+ * @returns {object|undefined} - { protocolVersion, clientInfo, capabilities }, if initialized
+ */
+function getClientSession(context) {
+    return clientSessions.get(getSessionId(context));
+}
+
+/**
+ * Gets the protocol version negotiated with the client behind a transport context
+ * @param {object} context - Transport context
+ * @returns {string} - Negotiated protocol version (oldest supported if unknown)
+ */
+function getProtocolVersion(context) {
+    const session = getClientSession(context);
+    return session ? session.protocolVersion : SUPPORTED_PROTOCOL_VERSIONS[SUPPORTED_PROTOCOL_VERSIONS.length - 1];
+}
+
+/**
+ * Forgets the state kept for a client session (called when an HTTP session ends)
+ * @param {string} sessionId - Session id
+ */
+function removeClientSession(sessionId) {
+    clientSessions.delete(sessionId);
+    clientLogLevels.delete(sessionId);
+}
+
+/**
+ * Creates the progress callback for a tools/call request
+ * Progress is only reported when the client sent a progressToken in the request's _meta
+ * @param {object} meta - The request's _meta object
+ * @param {object} context - Transport context used to deliver the notification
+ * @returns {Function|undefined} - ({ progress, total, message }) => void
+ */
+function createProgressNotifier(meta, context) {
+    const progressToken = meta?.progressToken;
+    if (progressToken === undefined || progressToken === null || !context?.send) {
+        return undefined;
+    }
+
+    const includeMessage = supportsFeature(getProtocolVersion(context), 'progressMessages');
+
+    return ({ progress, total, message }) => {
+        const params = { progressToken, progress };
+        if (total !== undefined) params.total = total;
+        if (message && includeMessage) params.message = message;
+        context.send({ jsonrpc: "2.0", method: "notifications/progress", params });
+    };
+}
+
+/**
+ * Builds the key used to track an in-flight request
+ * Request ids are only unique per client connection, so the session is part of the key
+ * @param {object} context - Transport context
+ * @param {string|number} requestId - JSON-RPC request id
+ * @returns {string} - Tracking key
+ */
+function getRequestKey(context, requestId) {
+    return `${getSessionId(context)}:${requestId}`;
+}
+
 // Helper function for debug logging
 function debugLog(...args) {
     if (isDebugMode) {
@@ -47,6 +182,8 @@ async function initializeServer() {
         await initializeTools(isDebugMode);
         toolDefinitions = getToolDefinitions();
         log(`Tool system initialized with ${toolDefinitions.length} tools`);
+        await initializePrompts({ debugMode: isDebugMode, isToolAvailable });
+        debugLog(`Prompt system initialized with ${getPromptDefinitions().length} prompts`);
     } catch (error) {
         log('Failed to initialize tool system:', error.message);
         process.exit(1);
@@ -56,33 +193,57 @@ async function initializeServer() {
 // --- Register MCP Standard Methods ---
 
 // Initialize method for MCP protocol
-server.addMethod("initialize", async (params) => {
-    debugLog("Received 'initialize' request.");
+// The protocol version is negotiated per session; later responses are adapted to it
+server.addMethod("initialize", async (params = {}, context) => {
+    const protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+    debugLog(`Received 'initialize' request (client requested ${params.protocolVersion}, using ${protocolVersion}).`);
+
+    clientSessions.set(getSessionId(context), {
+        protocolVersion,
+        clientInfo: params.clientInfo || {},
+        capabilities: params.capabilities || {}
+    });
+
+    const serverInfo = {
+        name: config.get('server.name', packageInfo.name),
+        version: config.get('server.version', packageInfo.version)
+    };
+    if (supportsFeature(protocolVersion, 'titles')) {
+        serverInfo.title = 'Democratize Quality MCP Server';
+    }
+
+    const capabilities = {
+        tools: { listChanged: true },
+        prompts: {},
+        resources: {},
+        logging: {}
+    };
+    if (supportsFeature(protocolVersion, 'completions')) {
+        capabilities.completions = {};
+    }
+
     return {
-        protocolVersion: "2024-11-05",
-        capabilities: {
-            tools: {},
-            prompts: {},
-            resources: {}
-        },
-        serverInfo: {
-            name: "browser-control-server",
-            version: "1.0.0"
-        }
+        protocolVersion,
+        capabilities,
+        serverInfo
     };
 });
 
-// The `tools/list` method for tool discovery
-// Replace your tools/list method with this Draft 7 compatible version:
+// The `ping` method for liveness checks (allowed before initialization)
+server.addMethod("ping", async () => ({}));
 
-server.addMethod("tools/list", async () => {
+// The `tools/list` method for tool discovery; input schemas are listed as draft-07 JSON Schema,
+// which every client accepts
+server.addMethod("tools/list", async (params, context) => {
     debugLog("Received 'tools/list' request.");
+    const protocolVersion = getProtocolVersion(context);
     
     // Convert all tool definitions to Claude Desktop compatible format
     const compatibleTools = toolDefinitions.map(tool => {
         // Ensure we use the correct property name and clean schema
         return {
             name: tool.name,
+            ...(tool.title ? { title: tool.title } : {}),
             description: tool.description,
             // Claude Desktop expects 'inputSchema', not 'input_schema'
             inputSchema: {
@@ -101,24 +262,44 @@ server.addMethod("tools/list", async () => {
                 } : {}),
                 // Ensure no additionalProperties or other Draft 2020-12 features
                 additionalProperties: false
-            }
+            },
+            // Tools with an output_schema return matching structuredContent
+            ...(tool.output_schema ? { outputSchema: tool.output_schema } : {}),
+            // Behaviour hints for approval prompts; the title is repeated for 2025-03-26 clients,
+            // which read it from annotations rather than the top-level field
+            ...(tool.annotations || tool.title ? {
+                annotations: {
+                    ...(tool.title ? { title: tool.title } : {}),
+                    ...tool.annotations
+                }
+            } : {})
         };
     });
     
     debugLog(`Returning ${compatibleTools.length} tools with compatible schemas`);
     debugLog('First tool schema sample:', JSON.stringify(compatibleTools[0]?.inputSchema, null, 2));
     
-    return { tools: compatibleTools };
+    // Drop fields the client's protocol version does not know (e.g. outputSchema before 2025-06-18)
+    return { tools: compatibleTools.map(tool => adaptToolDefinition(tool, protocolVersion)) };
 });
 
 // The `tools/call` method for tool invocation (note: it's tools/call, not tool/call)
-server.addMethod("tools/call", async ({ name, arguments: parameters }) => {
+server.addMethod("tools/call", async ({ name, arguments: parameters, _meta }, context) => {
     debugLog(`Received 'tools/call' for method: ${name} with params: ${JSON.stringify(parameters)}`);
 
+    // Register the call so a notifications/cancelled for this request id can abort it
+    const requestKey = getRequestKey(context, context?.requestId);
+    const controller = new AbortController();
+    inFlightRequests.set(requestKey, controller);
+
     try {
         // Use the new tool system to execute the tool
-        const result = await executeTool(name, parameters);
-        return result;
+        const result = await executeTool(name, parameters, {
+            signal: controller.signal,
+            onProgress: createProgressNotifier(_meta, context),
+            client: getClientSession(context)
+        });
+        return adaptToolResult(result, getProtocolVersion(context));
         
     } catch (error) {
         log(`Error executing tool '${name}':`, error.message);
@@ -134,21 +315,61 @@ server.addMethod("tools/call", async ({ name, arguments: parameters }) => {
             message: `Tool execution failed: ${error.message}`,
             data: { tool_name: name, original_error: error.message }
         };
+    } finally {
+        inFlightRequests.delete(requestKey);
     }
 });
 
 // The `prompts/list` method for prompt discovery
+// Prompts whose tools are disabled by feature flags are not listed
 server.addMethod("prompts/list", async () => {
     debugLog("Received 'prompts/list' request.");
-    // This server doesn't provide any prompts, so return an empty array
-    return { prompts: [] };
+    return { prompts: getPromptDefinitions() };
+});
+
+// The `prompts/get` method for rendering a prompt template
+server.addMethod("prompts/get", async ({ name, arguments: args } = {}) => {
+    debugLog(`Received 'prompts/get' for prompt: ${name}`);
+    return getPrompt(name, args || {});
 });
 
 // The `resources/list` method for resource discovery
+// Screenshots, PDFs, HTML reports and API sessions are published as dq:// resources
 server.addMethod("resources/list", async () => {
     debugLog("Received 'resources/list' request.");
-    // This server doesn't provide any resources, so return an empty array
-    return { resources: [] };
+    return { resources: listResources() };
+});
+
+// The `resources/templates/list` method for parameterized resource URIs
+server.addMethod("resources/templates/list", async () => {
+    debugLog("Received 'resources/templates/list' request.");
+    return { resourceTemplates: listResourceTemplates() };
+});
+
+// The `resources/read` method for fetching resource contents
+server.addMethod("resources/read", async ({ uri } = {}) => {
+    debugLog(`Received 'resources/read' for: ${uri}`);
+    return { contents: readResource(uri) };
+});
+
+// The `completion/complete` method suggests argument values (browser, session and tab IDs, output files)
+server.addMethod("completion/complete", async ({ ref, argument, context: completionContext } = {}) => {
+    debugLog(`Received 'completion/complete' for ${ref?.type} ${ref?.name || ref?.uri} argument ${argument?.name}`);
+    return { completion: await complete(ref, argument, completionContext) };
+});
+
+// The `logging/setLevel` method for choosing which log messages the client receives
+server.addMethod("logging/setLevel", async ({ level } = {}, context) => {
+    debugLog(`Received 'logging/setLevel': ${level}`);
+    if (!isLogLevel(level)) {
+        throw {
+            code: -32602,
+            message: `Invalid log level: ${level}`,
+            data: { valid_levels: LOG_LEVELS }
+        };
+    }
+    clientLogLevels.set(context?.sessionId || 'stdio', level);
+    return {};
 });
 
 // Notification methods (these don't return responses)
@@ -157,8 +378,16 @@ server.addMethod("notifications/initialized", async () => {
     // Notifications don't return responses
 });
 
-server.addMethod("notifications/cancelled", async ({ requestId, reason }) => {
+server.addMethod("notifications/cancelled", async ({ requestId, reason } = {}, context) => {
     debugLog(`Received 'notifications/cancelled' for request ${requestId}: ${reason}`);
+
+    // Unknown or already finished requests are ignored, as the spec allows for races
+    const controller = inFlightRequests.get(getRequestKey(context, requestId));
+    if (controller) {
+        log(`Cancelling request ${requestId}${reason ? `: ${reason}` : ''}`);
+        cancelledRequests.add(getRequestKey(context, requestId));
+        controller.abort(reason || 'Request cancelled by client');
+    }
     // Notifications don't return responses
 });
 
@@ -171,81 +400,127 @@ server.addMethod("*", async (params, method) => {
     };
 });
 
-// --- STDIO Communication Loop ---
-// This part handles reading JSON-RPC requests from stdin and writing responses to stdout.
-
-let inputBuffer = '';
-
-process.stdin.on('data', (chunk) => {
-    inputBuffer += chunk.toString();
-
-    // Process messages delimited by newline. This is a common pattern for STDIO RPC.
-    // In a production-grade server, you'd want a more robust JSON stream parser
-    // to handle partial messages or multiple messages in one chunk.
-    let newlineIndex;
-    while ((newlineIndex = inputBuffer.indexOf('\n')) !== -1) {
-        const messageString = inputBuffer.substring(0, newlineIndex).trim();
-        inputBuffer = inputBuffer.substring(newlineIndex + 1);
-
-        if (messageString) { // Ensure it's not an empty line
-            try {
-                const jsonRpcRequest = JSON.parse(messageString);
-                debugLog(`Received request: ${JSON.stringify(jsonRpcRequest)}`);
-                
-                // Handle notifications (no response expected)
-                if (!jsonRpcRequest.id && jsonRpcRequest.method && jsonRpcRequest.method.startsWith('notifications/')) {
-                    server.receive(jsonRpcRequest).catch(err => {
-                        log("Error processing notification:", err.message);
-                    });
-                    return; // Don't send a response for notifications
-                }
-                
-                // The receive method handles processing the request and generating a response
-                server.receive(jsonRpcRequest).then((jsonRpcResponse) => {
-                    if (jsonRpcResponse) {
-                        debugLog(`Sending response: ${JSON.stringify(jsonRpcResponse)}`);
-                        // All responses must go to stdout
-                        process.stdout.write(JSON.stringify(jsonRpcResponse) + '\n');
-                    }
-                }).catch(err => {
-                    // Catch errors from receive() if it rejects (e.g., malformed JSON-RPC request)
-                    log("Error processing JSON-RPC request:", err.message);
-                    
-                    // Send an error response if we have an ID
-                    if (jsonRpcRequest.id) {
-                        const errorResponse = {
-                            jsonrpc: "2.0",
-                            error: {
-                                code: -32603,
-                                message: "Internal error",
-                                data: err.message
-                            },
-                            id: jsonRpcRequest.id
-                        };
-                        process.stdout.write(JSON.stringify(errorResponse) + '\n');
-                    }
-                });
-            } catch (parseError) {
-                log("JSON parse error on input:", messageString, parseError);
-                // If the input itself is not valid JSON, we can't get an ID, so ID is null
-                const errorResponse = {
-                    jsonrpc: "2.0",
-                    error: {
-                        code: -32700, // Parse error
-                        message: "Parse error"
-                    },
-                    id: null
-                };
-                process.stdout.write(JSON.stringify(errorResponse) + '\n');
-            }
+// --- Message Handling ---
+
+/**
+ * Sends a server-initiated message to one client session
+ * @param {string} sessionId - Session id ('stdio' or an HTTP session id)
+ * @param {object} message - JSON-RPC notification
+ * @returns {boolean} - False if the session no longer exists
+ */
+function sendToSession(sessionId, message) {
+    if (sessionId === 'stdio') {
+        stdioContext.send(message);
+        return true;
+    }
+
+    const session = httpTransport && httpTransport.sessions.get(sessionId);
+    if (!session) {
+        return false;
+    }
+    session.send(message);
+    return true;
+}
+
+/**
+ * Forwards a log entry to the client session it was logged for, or to every session for
+ * server-wide messages, when the entry meets the session's level
+ * Log lines carry tool parameters, URLs and page console output, so one HTTP client never
+ * receives the messages logged while another client's request was handled
+ * @param {object} entry - { level, logger, data } from src/utils/logger
+ * @param {string|null} ownerSessionId - Session the message was logged for, null if server-wide
+ */
+function forwardLogMessage(entry, ownerSessionId) {
+    const message = { jsonrpc: "2.0", method: "notifications/message", params: entry };
+
+    for (const [sessionId, minLevel] of clientLogLevels) {
+        if (ownerSessionId && sessionId !== ownerSessionId) continue;
+        if (!isLevelEnabled(entry.level, minLevel)) continue;
+
+        if (!sendToSession(sessionId, message)) {
+            // The HTTP session has ended
+            clientLogLevels.delete(sessionId);
         }
     }
-});
+}
+
+/**
+ * Refreshes the tool list after a hot reload and tells every initialized client to fetch it again
+ */
+function notifyToolListChanged() {
+    toolDefinitions = getToolDefinitions();
+    log(`Tool list changed, ${toolDefinitions.length} tools available`);
+
+    const message = { jsonrpc: "2.0", method: "notifications/tools/list_changed" };
+    for (const sessionId of clientSessions.keys()) {
+        sendToSession(sessionId, message);
+    }
+}
+
+setMessageSink(forwardLogMessage);
+
+/**
+ * Passes a single JSON-RPC message to the server on behalf of a transport
+ * @param {object} message - Parsed JSON-RPC message
+ * @param {object} context - Transport context ({ transport, sessionId, send }) handed to methods as serverParams
+ * @returns {Promise<object|null>} - JSON-RPC response, or null for notifications
+ */
+function handleMessage(message, context) {
+    // Log lines written while the message is handled go to the session that sent it
+    return runInLogSession(getSessionId(context), () => processMessage(message, context));
+}
+
+/**
+ * Runs a single JSON-RPC message through the server and drops responses to cancelled requests
+ * @param {object} message - Parsed JSON-RPC message
+ * @param {object} context - Transport context
+ * @returns {Promise<object|null>} - JSON-RPC response, or null for notifications
+ */
+async function processMessage(message, context) {
+    debugLog(`Received request: ${JSON.stringify(message)}`);
+    try {
+        const response = await server.receive(message, context);
+        if (response && cancelledRequests.delete(getRequestKey(context, message.id))) {
+            debugLog(`Dropping response for cancelled request ${message.id}`);
+            return null;
+        }
+        if (response) {
+            debugLog(`Sending response: ${JSON.stringify(response)}`);
+        }
+        return response;
+    } catch (err) {
+        log("Error processing JSON-RPC request:", err.message);
+        if (message.id === undefined || message.id === null) {
+            return null;
+        }
+        return {
+            jsonrpc: "2.0",
+            error: {
+                code: -32603,
+                message: "Internal error",
+                data: err.message
+            },
+            id: message.id
+        };
+    }
+}
+
+// --- STDIO Transport ---
+// Requests are read from stdin by src/transports/stdioTransport; responses and notifications go to stdout.
+
+const stdioContext = {
+    transport: 'stdio',
+    sessionId: 'stdio',
+    send: (message) => process.stdout.write(JSON.stringify(message) + '\n')
+};
 
 // Handle graceful shutdown signals (Ctrl+C, termination)
 process.on('SIGINT', async () => {
     log('\nSIGINT received. Shutting down...');
     try {
+        if (httpTransport) {
+            await httpTransport.close();
+        }
         await browserService.shutdownAllBrowsers();
         log('All browser instances closed. Exiting gracefully.');
     } catch (err) {
@@ -258,6 +533,9 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     log('\nSIGTERM received. Shutting down...');
     try {
+        if (httpTransport) {
+            await httpTransport.close();
+        }
         await browserService.shutdownAllBrowsers();
         log('All browser instances closed. Exiting gracefully.');
     } catch (err) {
@@ -270,9 +548,52 @@ process.on('SIGTERM', async () => {
 // Initialize the server and start listening
 (async () => {
     await initializeServer();
-    
-    // Initial message to indicate server is ready (to stderr)
-    log(`Server started. Waiting for input on stdin.`);
+
+    const transport = config.get('server.transport', 'stdio');
+
+    if (transport === 'http') {
+        try {
+            httpTransport = await startHttpTransport({
+                handleMessage,
+                port: parseInt(config.get('server.port', 3000), 10),
+                host: config.get('server.host', '127.0.0.1'),
+                endpoint: config.get('server.httpEndpoint', '/mcp'),
+                maxRequestSize: config.get('security.maxRequestSize', '10MB'),
+                supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+                allowedOrigins: config.get('server.allowedOrigins', []),
+                allowedHosts: config.get('server.allowedHosts', []),
+                maxSessions: config.get('server.maxSessions', 100),
+                sessionIdleTimeout: config.get('server.sessionIdleTimeout', 1800000),
+                onSessionClosed: removeClientSession,
+                log,
+                debugLog
+            });
+        } catch (error) {
+            log('Failed to start HTTP transport:', error.message);
+            process.exit(1);
+        }
+        log(`Server started. Streamable HTTP endpoint: ${httpTransport.url}`);
+        log(`Legacy SSE endpoint: ${httpTransport.sseUrl}`);
+    } else if (transport === 'stdio') {
+        startStdioTransport({
+            handleMessage,
+            context: stdioContext,
+            maxRequestSize: config.get('security.maxRequestSize', '10MB'),
+            log,
+            debugLog
+        });
+        // Initial message to indicate server is ready (to stderr)
+        log(`Server started. Waiting for input on stdin.`);
+    } else {
+        log(`Unknown transport '${transport}'. Supported transports: stdio, http`);
+        process.exit(1);
+    }
+
+    // Opt-in hot reload of tool files (tools.watch / --watch)
+    if (config.get('tools.watch', false)) {
+        watchTools(notifyToolListChanged);
+    }
+
     if (isDebugMode) {
         log(`To integrate with a host, provide the command: node ${__filename}`);
         log(`Debug mode enabled - showing detailed logs`);
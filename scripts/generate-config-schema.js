@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Config Schema Generator
+ * Writes the JSON Schema of dq-mcp.config files (src/config/schema.js) for editors and
+ * other tooling. Reference it from a config file with
+ * "$schema": "./node_modules/@democratize-quality/mcp-server/schema/dq-mcp.config.schema.json"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { configSchema } = require('../src/config/schema');
+
+const outputPath = path.join(__dirname, '../schema/dq-mcp.config.schema.json');
+
+const jsonSchema = {
+    ...z.toJSONSchema(configSchema, { reused: 'ref', unrepresentable: 'any' }),
+    title: 'Democratize Quality MCP Server configuration'
+};
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, JSON.stringify(jsonSchema, null, 2) + '\n');
+console.log(`Wrote ${path.relative(process.cwd(), outputPath)}`);
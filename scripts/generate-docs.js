@@ -174,8 +174,19 @@ class DocumentationGenerator {
      */
     generateToolDocumentation(tool) {
         let content = `### ${tool.name}\n\n`;
+        if (tool.title) {
+            content += `**Title:** ${tool.title}\n\n`;
+        }
         content += `**Description:** ${tool.description}\n\n`;
         
+        // Behaviour hints (annotations)
+        if (tool.annotations) {
+            const hints = Object.entries(tool.annotations)
+                .map(([hint, value]) => `\`${hint}: ${value}\``)
+                .join(', ');
+            content += `**Annotations:** ${hints}\n\n`;
+        }
+        
         // Input schema
         content += '#### Input Parameters\n\n';
         if (tool.input_schema && tool.input_schema.properties) {
@@ -441,7 +452,14 @@ const browserService = require('../../services/browserService');
 class MyNewTool extends ToolBase {
     static definition = {
         name: "browser_my_action",
+        title: "My Browser Action",
         description: "Performs a custom browser action",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const browserService = require('../services/browserService');
+const { getOutputDir } = require('../utils/outputPaths');
+const { listCollectionFiles, getSessionStore } = require('../resources');
+const { getToolDefinitions } = require('../tools');
+const { getPromptDefinitions } = require('../prompts');
+
+/**
+ * MCP Completions - Suggests argument values for completion/complete from live server state
+ *
+ * Values are looked up by argument name, so the same suggestions apply wherever the
+ * argument appears:
+ *   browserId  - running browser instances (browserService)
+ *   sessionId  - API test sessions (global API session store)
+ *   tabId      - page targets of the browser named by the browserId argument (or of all browsers)
+ *   outputPath - files in OUTPUT_DIR
+ *   file       - files of the addressed collection, for dq://{collection}/{file} templates
+ * Arguments with a string `enum` in a tool's input_schema complete to the enum values.
+ *
+ * Besides the standard `ref/prompt` and `ref/resource` references, tool arguments can be
+ * completed with `{ type: "ref/tool", name: "<tool name>" }`.
+ */
+
+// The spec caps a completion response at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Lists page target IDs of a browser instance
+ * @param {string} browserId - Browser instance ID
+ * @returns {Promise<Array<string>>} - Tab (target) IDs, empty if the browser cannot be queried
+ */
+async function getTabIds(browserId) {
+    const browser = browserService.getBrowserInstance(browserId);
+    if (!browser || !browser.cdpClient) {
+        return [];
+    }
+
+    try {
+        const { targetInfos } = await browser.cdpClient.Target.getTargets();
+        return targetInfos.filter(target => target.type === 'page').map(target => target.targetId);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Value providers keyed by argument name: (context) => Array<string> | Promise<Array<string>>
+const ARGUMENT_PROVIDERS = {
+    browserId: () => browserService.getActiveBrowserIds(),
+
+    sessionId: () => Array.from(getSessionStore().keys()),
+
+    tabId: async ({ arguments: args = {} }) => {
+        const browserIds = args.browserId ? [args.browserId] : browserService.getActiveBrowserIds();
+        const tabIds = await Promise.all(browserIds.map(getTabIds));
+        return tabIds.flat();
+    },
+
+    outputPath: () => {
+        const outputDir = getOutputDir();
+        if (!fs.existsSync(outputDir)) {
+            return [];
+        }
+        return fs.readdirSync(outputDir, { withFileTypes: true })
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+            .map(entry => entry.name);
+    }
+};
+
+/**
+ * Creates an "invalid params" error for completion/complete
+ * @param {string} message - Error message
+ * @returns {object} - MCP error object
+ */
+function invalidCompletion(message) {
+    return { code: -32602, message };
+}
+
+/**
+ * Gets the candidate values for a tool argument
+ * @param {string} toolName - Tool name
+ * @param {string} argumentName - Argument name
+ * @param {object} context - Completion context ({ arguments })
+ * @returns {Promise<Array<string>>} - Candidate values
+ */
+async function getToolArgumentValues(toolName, argumentName, context) {
+    const tool = getToolDefinitions().find(definition => definition.name === toolName);
+    if (!tool) {
+        throw invalidCompletion(`Tool '${toolName}' not found`);
+    }
+
+    const property = (tool.input_schema.properties || {})[argumentName];
+    if (!property) {
+        throw invalidCompletion(`Tool '${toolName}' has no argument '${argumentName}'`);
+    }
+
+    if (Array.isArray(property.enum)) {
+        return property.enum.filter(value => typeof value === 'string');
+    }
+
+    const provider = ARGUMENT_PROVIDERS[argumentName];
+    return provider ? provider(context) : [];
+}
+
+/**
+ * Gets the candidate values for a prompt argument
+ * @param {string} promptName - Prompt name
+ * @param {string} argumentName - Argument name
+ * @param {object} context - Completion context ({ arguments })
+ * @returns {Promise<Array<string>>} - Candidate values
+ */
+async function getPromptArgumentValues(promptName, argumentName, context) {
+    const prompt = getPromptDefinitions().find(definition => definition.name === promptName);
+    if (!prompt) {
+        throw invalidCompletion(`Prompt '${promptName}' not found`);
+    }
+
+    const provider = ARGUMENT_PROVIDERS[argumentName];
+    return provider ? provider(context) : [];
+}
+
+/**
+ * Gets the candidate values for a resource template variable
+ * @param {string} uri - Resource URI template (e.g. dq://screenshots/{file})
+ * @param {string} argumentName - Template variable name
+ * @param {object} context - Completion context ({ arguments })
+ * @returns {Promise<Array<string>>} - Candidate values
+ */
+async function getResourceArgumentValues(uri, argumentName, context) {
+    const match = typeof uri === 'string' && uri.match(/^dq:\/\/([^/]+)\//);
+    if (!match) {
+        throw invalidCompletion(`Unknown resource template: ${uri}`);
+    }
+
+    if (argumentName === 'file') {
+        // Sub-directories are part of the URI path, so use forward slashes
+        return listCollectionFiles(match[1]).map(file => file.split(path.sep).join('/'));
+    }
+
+    const provider = ARGUMENT_PROVIDERS[argumentName];
+    return provider ? provider(context) : [];
+}
+
+/**
+ * Completes an argument value
+ * @param {object} ref - { type: 'ref/prompt', name } | { type: 'ref/resource', uri } | { type: 'ref/tool', name }
+ * @param {object} argument - { name, value } being completed
+ * @param {object} context - { arguments } already provided by the client
+ * @returns {Promise<object>} - MCP completion ({ values, total, hasMore })
+ */
+async function complete(ref, argument, context) {
+    context = context || {};
+
+    if (!ref || typeof ref.type !== 'string') {
+        throw invalidCompletion('Missing completion reference');
+    }
+    if (!argument || typeof argument.name !== 'string') {
+        throw invalidCompletion('Missing argument name');
+    }
+
+    let candidates;
+    switch (ref.type) {
+        case 'ref/prompt':
+            candidates = await getPromptArgumentValues(ref.name, argument.name, context);
+            break;
+        case 'ref/resource':
+            candidates = await getResourceArgumentValues(ref.uri, argument.name, context);
+            break;
+        case 'ref/tool':
+            candidates = await getToolArgumentValues(ref.name, argument.name, context);
+            break;
+        default:
+            throw invalidCompletion(`Unsupported completion reference type: ${ref.type}`);
+    }
+
+    // Prefix matches first, then values that merely contain the typed text
+    const typed = String(argument.value || '').toLowerCase();
+    const unique = Array.from(new Set(candidates));
+    const values = [
+        ...unique.filter(value => value.toLowerCase().startsWith(typed)),
+        ...unique.filter(value => !value.toLowerCase().startsWith(typed) && value.toLowerCase().includes(typed))
+    ];
+
+    return {
+        values: values.slice(0, MAX_COMPLETION_VALUES),
+        total: values.length,
+        hasMore: values.length > MAX_COMPLETION_VALUES
+    };
+}
+
+module.exports = {
+    complete
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Command Line Arguments - The one parser for the server's flags
+ *
+ * Every flag is described once in FLAGS: the config keys it sets (`set`), the environment it
+ * selects (`environment`) or the CLI option it fills (`option`). cli.js uses the parse result to
+ * answer --help, --version and --print-config and to pick NODE_ENV; ConfigManager applies the
+ * config overrides on top of every other source, recording the flag as each value's source.
+ * Flags take their value as the next argument or after '=' (`--port 8080`, `--port=8080`).
+ */
+
+const ALL_CATEGORIES = ['Api', 'Browser', 'Advanced', 'File', 'Network', 'Other', 'Workflow', 'Server'];
+
+/**
+ * Builds feature flag overrides
+ * @param {object} flags - { <Category>: boolean }
+ * @returns {object} - { 'features.enable<Category>Tools': boolean }
+ */
+function features(flags) {
+    return Object.fromEntries(Object.entries(flags).map(([name, enabled]) => [`features.enable${name}Tools`, enabled]));
+}
+
+const FLAGS = [
+    { names: ['--help', '-h'], option: 'help', description: 'Show this help' },
+    { names: ['--version', '-v'], option: 'version', description: 'Show version' },
+    { names: ['--print-config'], option: 'printConfig', description: 'Print the effective configuration and where each value comes from, then exit' },
+    { names: ['--config'], value: '<path>', option: 'configPath', description: 'Load settings from a config file (default: dq-mcp.config.* lookup)' },
+    { names: ['--set'], value: '<key=value>', repeatable: true, description: 'Set any config key, e.g. --set tools.browser.global.maxConcurrentOperations=2' },
+    { names: ['--env'], value: '<environment>', environment: true, description: 'Set environment (development|production|api-only)' },
+    { names: ['--production', '-p'], environment: 'production', description: 'Shortcut for --env production' },
+    { names: ['--debug', '-d'], environment: 'development', set: { 'features.enableDebugMode': true }, description: 'Enable debug mode (development environment, verbose logging)' },
+    { names: ['--watch'], set: { 'tools.watch': true }, description: 'Reload tools when their files change (notifies clients)' },
+    { names: ['--plugin'], value: '<dir|package>', repeatable: true, key: 'plugins', description: 'Load tool plugins from a directory or npm package (repeatable)' },
+    { names: ['--profile'], value: '<name>', key: 'profile', description: 'Offer only the tools and arguments allowed by a tool profile (e.g. read-only)' },
+    { names: ['--transport'], value: '<type>', key: 'server.transport', choices: ['stdio', 'http'], description: 'Transport to serve MCP over (stdio|http, default: stdio)' },
+    { names: ['--port'], value: '<number>', key: 'server.port', type: 'port', description: 'Set server port (HTTP transport)' },
+    { names: ['--host'], value: '<address>', key: 'server.host', description: 'Interface for the HTTP transport to bind to (default: 127.0.0.1)' },
+
+    { group: 'Tool Category Options', names: ['--api-only'], environment: 'api-only', description: 'Enable only API tools (shortcut for api-only environment)' },
+    {
+        group: 'Tool Category Options',
+        names: ['--browser-only'],
+        set: features({ Api: false, Browser: true, Advanced: true, File: false, Network: false, Other: false, Workflow: false, Server: false }),
+        description: 'Enable only browser tools (including advanced browser tools)'
+    },
+    { group: 'Tool Category Options', names: ['--no-api'], set: features({ Api: false }), description: 'Disable API tools' },
+    { group: 'Tool Category Options', names: ['--no-browser'], set: features({ Browser: false }), description: 'Disable browser tools' },
+    { group: 'Tool Category Options', names: ['--no-advanced'], set: features({ Advanced: false }), description: 'Disable advanced browser tools' },
+    {
+        group: 'Tool Category Options',
+        names: ['--enable-all'],
+        set: features(Object.fromEntries(ALL_CATEGORIES.map(name => [name, true]))),
+        description: 'Enable all tool categories (default in development)'
+    }
+];
+
+/**
+ * Parses a config value written on the command line or in an environment variable
+ * @param {string} value - Raw value
+ * @returns {any} - Boolean, number, parsed JSON or the string itself
+ */
+function parseValue(value) {
+    // Boolean values
+    if (value.toLowerCase() === 'true') return true;
+    if (value.toLowerCase() === 'false') return false;
+
+    // Number values
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    if (/^\d+\.\d+$/.test(value)) return parseFloat(value);
+
+    // JSON values
+    if (value.startsWith('{') || value.startsWith('[')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {object} options - { cwd } to resolve plugin and config paths against
+ * @returns {object} - { help, version, printConfig, configPath, environment, overrides: [{ key, value, source }], errors }
+ */
+function parseArgs(argv = [], { cwd = process.cwd() } = {}) {
+    const result = { help: false, version: false, printConfig: false, configPath: null, environment: null, overrides: [], errors: [] };
+    const plugins = { directories: [], packages: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const name = equals === -1 ? arg : arg.slice(0, equals);
+        const flag = FLAGS.find(candidate => candidate.names.includes(name));
+
+        if (!flag) {
+            result.errors.push(`Unknown option '${arg}'`);
+            continue;
+        }
+
+        let value;
+        if (flag.value) {
+            value = equals === -1 ? argv[++index] : arg.slice(equals + 1);
+            if (value === undefined || (equals === -1 && value.startsWith('--'))) {
+                result.errors.push(`${name} requires a value ${flag.value}`);
+                continue;
+            }
+        } else if (equals !== -1) {
+            result.errors.push(`${name} does not take a value`);
+            continue;
+        }
+
+        if (flag.choices && !flag.choices.includes(value)) {
+            result.errors.push(`Unknown value '${value}' for ${name}. Supported: ${flag.choices.join(', ')}`);
+            continue;
+        }
+        if (flag.type === 'port') {
+            if (!/^\d+$/.test(value) || Number(value) > 65535) {
+                result.errors.push(`${name} expects a port number, got '${value}'`);
+                continue;
+            }
+            value = parseInt(value, 10);
+        }
+
+        const source = flag.value ? `${name} ${value}` : name;
+        if (flag.option) {
+            result[flag.option] = flag.option === 'configPath' ? path.resolve(cwd, value) : (value === undefined ? true : value);
+        }
+        if (flag.environment) {
+            result.environment = flag.environment === true ? value : flag.environment;
+        }
+        for (const [key, setValue] of Object.entries(flag.set || {})) {
+            result.overrides.push({ key, value: setValue, source });
+        }
+
+        if (name === '--set') {
+            const separator = value.indexOf('=');
+            if (separator <= 0) {
+                result.errors.push(`--set expects key.path=value, got '${value}'`);
+                continue;
+            }
+            result.overrides.push({ key: value.slice(0, separator).trim(), value: parseValue(value.slice(separator + 1)), source: `--set ${value}` });
+        } else if (flag.key === 'plugins') {
+            // Paths load plugin directories, anything else is an npm package
+            const isDirectory = value.startsWith('.') || path.isAbsolute(value) ||
+                (fs.existsSync(path.resolve(cwd, value)) && fs.statSync(path.resolve(cwd, value)).isDirectory());
+            if (isDirectory) {
+                plugins.directories.push(path.resolve(cwd, value));
+            } else {
+                plugins.packages.push(value);
+            }
+        } else if (flag.key) {
+            result.overrides.push({ key: flag.key, value, source });
+        }
+    }
+
+    // All --plugin flags together replace the configured plugin lists
+    for (const kind of ['directories', 'packages']) {
+        if (plugins[kind].length > 0) {
+            result.overrides.push({ key: `plugins.${kind}`, value: plugins[kind], source: '--plugin' });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Formats the option lines of the help text from FLAGS
+ * @returns {string} - Option sections
+ */
+function formatOptions() {
+    const sections = new Map();
+    for (const flag of FLAGS) {
+        const group = flag.group || 'Options';
+        const usage = `${flag.names.join(', ')}${flag.value ? ` ${flag.value}` : ''}`;
+        const line = `  ${usage.padEnd(26)}${usage.length >= 26 ? ' ' : ''}${flag.description}`;
+        sections.set(group, [...(sections.get(group) || []), line]);
+    }
+    return [...sections].map(([group, lines]) => `${group}:\n${lines.join('\n')}`).join('\n\n');
+}
+
+module.exports = {
+    FLAGS,
+    parseArgs,
+    parseValue,
+    formatOptions
+};
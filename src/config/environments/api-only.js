@@ -12,7 +12,9 @@ module.exports = {
         enableAdvancedTools: false,
         enableFileTools: false,
         enableNetworkTools: false,
-        enableOtherTools: false
+        enableOtherTools: false,
+        enableWorkflowTools: true, // Chains API tools only, since the others are disabled
+        enableServerTools: true
     },
     
     logging: {
@@ -11,7 +11,9 @@ module.exports = {
         enableAdvancedTools: true,
         enableFileTools: true,
         enableNetworkTools: true,
-        enableOtherTools: true
+        enableOtherTools: true,
+        enableWorkflowTools: true,
+        enableServerTools: true
     },
     
     logging: {
@@ -11,7 +11,9 @@ module.exports = {
         enableAdvancedTools: process.env.ENABLE_ADVANCED_TOOLS === 'true',
         enableFileTools: process.env.ENABLE_FILE_TOOLS === 'true',
         enableNetworkTools: process.env.ENABLE_NETWORK_TOOLS === 'true',
-        enableOtherTools: process.env.ENABLE_OTHER_TOOLS === 'true'
+        enableOtherTools: process.env.ENABLE_OTHER_TOOLS === 'true',
+        enableWorkflowTools: process.env.ENABLE_WORKFLOW_TOOLS !== 'false',
+        enableServerTools: process.env.ENABLE_SERVER_TOOLS !== 'false'
     },
     
     logging: {
@@ -1,5 +1,7 @@
 const path = require('path');
 const fs = require('fs');
+const { findProjectConfig, readProjectConfig, createConfigError } = require('./projectConfig');
+const { parseArgs, parseValue } = require('./cliArgs');
 
 /**
  * Configuration Management System
@@ -8,8 +10,18 @@ const fs = require('fs');
 class ConfigManager {
     constructor(options = {}) {
         this.config = {};
-        this.environment = process.env.NODE_ENV || 'api-only';
+        this.sources = {}; // Dot path of each value -> where it was set, for --print-config
+        
+        // Command line flags, passed on by cli.js in DQ_MCP_ARGS
+        this.args = parseArgs(options.argv || readArgsVariable());
+        if (this.args.errors.length > 0) {
+            throw createConfigError(`Invalid command line options:\n${this.args.errors.map(error => `  - ${error}`).join('\n')}`, null);
+        }
+        
+        this.environment = this.args.environment || process.env.NODE_ENV || 'api-only';
         this.configDir = path.join(__dirname);
+        this.projectConfigPath = options.configPath || this.args.configPath || process.env.DQ_MCP_CONFIG || null; // --config
+        this.projectConfigFile = null; // Project config file that was loaded, if any
         
         // Check for debug mode early
         const debugFromEnv = process.env.MCP_FEATURES_ENABLEDEBUGMODE === 'true' || this.environment === 'development';
@@ -20,9 +32,12 @@ class ConfigManager {
 
     /**
      * Load configuration from multiple sources in order of precedence:
-     * 1. Environment variables (highest precedence)
-     * 2. Environment-specific config files
-     * 3. Default configuration files (lowest precedence)
+     * 1. Command line flags (highest precedence)
+     * 2. Environment variables
+     * 3. Project config file (dq-mcp.config.*)
+     * 4. Environment-specific config files
+     * 5. Default configuration files (lowest precedence)
+     * An invalid project config file or flag throws a ConfigError instead of falling back to defaults.
      */
     loadConfiguration() {
         if (!this.quiet) {
@@ -32,6 +47,7 @@ class ConfigManager {
         try {
             // Load base server configuration
             this.config = this.loadConfigFile('server.js', {});
+            this.recordSources(this.config, '', 'src/config/server.js');
             
             // Load tool configurations
             this.config.tools = this.loadToolConfigs();
@@ -39,14 +55,23 @@ class ConfigManager {
             // Load environment-specific overrides
             this.loadEnvironmentConfig();
             
-            // Apply environment variable overrides (highest precedence)
+            // Load the project's dq-mcp.config file
+            this.loadProjectConfig();
+            
+            // Apply environment variable overrides
             this.applyEnvironmentVariables();
             
+            // Apply command line flags (highest precedence)
+            this.applyCommandLineOverrides();
+            
             if (!this.quiet) {
                 console.error(`[Config] Configuration loaded for environment: ${this.environment}`);
             }
             
         } catch (error) {
+            if (error.name === 'ConfigError') {
+                throw error;
+            }
             console.error('[Config] Error loading configuration:', error.message);
             // Use defaults if config loading fails
             this.config = this.getDefaultConfig();
@@ -82,8 +107,11 @@ class ConfigManager {
         const toolsDir = path.join(this.configDir, 'tools');
         const toolConfigs = {};
         
-        // Load default tool config
+        // Load default tool config (also kept on its own for tools in other categories, e.g. plugins)
         const defaultToolConfig = this.loadConfigFile('tools/default.js', {});
+        toolConfigs.default = defaultToolConfig;
+        this.recordSources(null, 'tools', null); // Replaces the tools section of server.js
+        this.recordSources(defaultToolConfig, 'tools.default', 'src/config/tools/default.js');
         
         if (fs.existsSync(toolsDir)) {
             const toolConfigFiles = fs.readdirSync(toolsDir).filter(file => 
@@ -92,10 +120,13 @@ class ConfigManager {
             
             for (const file of toolConfigFiles) {
                 const configName = path.basename(file, '.js');
+                const toolConfig = this.loadConfigFile(`tools/${file}`, {});
                 toolConfigs[configName] = {
                     ...defaultToolConfig,
-                    ...this.loadConfigFile(`tools/${file}`, {})
+                    ...toolConfig
                 };
+                this.recordSources(defaultToolConfig, `tools.${configName}`, 'src/config/tools/default.js');
+                this.recordSources(toolConfig, `tools.${configName}`, `src/config/tools/${file}`);
             }
         }
         
@@ -110,6 +141,46 @@ class ConfigManager {
         
         // Deep merge environment config
         this.config = this.deepMerge(this.config, envConfig);
+        this.recordSources(envConfig, '', `src/config/environments/${this.environment}.js`);
+    }
+
+    /**
+     * Loads, validates and merges the project config file over the bundled configuration
+     */
+    loadProjectConfig() {
+        const configPath = findProjectConfig(this.projectConfigPath);
+        if (!configPath) {
+            return;
+        }
+
+        const projectConfig = readProjectConfig(configPath);
+        const issues = require('./schema').validateConfig(projectConfig);
+        if (issues.length > 0) {
+            const error = createConfigError(
+                `Invalid configuration in ${configPath}:\n${issues.map(issue => `  - ${issue}`).join('\n')}`,
+                configPath
+            );
+            error.issues = issues;
+            throw error;
+        }
+
+        const { $schema, outputDir, ...settings } = projectConfig;
+        this.config = this.deepMerge(this.config, settings);
+        this.recordSources(settings, '', configPath);
+
+        // Relative to the config file, so the same file works from any working directory;
+        // an OUTPUT_DIR environment variable still wins (cli.js sets it to this same directory)
+        if (outputDir) {
+            const resolved = path.resolve(path.dirname(configPath), outputDir);
+            process.env.OUTPUT_DIR = process.env.OUTPUT_DIR || resolved;
+            this.config.OUTPUT_DIR = process.env.OUTPUT_DIR;
+            this.recordSources(this.config.OUTPUT_DIR, 'OUTPUT_DIR', process.env.OUTPUT_DIR === resolved ? configPath : 'OUTPUT_DIR');
+        }
+
+        this.projectConfigFile = configPath;
+        if (!this.quiet) {
+            console.error(`[Config] Loaded project configuration from ${configPath}`);
+        }
     }
 
     /**
@@ -138,8 +209,86 @@ class ConfigManager {
                 }
                 
                 this.setNestedValue(this.config, configPath, parsedValue);
+                this.recordSources(parsedValue, configPath.join('.'), key);
+            }
+        }
+    }
+
+    /**
+     * Apply the config overrides of command line flags (--port, --set key=value, ...)
+     */
+    applyCommandLineOverrides() {
+        const overrides = this.args.overrides;
+        if (overrides.length === 0) {
+            return;
+        }
+
+        // Checked like a project config file, so --set catches misspelled keys too
+        const asConfig = {};
+        for (const { key, value } of overrides) {
+            this.setNestedValue(asConfig, key.split('.'), value);
+        }
+        const issues = require('./schema').validateConfig(asConfig);
+        if (issues.length > 0) {
+            const error = createConfigError(`Invalid command line options:\n${issues.map(issue => `  - ${issue}`).join('\n')}`, null);
+            error.issues = issues;
+            throw error;
+        }
+
+        for (const { key, value, source } of overrides) {
+            if (key === 'outputDir') {
+                this.config.OUTPUT_DIR = path.resolve(value);
+                process.env.OUTPUT_DIR = this.config.OUTPUT_DIR;
+                this.recordSources(this.config.OUTPUT_DIR, 'OUTPUT_DIR', source);
+            } else {
+                this.setNestedValue(this.config, key.split('.'), value);
+                this.recordSources(value, key, source);
+            }
+        }
+    }
+
+    /**
+     * Records where the values under a path were set
+     * @param {any} value - Value written at the path (plain objects are walked down to their leaves)
+     * @param {string} prefix - Dot path the value was written to ('' for the root)
+     * @param {string|null} source - Config file, environment variable or flag; null only clears
+     */
+    recordSources(value, prefix, source) {
+        if (isPlainObject(value) && Object.keys(value).length > 0) {
+            for (const [key, child] of Object.entries(value)) {
+                this.recordSources(child, prefix ? `${prefix}.${key}` : key, source);
             }
+            return;
         }
+
+        // A leaf replaces whatever was below it
+        for (const key of Object.keys(this.sources)) {
+            if (key === prefix || key.startsWith(`${prefix}.`)) {
+                delete this.sources[key];
+            }
+        }
+        if (source) {
+            this.sources[prefix] = source;
+        }
+    }
+
+    /**
+     * Lists every configuration value with where it was set
+     * @returns {Array<object>} - [{ key, value, source }], in configuration order
+     */
+    getValueSources() {
+        const entries = [];
+        const walk = (value, prefix) => {
+            if (isPlainObject(value) && Object.keys(value).length > 0) {
+                for (const [key, child] of Object.entries(value)) {
+                    walk(child, prefix ? `${prefix}.${key}` : key);
+                }
+            } else {
+                entries.push({ key: prefix, value, source: this.sources[prefix] || 'built-in default' });
+            }
+        };
+        walk(this.config, '');
+        return entries;
     }
 
     /**
@@ -155,8 +304,14 @@ class ConfigManager {
         if (str === 'enablefiletools') return 'enableFileTools';
         if (str === 'enablenetworktools') return 'enableNetworkTools';
         if (str === 'enableothertools') return 'enableOtherTools';
+        if (str === 'enableworkflowtools') return 'enableWorkflowTools';
+        if (str === 'enableservertools') return 'enableServerTools';
         if (str === 'enabledebugmode') return 'enableDebugMode';
         
+        // Other category flags (e.g. from plugins): enableauthtools -> enableAuthTools
+        const categoryFlag = /^enable([a-z0-9]+)tools$/.exec(str);
+        if (categoryFlag) return `enable${categoryFlag[1].charAt(0).toUpperCase()}${categoryFlag[1].slice(1)}Tools`;
+        
         // General snake_case to camelCase conversion
         return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
     }
@@ -167,24 +322,7 @@ class ConfigManager {
      * @returns {any} - Parsed value
      */
     parseEnvValue(value) {
-        // Boolean values
-        if (value.toLowerCase() === 'true') return true;
-        if (value.toLowerCase() === 'false') return false;
-        
-        // Number values
-        if (/^\d+$/.test(value)) return parseInt(value, 10);
-        if (/^\d+\.\d+$/.test(value)) return parseFloat(value);
-        
-        // JSON values
-        if (value.startsWith('{') || value.startsWith('[')) {
-            try {
-                return JSON.parse(value);
-            } catch {
-                return value;
-            }
-        }
-        
-        return value;
+        return parseValue(value);
     }
 
     /**
@@ -234,9 +372,12 @@ class ConfigManager {
         return {
             server: {
                 name: 'democratize-quality-mcp-server',
-                version: '1.0.0',
-                protocolVersion: '2024-11-05',
-                port: process.env.PORT || 3000
+                version: require('../../package.json').version,
+                protocolVersion: '2025-06-18',
+                transport: 'stdio',
+                host: '127.0.0.1',
+                port: process.env.PORT || 3000,
+                httpEndpoint: '/mcp'
             },
             features: {
                 // Tool category feature flags with sensible defaults
@@ -246,12 +387,15 @@ class ConfigManager {
                 enableFileTools: false,    // Security consideration
                 enableNetworkTools: false, // Security consideration
                 enableOtherTools: false,   // Conservative default
+                enableWorkflowTools: true,
+                enableServerTools: true,
                 enableDebugMode: this.environment !== 'production'
             },
             tools: {
                 autoDiscovery: true,
                 enableCache: true,
                 validationLevel: 'strict',
+                watch: false,
                 browser: {
                     maxInstances: 10,
                     defaultHeadless: true,
@@ -335,7 +479,47 @@ class ConfigManager {
     get OUTPUT_DIR() { return this.get('OUTPUT_DIR'); }
 }
 
-// Create singleton instance
-const configManager = new ConfigManager();
+/**
+ * Reads the command line flags cli.js passes on in DQ_MCP_ARGS
+ * @returns {string[]} - Flags, empty when the variable is not set
+ * @throws {Error} - ConfigError if the variable is not a JSON array of strings
+ */
+function readArgsVariable() {
+    const value = process.env.DQ_MCP_ARGS;
+    if (!value) {
+        return [];
+    }
+    let argv;
+    try {
+        argv = JSON.parse(value);
+    } catch (error) {
+        throw createConfigError(`Invalid DQ_MCP_ARGS environment variable: ${error.message}`, null);
+    }
+    if (!Array.isArray(argv) || !argv.every(arg => typeof arg === 'string')) {
+        throw createConfigError('Invalid DQ_MCP_ARGS environment variable: expected a JSON array of strings', null);
+    }
+    return argv;
+}
+
+/**
+ * Checks for a plain object (not an array, null or class instance)
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Create singleton instance; a broken project config stops the server before anything starts
+let configManager;
+try {
+    configManager = new ConfigManager();
+} catch (error) {
+    if (error.name !== 'ConfigError') {
+        throw error;
+    }
+    console.error(`[Config] ${error.message}`);
+    process.exit(1);
+}
 
 module.exports = configManager;
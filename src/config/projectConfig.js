@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Project Config Files - Locates and parses dq-mcp.config.{json,js,yaml,yml}
+ * Kept free of side effects so the CLI can read a project's settings before starting the server.
+ */
+
+// Looked up in the working directory, then the home directory; the first match wins
+const PROJECT_CONFIG_FILES = ['dq-mcp.config.json', 'dq-mcp.config.js', 'dq-mcp.config.yaml', 'dq-mcp.config.yml'];
+
+/**
+ * Creates the error thrown for a missing, unreadable or invalid project config file
+ * @param {string} message - Readable description, listing every problem
+ * @param {string} configPath - Path of the config file
+ * @returns {Error} - Error named ConfigError
+ */
+function createConfigError(message, configPath) {
+    const error = new Error(message);
+    error.name = 'ConfigError';
+    error.configPath = configPath;
+    return error;
+}
+
+/**
+ * Finds the project config file
+ * @param {string|null} configPath - Explicit path (--config), which must exist
+ * @returns {string|null} - Absolute path, or null when there is none
+ */
+function findProjectConfig(configPath = null) {
+    if (configPath) {
+        const resolved = path.resolve(configPath);
+        if (!fs.existsSync(resolved)) {
+            throw createConfigError(`Config file not found: ${resolved}`, resolved);
+        }
+        return resolved;
+    }
+
+    for (const dir of [process.cwd(), os.homedir()]) {
+        for (const file of PROJECT_CONFIG_FILES) {
+            const candidate = path.join(dir, file);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads and parses a project config file (JSON, YAML or a CommonJS module)
+ * @param {string} configPath - Absolute path of the file
+ * @returns {object} - The parsed configuration
+ */
+function readProjectConfig(configPath) {
+    const extension = path.extname(configPath).toLowerCase();
+    let value;
+
+    try {
+        if (extension === '.js' || extension === '.cjs') {
+            value = require(configPath);
+        } else {
+            const content = fs.readFileSync(configPath, 'utf8');
+            if (extension === '.yaml' || extension === '.yml') {
+                value = YAML.parse(content);
+            } else {
+                value = JSON.parse(content);
+            }
+        }
+    } catch (error) {
+        throw createConfigError(`Could not read ${configPath}: ${error.message}`, configPath);
+    }
+
+    if (value === null || value === undefined) {
+        return {}; // An empty YAML file
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw createConfigError(`Invalid configuration in ${configPath}: expected an object at the top level`, configPath);
+    }
+    return value;
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILES,
+    createConfigError,
+    findProjectConfig,
+    readProjectConfig
+};
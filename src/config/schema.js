@@ -0,0 +1,388 @@
+const { z } = require('zod');
+
+/**
+ * Project Configuration Schema
+ * Validates dq-mcp.config.{json,js,yaml,yml} files. Every section and key is optional; a file
+ * only lists what it changes. Objects are strict, so misspelled keys are reported instead of
+ * being silently ignored. The JSON Schema published for editors is generated from this file
+ * (npm run config:schema).
+ */
+
+const port = z.union([z.number().int().min(0).max(65535), z.string().regex(/^\d+$/, 'expected a port number')]);
+const size = z.union([z.number().int().nonnegative(), z.string().regex(/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i, "expected a size such as '10MB'")]);
+const milliseconds = z.number().int().nonnegative();
+const logLevel = z.enum(['debug', 'info', 'notice', 'warning', 'warn', 'error', 'critical', 'fatal', 'alert', 'emergency']);
+
+// Settings every tool understands (src/config/tools/default.js)
+const toolSettings = {
+    timeout: milliseconds,
+    enableRetries: z.boolean(),
+    retryAttempts: z.number().int().nonnegative(),
+    retryDelay: milliseconds,
+    maxRetryDelay: milliseconds,
+    retryJitter: z.number().min(0).max(1),
+    retryableErrors: z.array(z.string()),
+    enableInputValidation: z.boolean(),
+    enableOutputValidation: z.boolean(),
+    strictMode: z.boolean(),
+    validationLevel: z.enum(['strict', 'loose', 'none']),
+    enableCaching: z.boolean(),
+    maxCacheSize: z.number().int().nonnegative(),
+    cacheTimeout: milliseconds,
+    enableDetailedErrors: z.boolean(),
+    logErrors: z.boolean(),
+    throwOnValidationError: z.boolean(),
+    rateLimit: z.strictObject({
+        enabled: z.boolean(),
+        maxRequests: z.number().int().positive(),
+        windowMs: z.number().int().positive(),
+        scope: z.enum(['tool', 'category'])
+    }).partial(),
+    rateLimitEnabled: z.boolean(),
+    maxRequestsPerSecond: z.number().positive()
+};
+
+/**
+ * Builds the schema of one tool's settings: the shared settings plus its own
+ * @param {object} shape - Tool-specific keys
+ * @returns {z.ZodObject} - Strict schema with every key optional
+ */
+function tool(shape = {}) {
+    return z.strictObject({ ...toolSettings, ...shape }).partial();
+}
+
+/**
+ * Builds the schema of a tool category: shared settings for the category plus one entry per tool
+ * @param {object} tools - { <tool name>: schema }
+ * @returns {z.ZodObject} - Strict schema with every key optional
+ */
+function category(tools) {
+    return z.strictObject({ ...toolSettings, ...tools }).partial();
+}
+
+const apiTools = category({
+    api_request: tool({
+        maxSessions: z.number().int().positive(),
+        sessionTimeout: milliseconds,
+        maxSessionTimeout: milliseconds,
+        maxConcurrentSessions: z.number().int().positive(),
+        enableSessionPersistence: z.boolean(),
+        defaultTimeout: milliseconds,
+        maxRetries: z.number().int().nonnegative(),
+        defaultRetryAttempts: z.number().int().nonnegative(),
+        enableRedirects: z.boolean(),
+        maxRedirects: z.number().int().nonnegative(),
+        enableResponseValidation: z.boolean(),
+        enableBodyValidation: z.boolean(),
+        strictContentTypeCheck: z.boolean(),
+        enableRequestLogging: z.boolean(),
+        enableResponseLogging: z.boolean(),
+        logLevel
+    }),
+    api_session_status: tool({
+        enableRealTimeUpdates: z.boolean(),
+        maxHistoryEntries: z.number().int().nonnegative(),
+        includeDetailedLogs: z.boolean(),
+        enableSessionMetrics: z.boolean()
+    }),
+    api_session_report: tool({
+        defaultTheme: z.enum(['light', 'dark', 'auto']),
+        includeRequestData: z.boolean(),
+        includeResponseData: z.boolean(),
+        includeTiming: z.boolean(),
+        includeTimestamp: z.boolean(),
+        includeValidationResults: z.boolean(),
+        maxReportSize: size,
+        enableCompression: z.boolean(),
+        enableCompressionForLargeReports: z.boolean(),
+        compressionLevel: z.number().int().min(0).max(9),
+        enableInteractiveReports: z.boolean(),
+        includeCharts: z.boolean(),
+        enableSyntaxHighlighting: z.boolean(),
+        defaultOutputDir: z.string(),
+        enableTimestampInFilename: z.boolean(),
+        enableAutoCleanup: z.boolean(),
+        maxReportsToKeep: z.number().int().nonnegative()
+    })
+});
+
+const browserTools = category({
+    browser_launch: tool({
+        defaultHeadless: z.boolean(),
+        defaultPort: z.number().int().min(0).max(65535).nullable(),
+        maxInstances: z.number().int().positive(),
+        launchTimeout: milliseconds,
+        chromeFlags: z.array(z.string()),
+        userDataDirPrefix: z.string(),
+        cleanupOnExit: z.boolean()
+    }),
+    browser_connect: tool({
+        defaultHost: z.string(),
+        defaultPort: z.number().int().min(1).max(65535)
+    }),
+    browser_navigate: tool({
+        pageLoadTimeout: milliseconds,
+        allowedProtocols: z.array(z.string().regex(/^[a-z][a-z0-9+.-]*:$/, "expected a protocol such as 'https:'")),
+        maxRedirects: z.number().int().nonnegative(),
+        waitForNetworkIdle: z.boolean(),
+        networkIdleTimeout: milliseconds
+    }),
+    browser_screenshot: tool({
+        defaultQuality: z.number().int().min(0).max(100),
+        defaultFormat: z.enum(['png', 'jpeg', 'webp']),
+        maxFileSize: size,
+        allowedFormats: z.array(z.enum(['png', 'jpeg', 'webp'])),
+        outputDirectory: z.string(),
+        enableTimestamps: z.boolean(),
+        compressionLevel: z.number().int().min(0).max(9)
+    }),
+    browser_dom: tool({
+        defaultWaitTimeout: milliseconds,
+        elementVisibilityTimeout: milliseconds,
+        scrollIntoView: z.boolean(),
+        highlightElements: z.boolean()
+    }),
+    browser_click: tool({
+        waitForElement: z.boolean(),
+        scrollIntoView: z.boolean(),
+        doubleClickDelay: milliseconds,
+        enableCoordinateValidation: z.boolean(),
+        clickOffset: z.strictObject({ x: z.number(), y: z.number() })
+    }),
+    browser_type: tool({
+        typingDelay: milliseconds,
+        clearBeforeType: z.boolean(),
+        waitForFocus: z.boolean(),
+        enableNaturalTyping: z.boolean(),
+        maxTextLength: z.number().int().positive()
+    }),
+    browser_close: tool({
+        gracefulShutdown: z.boolean(),
+        shutdownTimeout: milliseconds,
+        forceKillOnTimeout: z.boolean(),
+        cleanupUserData: z.boolean()
+    }),
+    ...Object.fromEntries([
+        'browser_console', 'browser_dialog', 'browser_evaluate', 'browser_file', 'browser_keyboard',
+        'browser_mouse', 'browser_network', 'browser_pdf', 'browser_tabs', 'browser_wait'
+    ].map(name => [name, tool()])),
+    global: z.strictObject({
+        maxConcurrentOperations: z.number().int().positive(),
+        enableScreenshotOnError: z.boolean(),
+        autoRecovery: z.boolean(),
+        healthCheckInterval: milliseconds,
+        enablePerformanceMetrics: z.boolean()
+    }).partial()
+});
+
+const workflowTools = category({
+    workflow_run: tool({
+        directories: z.array(z.string()),
+        maxSteps: z.number().int().positive(),
+        defaultOnError: z.enum(['stop', 'continue']),
+        maxTableOutputLength: z.number().int().positive()
+    })
+});
+
+const serverTools = category({
+    server_info: tool()
+});
+
+// Categories added by plugins: shared settings, plus free-form settings per tool
+const pluginTools = z.strictObject(toolSettings).partial().catchall(z.record(z.string(), z.unknown()));
+
+const pluginEntry = (key) => z.union([
+    z.string(),
+    z.strictObject({ [key]: z.string(), namespace: z.string().optional() })
+]);
+
+const KNOWN_CATEGORIES = ['default', 'api', 'browser', 'workflow', 'server'];
+
+const profile = z.strictObject({
+    description: z.string(),
+    include: z.array(z.string()),
+    exclude: z.array(z.string()),
+    arguments: z.record(z.string(), z.record(z.string(), z.union([
+        z.array(z.unknown()),
+        z.literal(false),
+        z.record(z.string(), z.unknown())
+    ])))
+}).partial();
+
+const configSchema = z.strictObject({
+    $schema: z.string(),
+
+    // Directory for screenshots, PDFs and reports, relative to the config file (OUTPUT_DIR wins)
+    outputDir: z.string(),
+
+    server: z.strictObject({
+        name: z.string(),
+        protocolVersion: z.string(),
+        transport: z.enum(['stdio', 'http']),
+        host: z.string(),
+        port,
+        httpEndpoint: z.string().startsWith('/'),
+        allowedOrigins: z.array(z.string()),
+        allowedHosts: z.array(z.string()),
+        maxSessions: z.number().int().positive(),
+        sessionIdleTimeout: z.number().int().positive()
+    }).partial(),
+
+    features: z.strictObject({
+        enableApiTools: z.boolean(),
+        enableBrowserTools: z.boolean(),
+        enableAdvancedTools: z.boolean(),
+        enableFileTools: z.boolean(),
+        enableNetworkTools: z.boolean(),
+        enableOtherTools: z.boolean(),
+        enableWorkflowTools: z.boolean(),
+        enableServerTools: z.boolean(),
+        enableDebugMode: z.boolean()
+    }).partial().catchall(z.boolean()).superRefine((features, ctx) => {
+        // Plugin categories bring their own enable<Category>Tools flags
+        for (const key of Object.keys(features)) {
+            if (!/^enable[A-Z][A-Za-z0-9]*$/.test(key)) {
+                ctx.addIssue({ code: 'custom', path: [key], message: 'Unknown feature flag (flags are named enable<Category>Tools)' });
+            }
+        }
+    }),
+
+    tools: z.strictObject({
+        autoDiscovery: z.boolean(),
+        enableCache: z.boolean(),
+        validationLevel: z.enum(['strict', 'loose', 'none']),
+        watch: z.boolean(),
+        default: tool(),
+        api: apiTools,
+        browser: browserTools,
+        workflow: workflowTools,
+        server: serverTools
+    }).partial().catchall(pluginTools).superRefine((tools, ctx) => {
+        // Any other key is taken for a plugin category, so catch near misses of the bundled ones
+        for (const key of Object.keys(tools)) {
+            const suggestion = KNOWN_CATEGORIES.includes(key) ? null : suggest(key, KNOWN_CATEGORIES);
+            if (suggestion) {
+                ctx.addIssue({ code: 'custom', path: [key], message: `Unknown tool category (did you mean '${suggestion}'?)` });
+            }
+        }
+    }),
+
+    prompts: z.strictObject({
+        directories: z.array(z.string())
+    }).partial(),
+
+    plugins: z.strictObject({
+        directories: z.array(pluginEntry('path')),
+        packages: z.array(pluginEntry('package'))
+    }).partial(),
+
+    middleware: z.strictObject({
+        modules: z.array(z.union([
+            z.string(),
+            z.strictObject({ module: z.string(), options: z.unknown().optional() })
+        ]))
+    }).partial(),
+
+    profile: z.string().nullable(),
+    profiles: z.record(z.string(), profile),
+
+    logging: z.strictObject({
+        level: logLevel,
+        enableToolDebug: z.boolean()
+    }).partial(),
+
+    security: z.strictObject({
+        enableInputValidation: z.boolean(),
+        maxRequestSize: size,
+        rateLimiting: z.boolean(),
+        maxRequestsPerMinute: z.number().int().positive(),
+        secrets: z.strictObject({
+            file: z.string()
+        }).partial(),
+        redaction: z.strictObject({
+            sensitiveKeys: z.array(z.string())
+        }).partial()
+    }).partial()
+}).partial();
+
+/**
+ * Finds the closest known key to a misspelled one
+ * @param {string} key - Unknown key
+ * @param {Array<string>} candidates - Known keys
+ * @returns {string|null} - A candidate at most two edits away, or null
+ */
+function suggest(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Lists the keys an object schema accepts at a path of the configuration
+ * @param {Array<string|number>} path - Path of the object
+ * @returns {Array<string>} - Known keys, empty where any key is accepted
+ */
+function getKnownKeys(path) {
+    let schema = configSchema;
+    for (const key of [...path, null]) {
+        while (schema && schema._zod.def.type === 'optional') {
+            schema = schema.unwrap();
+        }
+        if (!schema || schema._zod.def.type !== 'object') {
+            return [];
+        }
+        if (key === null) {
+            return Object.keys(schema.shape);
+        }
+        schema = schema.shape[key] || schema._zod.def.catchall;
+    }
+    return [];
+}
+
+/**
+ * Validates a project configuration
+ * @param {object} value - Parsed configuration file
+ * @returns {Array<string>} - One readable line per problem, empty if the configuration is valid
+ */
+function validateConfig(value) {
+    const result = configSchema.safeParse(value);
+    if (result.success) {
+        return [];
+    }
+
+    return result.error.issues.flatMap((issue) => {
+        const location = (path) => path.length > 0 ? path.join('.') : '(root)';
+        if (issue.code === 'unrecognized_keys') {
+            const known = getKnownKeys(issue.path);
+            return issue.keys.map((key) => {
+                const suggestion = suggest(key, known);
+                return `${location([...issue.path, key])}: unknown key${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`;
+            });
+        }
+        return [`${location(issue.path)}: ${issue.message}`];
+    });
+}
+
+module.exports = {
+    configSchema,
+    validateConfig
+};
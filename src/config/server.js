@@ -5,9 +5,16 @@
 module.exports = {
     server: {
         name: 'democratize-quality-mcp-server',
-        version: '1.0.0',
-        protocolVersion: '2024-11-05',
-        port: process.env.PORT || 3000
+        version: require('../../package.json').version,
+        protocolVersion: '2025-06-18', // Offered when a client requests an unsupported protocol version
+        transport: 'stdio', // 'stdio', 'http'
+        host: '127.0.0.1', // Interface the HTTP transport binds to
+        port: process.env.PORT || 3000,
+        httpEndpoint: '/mcp', // Streamable HTTP endpoint path (legacy SSE is served on /sse)
+        allowedOrigins: [], // Browser origins accepted by the HTTP transport besides localhost ('*' for any)
+        allowedHosts: [], // Host header names accepted besides localhost and the bound host ('*' for any)
+        maxSessions: 100, // HTTP sessions open at once
+        sessionIdleTimeout: 1800000 // Close HTTP sessions without requests or an open stream for 30 minutes
     },
     
     features: {
@@ -15,13 +22,50 @@ module.exports = {
         enableFileTools: false,
         enableNetworkTools: false,
         enableOtherTools: true,
+        enableWorkflowTools: true, // workflow_run only calls tools that are enabled themselves
+        enableServerTools: true, // server_info (read-only diagnostics, secrets redacted)
         enableDebugMode: process.env.NODE_ENV !== 'production'
     },
     
     tools: {
         autoDiscovery: true,
         enableCache: true,
-        validationLevel: 'strict' // 'strict', 'loose', 'none'
+        validationLevel: 'strict', // 'strict', 'loose', 'none'
+        watch: false // Reload tools when files under src/tools change and notify clients (tools/list_changed)
+    },
+    
+    prompts: {
+        directories: [] // Extra directories with custom prompt files, relative to the working directory
+    },
+    
+    plugins: {
+        directories: [], // Directories with tool plugins, relative to the working directory
+        packages: []     // npm packages exporting tool plugins (resolved from the working directory)
+    },
+    
+    middleware: {
+        modules: [] // Tool middleware modules (paths relative to the working directory, or package names)
+    },
+    
+    // Tool profile offered to clients (--profile / MCP_PROFILE); null offers every enabled tool
+    profile: null,
+    
+    profiles: {
+        // Observe pages and APIs without changing them. An allowlist, so tools added later
+        // (including plugins) stay unavailable until they are listed here
+        'read-only': {
+            description: 'Screenshots, DOM and network inspection, session status and GET requests only',
+            include: [
+                'browser_screenshot', 'browser_dom', 'browser_wait', 'browser_tabs', 'browser_network',
+                'api_request', 'api_session_status', 'server_info'
+            ],
+            arguments: {
+                api_request: { method: ['GET', 'HEAD', 'OPTIONS'], chain: false },
+                browser_dom: { action: ['get'] },
+                browser_tabs: { action: ['list'] },
+                browser_network: { action: ['list', 'filter', 'performance'] }
+            }
+        }
     },
     
     logging: {
@@ -32,7 +76,13 @@ module.exports = {
     security: {
         enableInputValidation: true,
         maxRequestSize: '10MB',
-        rateLimiting: false // Disabled by default for MCP
+        rateLimiting: false, // Disabled by default for MCP
+        secrets: {
+            file: '.dq-mcp.secrets.json' // {{secret:NAME}} values not found in the environment (JSON or NAME=value lines)
+        },
+        redaction: {
+            sensitiveKeys: [] // Header/field names masked in logs, errors and reports, in addition to the built-in ones
+        }
     },
     
     // Legacy compatibility
@@ -13,6 +13,7 @@ module.exports = {
         // Request settings
         defaultTimeout: 30000,
         maxRetries: 3,
+        enableRetries: true, // Single requests with an idempotent method only
         retryDelay: 1000,
         enableRedirects: true,
         maxRedirects: 5,
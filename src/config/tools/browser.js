@@ -22,6 +22,12 @@ module.exports = {
         cleanupOnExit: true
     },
     
+    // Settings for attaching to an already-running Chrome
+    browser_connect: {
+        defaultHost: '127.0.0.1',
+        defaultPort: 9222 // Chrome's usual --remote-debugging-port
+    },
+    
     // Navigation settings
     browser_navigate: {
         pageLoadTimeout: 30000,
@@ -49,7 +55,7 @@ module.exports = {
         scrollIntoView: true,
         highlightElements: false, // Useful for debugging
         enableRetries: true,
-        maxRetryAttempts: 3,
+        retryAttempts: 3,
         retryDelay: 500
     },
     
@@ -4,13 +4,21 @@
  */
 module.exports = {
     // Common tool settings
-    timeout: 30000,
-    retryAttempts: 3,
-    retryDelay: 1000,
+    timeout: 30000, // Per attempt
+    
+    // Retry policy for transient failures (lost CDP contexts, elements not rendered yet, ECONNRESET).
+    // Off unless a tool turns it on; only idempotent or read-only tools, and errors a tool marks
+    // retryable, are retried, so a click or form submit never runs twice
+    enableRetries: false,
+    retryAttempts: 3,       // Retries after the first attempt
+    retryDelay: 1000,       // Wait before the first retry, doubled for each further retry
+    maxRetryDelay: 10000,
+    retryJitter: 0.5,       // Fraction of each wait that is randomized
+    retryableErrors: [],    // Extra error message patterns (regular expressions) to retry on
     
     // Validation settings
     enableInputValidation: true,
-    enableOutputValidation: false,
+    enableOutputValidation: false, // Check structuredContent against each tool's output_schema
     strictMode: true,
     
     // Performance settings
@@ -23,10 +31,11 @@ module.exports = {
     logErrors: true,
     throwOnValidationError: true,
     
-    // Rate limiting (per tool)
+    // Rate limiting (token bucket; also applied when security.rateLimiting is on)
     rateLimit: {
         enabled: false,
         maxRequests: 100,
-        windowMs: 60000 // 1 minute
+        windowMs: 60000, // 1 minute
+        scope: 'tool' // 'tool' or 'category' (one bucket shared by the category)
     }
 };
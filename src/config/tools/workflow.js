@@ -0,0 +1,20 @@
+/**
+ * Workflow Tools Configuration
+ * Configuration specific to the workflow_run tool
+ */
+module.exports = {
+    // Workflow Run Tool
+    workflow_run: {
+        // Workflow files ({name}.json, {name}.yaml, {name}.yml), relative to the working directory
+        directories: ['workflows', '.workflows'],
+        maxSteps: 50,
+        defaultOnError: 'stop', // 'stop' or 'continue'
+
+        // A workflow runs as long as its steps need; each step keeps its own timeout and retries
+        timeout: 600000, // 10 minutes
+        enableRetries: false,
+
+        // Step outputs longer than this are cut short in the result table
+        maxTableOutputLength: 80
+    }
+};
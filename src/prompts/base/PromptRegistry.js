@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+/**
+ * Prompt Registry - Manages discovery, loading, and rendering of MCP prompt templates
+ *
+ * A prompt file exports a plain object:
+ * {
+ *     name: "smoke_test_url",
+ *     description: "...",
+ *     arguments: [{ name: "url", description: "...", required: true }],
+ *     requiredTools: ["browser_launch", ...],   // optional, hides the prompt if a tool is disabled
+ *     getMessages(args) { return [{ role: "user", content: { type: "text", text: "..." } }]; }
+ * }
+ */
+class PromptRegistry {
+    constructor() {
+        this.prompts = new Map(); // promptName -> prompt
+        this.config = config;
+        this.isToolAvailable = () => true;
+    }
+
+    /**
+     * Discovers and loads prompts from the given directories
+     * @param {Array<string>} promptDirs - Directories to scan
+     * @param {object} options - { debugMode, isToolAvailable }
+     */
+    async discoverPrompts(promptDirs, options = {}) {
+        this.debugMode = options.debugMode || false;
+        if (options.isToolAvailable) {
+            this.isToolAvailable = options.isToolAvailable;
+        }
+
+        for (const dir of promptDirs) {
+            await this._scanDirectory(dir);
+        }
+
+        if (this.debugMode) {
+            console.error(`[PromptRegistry] Discovery complete. Found ${this.prompts.size} prompts.`);
+        }
+    }
+
+    /**
+     * Recursively scans a directory for prompt files
+     * @param {string} dir - Directory to scan
+     */
+    async _scanDirectory(dir) {
+        if (!fs.existsSync(dir)) {
+            console.error(`[PromptRegistry] Prompts directory not found: ${dir}`);
+            return;
+        }
+
+        for (const item of fs.readdirSync(dir)) {
+            const itemPath = path.join(dir, item);
+            const stat = fs.statSync(itemPath);
+
+            if (stat.isDirectory() && item !== 'base') {
+                await this._scanDirectory(itemPath);
+            } else if (stat.isFile() && item.endsWith('.js') && !item.startsWith('index')) {
+                this._loadPrompt(itemPath);
+            }
+        }
+    }
+
+    /**
+     * Loads a single prompt from a file
+     * @param {string} promptPath - Path to the prompt file
+     */
+    _loadPrompt(promptPath) {
+        try {
+            const prompt = require(promptPath);
+
+            if (!prompt || typeof prompt.name !== 'string' || typeof prompt.getMessages !== 'function') {
+                console.warn(`[PromptRegistry] Skipping ${promptPath}: must export { name, description, arguments, getMessages }`);
+                return;
+            }
+
+            if (this.prompts.has(prompt.name)) {
+                console.warn(`[PromptRegistry] Prompt name conflict: '${prompt.name}' already registered. Skipping ${promptPath}`);
+                return;
+            }
+
+            this.prompts.set(prompt.name, prompt);
+
+            if (this.debugMode) {
+                console.error(`[PromptRegistry] Registered prompt: ${prompt.name}`);
+            }
+        } catch (error) {
+            console.error(`[PromptRegistry] Failed to load prompt from ${promptPath}:`, error.message);
+        }
+    }
+
+    /**
+     * Checks whether all tools a prompt relies on are currently registered
+     * @param {object} prompt - The prompt
+     * @returns {boolean} - True if the prompt can be used
+     */
+    _isAvailable(prompt) {
+        return (prompt.requiredTools || []).every(toolName => this.isToolAvailable(toolName));
+    }
+
+    /**
+     * Gets prompt definitions for the MCP prompts/list response
+     * @returns {Array} - Array of prompt definitions
+     */
+    getDefinitions() {
+        return Array.from(this.prompts.values())
+            .filter(prompt => this._isAvailable(prompt))
+            .map(prompt => ({
+                name: prompt.name,
+                description: prompt.description,
+                arguments: prompt.arguments || []
+            }));
+    }
+
+    /**
+     * Renders a prompt with the given arguments
+     * @param {string} promptName - The name of the prompt
+     * @param {object} args - Prompt arguments
+     * @returns {object} - MCP prompts/get result ({ description, messages })
+     */
+    getPrompt(promptName, args = {}) {
+        const prompt = this.prompts.get(promptName);
+
+        if (!prompt || !this._isAvailable(prompt)) {
+            throw {
+                code: -32602,
+                message: `Prompt '${promptName}' not found`,
+                data: {
+                    available_prompts: this.getDefinitions().map(definition => definition.name),
+                    requested_prompt: promptName
+                }
+            };
+        }
+
+        const missing = (prompt.arguments || [])
+            .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+            .map(argument => argument.name);
+
+        if (missing.length > 0) {
+            throw {
+                code: -32602,
+                message: `Missing required argument(s) for prompt '${promptName}': ${missing.join(', ')}`,
+                data: { prompt_name: promptName, missing_arguments: missing }
+            };
+        }
+
+        return {
+            description: prompt.description,
+            messages: prompt.getMessages(args)
+        };
+    }
+}
+
+module.exports = PromptRegistry;
@@ -0,0 +1,49 @@
+const path = require('path');
+const PromptRegistry = require('./base/PromptRegistry');
+const config = require('../config');
+
+/**
+ * Initialize and configure the prompt registry
+ * This file serves as the main entry point for the prompts system
+ */
+
+// Create the global prompt registry instance
+const promptRegistry = new PromptRegistry();
+
+/**
+ * Initialize the prompt registry by discovering the bundled prompts and any
+ * custom prompt directories configured under `prompts.directories`
+ * @param {object} options - { debugMode, isToolAvailable }
+ * @returns {Promise<PromptRegistry>} - The initialized prompt registry
+ */
+async function initializePrompts(options = {}) {
+    const customDirs = config.get('prompts.directories', [])
+        .map(dir => path.resolve(process.cwd(), dir));
+
+    await promptRegistry.discoverPrompts([__dirname, ...customDirs], options);
+    return promptRegistry;
+}
+
+/**
+ * Get all prompt definitions for MCP prompts/list response
+ * @returns {Array} - Array of prompt definitions
+ */
+function getPromptDefinitions() {
+    return promptRegistry.getDefinitions();
+}
+
+/**
+ * Render a prompt by name
+ * @param {string} promptName - The name of the prompt
+ * @param {object} args - The prompt arguments
+ * @returns {object} - MCP prompts/get result
+ */
+function getPrompt(promptName, args) {
+    return promptRegistry.getPrompt(promptName, args);
+}
+
+module.exports = {
+    initializePrompts,
+    getPromptDefinitions,
+    getPrompt
+};
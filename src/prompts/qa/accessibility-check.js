@@ -0,0 +1,34 @@
+/**
+ * Accessibility Check Prompt
+ * Audits a page for common accessibility problems from inside the browser
+ */
+module.exports = {
+    name: "accessibility_check",
+    description: "Check a page for common accessibility issues (alt text, form labels, headings, landmarks, language).",
+    arguments: [
+        { name: "url", description: "The URL of the page to check", required: true },
+        { name: "standard", description: "Standard to report against (default: WCAG 2.1 AA)", required: false }
+    ],
+    requiredTools: ["browser_launch", "browser_navigate", "browser_evaluate", "browser_screenshot", "browser_close"],
+
+    getMessages({ url, standard = 'WCAG 2.1 AA' }) {
+        const text = [
+            `Perform an accessibility check of ${url} against ${standard}:`,
+            '',
+            '1. Call `browser_launch` and keep the returned `browserId`.',
+            `2. Call \`browser_navigate\` with \`action: "goto"\` and \`url: "${url}"\`.`,
+            '3. Use `browser_evaluate` to collect, in one expression returning JSON:',
+            '   - `<img>` elements without an `alt` attribute',
+            '   - form controls without an associated `<label>`, `aria-label` or `aria-labelledby`',
+            '   - the heading outline (h1-h6) and any skipped levels',
+            '   - buttons and links without an accessible name',
+            '   - whether `<html lang>` and a `<main>` landmark are present',
+            '4. Call `browser_screenshot` with `options: { fullPage: true }` for reference.',
+            '5. Call `browser_close` with the `browserId`.',
+            '',
+            `Report each issue with its selector, the ${standard} success criterion it violates, and a suggested fix, ordered by severity.`
+        ].join('\n');
+
+        return [{ role: "user", content: { type: "text", text } }];
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * API CRUD Regression Prompt
+ * Builds a create/read/update/delete chain against a REST resource
+ */
+module.exports = {
+    name: "api_crud_regression",
+    description: "Run a CRUD regression (create, read, update, delete) against a REST endpoint and produce a session report.",
+    arguments: [
+        { name: "baseUrl", description: "Base URL of the API (e.g. https://api.example.com)", required: true },
+        { name: "resource", description: "Collection path of the resource (e.g. /users)", required: true },
+        { name: "samplePayload", description: "Optional JSON body to use for create/update requests", required: false },
+        { name: "sessionId", description: "Optional session ID to group the requests under", required: false }
+    ],
+    requiredTools: ["api_request", "api_session_status", "api_session_report"],
+
+    getMessages({ baseUrl, resource, samplePayload, sessionId }) {
+        const collectionUrl = `${baseUrl.replace(/\/+$/, '')}/${resource.replace(/^\/+/, '')}`;
+        const session = sessionId || `crud-${resource.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+        const payload = samplePayload || 'a realistic JSON payload for this resource';
+
+        const text = [
+            `Run a CRUD regression against ${collectionUrl} using the API tools, all under \`sessionId: "${session}"\`:`,
+            '',
+            '1. Call `api_request` with a `chain` of four steps:',
+            `   - \`create\`: POST ${collectionUrl} with ${payload}, expect status 201 (or 200), extract the new id.`,
+            `   - \`read\`: GET ${collectionUrl}/{{create.id}}, expect status 200 and a body matching the created fields.`,
+            `   - \`update\`: PUT ${collectionUrl}/{{create.id}} with a modified payload, expect status 200.`,
+            `   - \`delete\`: DELETE ${collectionUrl}/{{create.id}}, expect status 200 or 204.`,
+            `2. Call \`api_request\` with GET ${collectionUrl}/<deleted id> and expect status 404.`,
+            `3. Call \`api_session_status\` with \`sessionId: "${session}"\` and review failed validations.`,
+            `4. Call \`api_session_report\` with \`sessionId: "${session}"\` and \`outputPath: "${session}-report.html"\`.`,
+            '',
+            'Summarize which CRUD operations passed or failed, quoting expected vs actual values for every failure, and give the report path.'
+        ].join('\n');
+
+        return [{ role: "user", content: { type: "text", text } }];
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Session Report Prompt
+ * Summarizes an API test session and generates its HTML report
+ */
+module.exports = {
+    name: "session_report",
+    description: "Summarize an API test session and generate its HTML report.",
+    arguments: [
+        { name: "sessionId", description: "The API test session to report on", required: true },
+        { name: "title", description: "Optional report title", required: false }
+    ],
+    requiredTools: ["api_session_status", "api_session_report"],
+
+    getMessages({ sessionId, title = 'API Test Session Report' }) {
+        const text = [
+            `Generate a report for API test session "${sessionId}":`,
+            '',
+            `1. Call \`api_session_status\` with \`sessionId: "${sessionId}"\` to review the requests and validation results.`,
+            `2. Call \`api_session_report\` with \`sessionId: "${sessionId}"\`, \`outputPath: "${sessionId}-report.html"\` and \`title: "${title}"\`.`,
+            '',
+            'Reply with the pass rate, a list of failed validations (expected vs actual), and the report path.'
+        ].join('\n');
+
+        return [{ role: "user", content: { type: "text", text } }];
+    }
+};
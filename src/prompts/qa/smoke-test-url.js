@@ -0,0 +1,36 @@
+/**
+ * Smoke Test Prompt
+ * Walks the model through a quick health check of a single page
+ */
+module.exports = {
+    name: "smoke_test_url",
+    description: "Smoke-test a URL: launch a browser, load the page, capture a screenshot and report anything broken.",
+    arguments: [
+        { name: "url", description: "The URL to smoke-test (including http:// or https://)", required: true },
+        { name: "expectedText", description: "Optional text that must be visible on the page", required: false }
+    ],
+    requiredTools: ["browser_launch", "browser_navigate", "browser_screenshot", "browser_close"],
+
+    getMessages({ url, expectedText }) {
+        const steps = [
+            `Run a smoke test against ${url} using the browser tools:`,
+            '',
+            '1. Call `browser_launch` with `headless: true` and keep the returned `browserId`.',
+            `2. Call \`browser_navigate\` with \`action: "goto"\` and \`url: "${url}"\`. Treat a navigation error or timeout as a failure.`,
+            `3. Call \`browser_screenshot\` with \`fileName: "smoke-test.png"\` so the page state is recorded.`
+        ];
+
+        // Numbered steps start after the heading and blank line
+        if (expectedText) {
+            steps.push(`${steps.length - 1}. Confirm the text "${expectedText}" is visible on the page (use \`browser_wait\` with \`condition: "text"\` if it is available).`);
+        }
+
+        steps.push(
+            `${steps.length - 1}. Always call \`browser_close\` with the \`browserId\`, even if an earlier step failed.`,
+            '',
+            'Finish with a short PASS/FAIL verdict, the final URL, and a bullet list of any problems found.'
+        );
+
+        return [{ role: "user", content: { type: "text", text: steps.join('\n') } }];
+    }
+};
@@ -0,0 +1,127 @@
+const config = require('../config');
+
+/**
+ * MCP Protocol - Version negotiation and per-version feature adaptation
+ *
+ * The server speaks every revision listed in SUPPORTED_PROTOCOL_VERSIONS. During
+ * `initialize` the client's requested version is accepted if supported, otherwise the
+ * server offers its preferred one. Responses are then adapted so a client never sees
+ * fields from a newer revision than the one negotiated.
+ */
+
+// Newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Protocol revision that introduced each feature (revisions are ISO dates, so they compare as strings)
+const FEATURE_VERSIONS = {
+    toolAnnotations: '2025-03-26',
+    audioContent: '2025-03-26',
+    progressMessages: '2025-03-26',
+    completions: '2025-03-26',
+    structuredContent: '2025-06-18',
+    resourceLinks: '2025-06-18',
+    titles: '2025-06-18'
+};
+
+/**
+ * Gets the version offered to clients that request an unsupported revision
+ * Uses `server.protocolVersion` when it names a supported revision, otherwise the newest one
+ * @returns {string} - Protocol version
+ */
+function getPreferredProtocolVersion() {
+    const configured = config.get('server.protocolVersion');
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(configured) ? configured : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Picks the protocol version for a session
+ * @param {string} requestedVersion - protocolVersion sent by the client in initialize
+ * @returns {string} - The requested version if supported, otherwise the preferred version
+ */
+function negotiateProtocolVersion(requestedVersion) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+        ? requestedVersion
+        : getPreferredProtocolVersion();
+}
+
+/**
+ * Checks whether a negotiated protocol version includes a feature
+ * @param {string} protocolVersion - Negotiated protocol version
+ * @param {string} feature - Key of FEATURE_VERSIONS
+ * @returns {boolean} - True if the feature may be used with this client
+ */
+function supportsFeature(protocolVersion, feature) {
+    const since = FEATURE_VERSIONS[feature];
+    if (!since) {
+        throw new Error(`Unknown protocol feature: ${feature}`);
+    }
+    return !!protocolVersion && protocolVersion >= since;
+}
+
+/**
+ * Removes tool definition fields the negotiated version does not know
+ * @param {object} tool - MCP tool definition (name, title, description, inputSchema, outputSchema, annotations)
+ * @param {string} protocolVersion - Negotiated protocol version
+ * @returns {object} - Adapted tool definition
+ */
+function adaptToolDefinition(tool, protocolVersion) {
+    const adapted = { ...tool };
+
+    if (!supportsFeature(protocolVersion, 'structuredContent')) {
+        delete adapted.outputSchema;
+    }
+    if (!supportsFeature(protocolVersion, 'titles')) {
+        delete adapted.title;
+    }
+    if (!supportsFeature(protocolVersion, 'toolAnnotations')) {
+        delete adapted.annotations;
+    }
+
+    return adapted;
+}
+
+/**
+ * Adapts a tools/call result to the negotiated version
+ * Older clients get no structuredContent, and content blocks they cannot render
+ * (resource_link, audio) are replaced by text
+ * @param {object} result - MCP tools/call result
+ * @param {string} protocolVersion - Negotiated protocol version
+ * @returns {object} - Adapted result
+ */
+function adaptToolResult(result, protocolVersion) {
+    if (!result || !Array.isArray(result.content)) {
+        return result;
+    }
+
+    const adapted = { ...result };
+
+    if (!supportsFeature(protocolVersion, 'structuredContent')) {
+        delete adapted.structuredContent;
+    }
+
+    adapted.content = result.content.map((block) => {
+        if (block.type === 'resource_link' && !supportsFeature(protocolVersion, 'resourceLinks')) {
+            return {
+                type: 'text',
+                text: `Resource: ${block.uri}${block.description ? ` (${block.description})` : ''}`
+            };
+        }
+        if (block.type === 'audio' && !supportsFeature(protocolVersion, 'audioContent')) {
+            return {
+                type: 'text',
+                text: `[${block.mimeType} audio omitted: not supported by protocol ${protocolVersion}]`
+            };
+        }
+        return block;
+    });
+
+    return adapted;
+}
+
+module.exports = {
+    SUPPORTED_PROTOCOL_VERSIONS,
+    negotiateProtocolVersion,
+    supportsFeature,
+    adaptToolDefinition,
+    adaptToolResult
+};
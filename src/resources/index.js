@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { getOutputDir, getReportsDir } = require('../utils/outputPaths');
+
+/**
+ * MCP Resources - Publishes server artifacts as readable resources
+ *
+ * Screenshots, PDFs and HTML reports written by the tools are exposed from the
+ * output directories, and API test sessions from the in-memory session store:
+ *   dq://screenshots/{file}
+ *   dq://pdfs/{file}
+ *   dq://reports/{file}
+ *   dq://api-sessions/{sessionId}
+ */
+
+const URI_SCHEME = 'dq://';
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.json': 'application/json'
+};
+
+// File-backed resource collections, keyed by the URI host segment
+const FILE_COLLECTIONS = {
+    screenshots: {
+        name: 'Screenshot',
+        description: 'Screenshot captured by browser_screenshot',
+        getDir: getOutputDir,
+        extensions: ['.png', '.jpg', '.jpeg', '.webp'],
+        maxDepth: 0
+    },
+    pdfs: {
+        name: 'PDF',
+        description: 'PDF generated by browser_pdf',
+        getDir: getOutputDir,
+        extensions: ['.pdf'],
+        maxDepth: 0
+    },
+    reports: {
+        name: 'Report',
+        description: 'HTML report generated by api_session_report',
+        getDir: getReportsDir,
+        extensions: ['.html', '.htm'],
+        maxDepth: 2 // outputPath may point into sub-directories
+    }
+};
+
+/**
+ * Gets the global API session store shared with the API tools
+ * @returns {Map} - sessionId -> session
+ */
+function getSessionStore() {
+    if (!global.__API_SESSION_STORE__) {
+        global.__API_SESSION_STORE__ = new Map();
+    }
+    return global.__API_SESSION_STORE__;
+}
+
+/**
+ * Gets the MIME type for a file name
+ * @param {string} fileName - File name or path
+ * @returns {string} - MIME type
+ */
+function getMimeType(fileName) {
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Builds a resource URI, encoding each path segment of a relative file path
+ * @param {string} collection - Collection name (URI host segment)
+ * @param {string} relativePath - Path relative to the collection directory
+ * @returns {string} - Resource URI
+ */
+function buildUri(collection, relativePath) {
+    const encoded = relativePath.split(path.sep).map(encodeURIComponent).join('/');
+    return `${URI_SCHEME}${collection}/${encoded}`;
+}
+
+/**
+ * Gets the resource URI for a file written by a tool
+ * @param {string} collection - Collection name ('screenshots', 'pdfs' or 'reports')
+ * @param {string} filePath - Absolute path of the written file
+ * @returns {string|null} - Resource URI, or null if the file is outside the collection directory
+ */
+function getResourceUri(collection, filePath) {
+    const spec = FILE_COLLECTIONS[collection];
+    if (!spec || !spec.extensions.includes(path.extname(filePath).toLowerCase())) {
+        return null;
+    }
+
+    const baseDir = path.resolve(spec.getDir());
+    const resolvedPath = path.resolve(filePath);
+    if (!resolvedPath.startsWith(baseDir + path.sep)) {
+        return null;
+    }
+
+    return buildUri(collection, path.relative(baseDir, resolvedPath));
+}
+
+/**
+ * Recursively lists files with matching extensions
+ * @param {string} dir - Directory to scan
+ * @param {Array<string>} extensions - Accepted file extensions
+ * @param {number} maxDepth - How many sub-directory levels to descend
+ * @param {string} relativeDir - Path of dir relative to the collection root
+ * @returns {Array<object>} - [{ relativePath, stats }]
+ */
+function listFiles(dir, extensions, maxDepth, relativeDir = '') {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+
+        const relativePath = path.join(relativeDir, entry.name);
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory() && maxDepth > 0) {
+            files.push(...listFiles(fullPath, extensions, maxDepth - 1, relativePath));
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+            files.push({ relativePath, stats: fs.statSync(fullPath) });
+        }
+    }
+    return files;
+}
+
+/**
+ * Lists the files of a file-backed collection, newest first
+ * @param {string} collection - Collection name ('screenshots', 'pdfs' or 'reports')
+ * @returns {Array<string>} - Paths relative to the collection directory
+ */
+function listCollectionFiles(collection) {
+    const spec = FILE_COLLECTIONS[collection];
+    if (!spec) {
+        return [];
+    }
+    return listFiles(spec.getDir(), spec.extensions, spec.maxDepth)
+        .sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs)
+        .map(file => file.relativePath);
+}
+
+/**
+ * Lists all available resources
+ * @returns {Array<object>} - MCP resource descriptors
+ */
+function listResources() {
+    const resources = [];
+
+    for (const [collection, spec] of Object.entries(FILE_COLLECTIONS)) {
+        const files = listFiles(spec.getDir(), spec.extensions, spec.maxDepth)
+            .sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs);
+
+        for (const { relativePath, stats } of files) {
+            resources.push({
+                uri: buildUri(collection, relativePath),
+                name: relativePath,
+                description: `${spec.description} (${stats.mtime.toISOString()})`,
+                mimeType: getMimeType(relativePath),
+                size: stats.size
+            });
+        }
+    }
+
+    for (const [sessionId, session] of getSessionStore()) {
+        resources.push({
+            uri: `${URI_SCHEME}api-sessions/${encodeURIComponent(sessionId)}`,
+            name: `API session ${sessionId}`,
+            description: `API test session (${session.status || 'unknown'}, ${(session.logs || []).length} log entries)`,
+            mimeType: 'application/json'
+        });
+    }
+
+    return resources;
+}
+
+/**
+ * Lists the URI templates clients can use to address resources directly
+ * @returns {Array<object>} - MCP resource template descriptors
+ */
+function listResourceTemplates() {
+    const templates = Object.entries(FILE_COLLECTIONS).map(([collection, spec]) => ({
+        uriTemplate: `${URI_SCHEME}${collection}/{file}`,
+        name: spec.name,
+        description: `${spec.description}, addressed by file name`
+    }));
+
+    templates.push({
+        uriTemplate: `${URI_SCHEME}api-sessions/{sessionId}`,
+        name: 'API session',
+        description: 'API test session logs and validation results, addressed by sessionId',
+        mimeType: 'application/json'
+    });
+
+    return templates;
+}
+
+/**
+ * Creates the MCP "resource not found" error
+ * @param {string} uri - The requested URI
+ * @returns {object} - MCP error object
+ */
+function resourceNotFound(uri) {
+    return {
+        code: -32002,
+        message: `Resource not found: ${uri}`,
+        data: { uri }
+    };
+}
+
+/**
+ * Creates the error for a URI whose percent-encoding is malformed
+ * @param {string} uri - The requested URI
+ * @returns {object} - MCP error object
+ */
+function invalidUri(uri) {
+    return {
+        code: -32602,
+        message: `Invalid resource URI: ${uri}`,
+        data: { uri }
+    };
+}
+
+/**
+ * Decodes one percent-encoded URI segment
+ * @param {string} segment - Encoded segment
+ * @param {string} uri - The requested URI, for the error
+ * @returns {string} - Decoded segment
+ */
+function decodeSegment(segment, uri) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw invalidUri(uri);
+    }
+}
+
+/**
+ * Checks that a file really lives inside a directory, following symlinks, so that a link
+ * placed in an output directory cannot expose files elsewhere on disk
+ * @param {string} filePath - Existing file path
+ * @param {string} baseDir - Collection directory
+ * @returns {boolean} - True if the file's real path is inside the directory's real path
+ */
+function isInsideDir(filePath, baseDir) {
+    try {
+        return fs.realpathSync(filePath).startsWith(fs.realpathSync(baseDir) + path.sep);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reads a resource by URI
+ * @param {string} uri - Resource URI
+ * @returns {Array<object>} - MCP resource contents (text or base64 blob)
+ */
+function readResource(uri) {
+    const match = typeof uri === 'string' && uri.match(/^dq:\/\/([^/]+)\/(.+)$/);
+    if (!match) {
+        throw resourceNotFound(uri);
+    }
+
+    const [, collection, rest] = match;
+
+    if (collection === 'api-sessions') {
+        const session = getSessionStore().get(decodeSegment(rest, uri));
+        if (!session) {
+            throw resourceNotFound(uri);
+        }
+        return [{
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(session, null, 2)
+        }];
+    }
+
+    const spec = FILE_COLLECTIONS[collection];
+    if (!spec) {
+        throw resourceNotFound(uri);
+    }
+
+    // Resolve inside the collection directory only
+    const baseDir = path.resolve(spec.getDir());
+    const relativePath = rest.split('/').map(segment => decodeSegment(segment, uri)).join(path.sep);
+    const filePath = path.resolve(baseDir, relativePath);
+
+    if (!filePath.startsWith(baseDir + path.sep)
+        || !spec.extensions.includes(path.extname(filePath).toLowerCase())
+        || !fs.existsSync(filePath)
+        || !fs.statSync(filePath).isFile()
+        || !isInsideDir(filePath, baseDir)) {
+        throw resourceNotFound(uri);
+    }
+
+    const mimeType = getMimeType(filePath);
+    const data = fs.readFileSync(filePath);
+
+    if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+        return [{ uri, mimeType, text: data.toString('utf8') }];
+    }
+    return [{ uri, mimeType, blob: data.toString('base64') }];
+}
+
+module.exports = {
+    listResources,
+    listResourceTemplates,
+    readResource,
+    listCollectionFiles,
+    getSessionStore,
+    getResourceUri,
+    getMimeType
+};
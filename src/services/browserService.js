@@ -4,9 +4,11 @@ const fs = require('fs');
 const path = require('path');
 const { findNodeBySelector, getElementClickCoordinates } = require('../utils/browserHelpers'); // Import helpers
 const config = require('../config');
+const logger = require('../utils/logger').createLogger('BrowserService');
 
 // A private in-memory store for our browser instances within the service
 // Each key will be a unique browserId, value will be { chromeInstance, cdpClient, userDataDir }
+// Browsers attached with connectBrowser have no chromeInstance and are marked `attached`
 const activeBrowsers = {};
 
 /**
@@ -16,9 +18,9 @@ const activeBrowsers = {};
 function ensureUserDataDir(dirPath) {
     if (!fs.existsSync(dirPath)) {
         fs.mkdirSync(dirPath, { recursive: true });
-        console.log(`[BrowserService] Created user data directory: ${dirPath}`);
+        logger.debug(`Created user data directory: ${dirPath}`);
     } else {
-        console.log(`[BrowserService] Using existing user data directory: ${dirPath}`);
+        logger.debug(`Using existing user data directory: ${dirPath}`);
     }
 }
 
@@ -31,6 +33,156 @@ function getBrowserInstance(browserId) {
     return activeBrowsers[browserId];
 }
 
+/**
+ * Lists the IDs of all running browser instances.
+ * @returns {Array<string>} - Active browser IDs, in launch order.
+ */
+function getActiveBrowserIds() {
+    return Object.keys(activeBrowsers);
+}
+
+/**
+ * Enables the CDP domains the browser tools rely on.
+ * @param {object} client - CDP client connected to a page target.
+ * @returns {Promise<void>}
+ */
+async function enableDomains(client) {
+    const { Page, Runtime, DOM, Network, Security, Input } = client; // Enable Input domain here
+    await Page.enable();
+    await Runtime.enable();
+    await DOM.enable();
+    await Network.enable();
+    await Security.enable();
+    //await Input.enable(); // Enable Input domain
+}
+
+/**
+ * Resolves where a running Chrome's DevTools endpoint is.
+ * @param {object} options - { host, port } or { webSocketUrl } (ws:// or wss://).
+ * @returns {object} - { host, port, secure, pageWebSocketUrl } where pageWebSocketUrl is set
+ *          when the WebSocket URL points at a page (/devtools/page/<id>) rather than the browser.
+ */
+function resolveEndpoint({ host, port, webSocketUrl } = {}) {
+    if (!webSocketUrl) {
+        return { host: host || '127.0.0.1', port: port || 9222, secure: false, pageWebSocketUrl: null };
+    }
+
+    let url;
+    try {
+        url = new URL(webSocketUrl);
+    } catch (error) {
+        throw new Error(`Invalid WebSocket URL: ${webSocketUrl}`);
+    }
+    if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+        throw new Error(`WebSocket URL must start with ws:// or wss://, got ${webSocketUrl}`);
+    }
+
+    const secure = url.protocol === 'wss:';
+    return {
+        host: url.hostname,
+        port: Number(url.port) || (secure ? 443 : 80),
+        secure,
+        pageWebSocketUrl: url.pathname.startsWith('/devtools/page/') ? webSocketUrl : null
+    };
+}
+
+/**
+ * Lists the page targets (tabs) of a Chrome started with --remote-debugging-port.
+ * @param {object} options - { host, port } or { webSocketUrl } of the running Chrome.
+ * @returns {Promise<Array<object>>} - { targetId, title, url, attachable } per page; a page is not
+ *          attachable while another client (e.g. an open DevTools window) is debugging it.
+ */
+async function listPageTargets(options) {
+    const { host, port, secure } = resolveEndpoint(options);
+    const targets = await CDP.List({ host, port, secure });
+    return targets
+        .filter(target => target.type === 'page')
+        .map(target => ({
+            targetId: target.id,
+            title: target.title,
+            url: target.url,
+            attachable: Boolean(target.webSocketDebuggerUrl),
+            webSocketDebuggerUrl: target.webSocketDebuggerUrl
+        }));
+}
+
+/**
+ * Attaches to a Chrome that is already running instead of launching one.
+ * The browser is registered like a launched one, but closeBrowser only detaches from it.
+ * @param {object} options - Connection options.
+ * @param {string} [options.host] - DevTools host (default 127.0.0.1).
+ * @param {number} [options.port] - DevTools port (default 9222).
+ * @param {string} [options.webSocketUrl] - ws:// URL of the browser or of a page, instead of host/port.
+ * @param {string} [options.targetId] - Page to attach to; defaults to the page in a page
+ *        WebSocket URL, otherwise the first attachable page.
+ * @param {string} [options.browserId] - ID to register the browser under.
+ * @returns {Promise<object>} - { browserId, host, port, targetId, pages }
+ */
+async function connectBrowser({ host, port, webSocketUrl, targetId, browserId } = {}) {
+    const endpoint = resolveEndpoint({ host, port, webSocketUrl });
+    const address = `${endpoint.host}:${endpoint.port}`;
+
+    const id = browserId || `connected-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    if (activeBrowsers[id]) {
+        throw new Error(`Browser ID '${id}' is already in use.`);
+    }
+
+    // A page WebSocket URL can be used as is; the page list is informational then
+    let pages;
+    try {
+        pages = await listPageTargets({ webSocketUrl, host, port });
+    } catch (error) {
+        if (!endpoint.pageWebSocketUrl || targetId) {
+            throw new Error(`Could not reach Chrome's DevTools endpoint at ${address} (start Chrome with --remote-debugging-port): ${error.message}`);
+        }
+        logger.debug(`Could not list page targets at ${address}:`, error.message);
+        pages = [];
+    }
+
+    let target;
+    let selectedId = targetId;
+    if (endpoint.pageWebSocketUrl && !targetId) {
+        target = endpoint.pageWebSocketUrl;
+        selectedId = new URL(target).pathname.split('/').pop();
+    } else {
+        const page = targetId
+            ? pages.find(candidate => candidate.targetId === targetId)
+            : pages.find(candidate => candidate.attachable);
+        if (!page) {
+            throw new Error(targetId
+                ? `No page target '${targetId}' at ${address}. Page targets: ${pages.map(candidate => candidate.targetId).join(', ') || 'none'}`
+                : `No page target to attach to at ${address}; open a tab in that Chrome first.`);
+        }
+        if (!page.attachable) {
+            throw new Error(`Page target '${page.targetId}' at ${address} is being debugged by another client (close its DevTools window).`);
+        }
+        target = page.webSocketDebuggerUrl;
+        selectedId = page.targetId;
+    }
+
+    logger.info(`Attaching to Chrome at ${address} (target: ${selectedId})...`);
+
+    // The bundled protocol descriptor spares a request to endpoints that only expose the WebSocket
+    const client = await CDP({ target, local: true });
+    try {
+        await enableDomains(client);
+    } catch (error) {
+        client.close();
+        throw error;
+    }
+
+    activeBrowsers[id] = { chromeInstance: null, cdpClient: client, userDataDir: null, attached: true, endpoint: address, targetId: selectedId };
+    logger.info(`Attached to Chrome at ${address} with ID: ${id}`);
+
+    return {
+        browserId: id,
+        host: endpoint.host,
+        port: endpoint.port,
+        targetId: selectedId,
+        pages: pages.map(({ webSocketDebuggerUrl, ...page }) => ({ ...page, connected: page.targetId === selectedId }))
+    };
+}
+
 /**
  * Launches a new Chrome instance.
  * @param {boolean} headless - Whether to run Chrome in headless mode.
@@ -50,7 +202,7 @@ async function launchBrowser(headless, port, userDataDir) {
             ensureUserDataDir(resolvedUserDataDir);
         }
 
-        console.log(`[BrowserService] Launching Chrome (headless: ${headless}, userDataDir: ${resolvedUserDataDir || 'temporary'})...`);
+        logger.info(`Launching Chrome (headless: ${headless}, userDataDir: ${resolvedUserDataDir || 'temporary'})...`);
 
         const launchOptions = {
             port: port,
@@ -69,7 +221,7 @@ async function launchBrowser(headless, port, userDataDir) {
         const browserId = userDataDir ? `profile-${path.basename(resolvedUserDataDir)}` : `browser-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 
         if (activeBrowsers[browserId]) {
-            console.warn(`[BrowserService] Warning: Browser ID '${browserId}' already exists. Overwriting.`);
+            logger.warning(`Browser ID '${browserId}' already exists. Overwriting.`);
             // In a real scenario, you might want more sophisticated handling here,
             // e.g., error if ID exists, or try to attach to existing.
             // For now, we're assuming a new launch means a fresh start or overwrite.
@@ -77,36 +229,30 @@ async function launchBrowser(headless, port, userDataDir) {
                 if (activeBrowsers[browserId].cdpClient) activeBrowsers[browserId].cdpClient.close();
                 if (activeBrowsers[browserId].chromeInstance) await activeBrowsers[browserId].chromeInstance.kill();
             } catch (cleanupErr) {
-                console.error(`[BrowserService] Error cleaning up old instance for ${browserId}:`, cleanupErr.message);
+                logger.error(`Error cleaning up old instance for ${browserId}:`, cleanupErr.message);
             }
         }
 
         activeBrowsers[browserId] = { chromeInstance: chrome, cdpClient: null, userDataDir: resolvedUserDataDir };
-        console.log(`[BrowserService] Chrome launched on port ${chrome.port} with ID: ${browserId}`);
+        logger.info(`Chrome launched on port ${chrome.port} with ID: ${browserId}`);
 
         client = await CDP({ port: chrome.port });
         activeBrowsers[browserId].cdpClient = client;
 
-        const { Page, Runtime, DOM, Network, Security, Input } = client; // Enable Input domain here
-        await Page.enable();
-        await Runtime.enable();
-        await DOM.enable();
-        await Network.enable();
-        await Security.enable();
-        //await Input.enable(); // Enable Input domain
+        await enableDomains(client);
 
-        console.log(`[BrowserService] CDP client connected and domains enabled for ${browserId}.`);
+        logger.info(`CDP client connected and domains enabled for ${browserId}.`);
 
         return { browserId, port: chrome.port, userDataDir: resolvedUserDataDir };
 
     } catch (error) {
-        console.error(`[BrowserService] Error launching browser:`, error);
+        logger.error(`Error launching browser:`, error);
         if (chrome && !client) { // If chrome launched but CDP connection failed
             try {
                 await chrome.kill();
-                console.log(`[BrowserService] Partially launched Chrome instance killed due to error.`);
+                logger.info(`Partially launched Chrome instance killed due to error.`);
             } catch (killError) {
-                console.error(`[BrowserService] Error killing partially launched Chrome:`, killError);
+                logger.error(`Error killing partially launched Chrome:`, killError);
             }
         }
         throw error; // Re-throw to be caught by the route handler
@@ -124,10 +270,10 @@ async function navigateBrowser(browserId, url) {
     if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
 
     const { cdpClient } = instance;
-    console.log(`[BrowserService] Browser ${browserId} navigating to: ${url}`);
+    logger.debug(`Browser ${browserId} navigating to: ${url}`);
     await cdpClient.Page.navigate({ url: url });
     await cdpClient.Page.loadEventFired(); // Wait for page to load
-    console.log(`[BrowserService] Browser ${browserId} successfully navigated to ${url}.`);
+    logger.debug(`Browser ${browserId} successfully navigated to ${url}.`);
 }
 
 /**
@@ -142,7 +288,7 @@ async function takeScreenshot(browserId, fileName = 'screenshot.png', saveToDisk
     if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
 
     const { cdpClient } = instance;
-    console.log(`[BrowserService] Taking screenshot for browser ${browserId}...`);
+    logger.debug(`Taking screenshot for browser ${browserId}...`);
     const screenshot = await cdpClient.Page.captureScreenshot({ format: 'png', quality: 80 });
 
     if (saveToDisk) {
@@ -153,10 +299,10 @@ async function takeScreenshot(browserId, fileName = 'screenshot.png', saveToDisk
         }
         const filePath = path.join(config.OUTPUT_DIR, fileName);
         fs.writeFileSync(filePath, screenshotBuffer);
-        console.log(`[BrowserService] Screenshot saved to ${filePath}`);
+        logger.debug(`Screenshot saved to ${filePath}`);
     }
 
-    console.log(`[BrowserService] Screenshot captured for browser ${browserId}.`);
+    logger.debug(`Screenshot captured for browser ${browserId}.`);
     return screenshot.data; // Always return base64 data to the caller (e.g., AI agent)
 }
 
@@ -170,13 +316,34 @@ async function getDomContent(browserId) {
     if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
 
     const { cdpClient } = instance;
-    console.log(`[BrowserService] Getting DOM for browser ${browserId}...`);
+    logger.debug(`Getting DOM for browser ${browserId}...`);
     const documentNode = await cdpClient.DOM.getDocument({ depth: -1 });
     const outerHTML = await cdpClient.DOM.getOuterHTML({ nodeId: documentNode.root.nodeId });
-    console.log(`[BrowserService] DOM content retrieved for browser ${browserId}.`);
+    logger.debug(`DOM content retrieved for browser ${browserId}.`);
     return outerHTML.outerHTML;
 }
 
+/**
+ * Gets the outer HTML of an element identified by a locator.
+ * @param {string} browserId - The ID of the browser instance.
+ * @param {object} locator - { type: 'css'|'xpath', value: 'selector' }
+ * @returns {Promise<string>} - The element's outer HTML.
+ */
+async function getElementHTML(browserId, locator) {
+    const instance = getBrowserInstance(browserId);
+    if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
+
+    const { cdpClient } = instance;
+
+    const nodeId = await findNodeBySelector(cdpClient, locator.type, locator.value);
+    if (!nodeId) {
+        throw new Error(`Element not found for locator: ${JSON.stringify(locator)}`);
+    }
+
+    const { outerHTML } = await cdpClient.DOM.getOuterHTML({ nodeId });
+    return outerHTML;
+}
+
 /**
  * Clicks an element identified by a locator.
  * @param {string} browserId - The ID of the browser instance.
@@ -190,7 +357,7 @@ async function clickElement(browserId, locator) {
     const { cdpClient } = instance;
     const { Input } = cdpClient;
 
-    console.log(`[BrowserService] Browser ${browserId}: Attempting to click element with locator:`, locator);
+    logger.debug(`Browser ${browserId}: Attempting to click element with locator:`, locator);
 
     const nodeId = await findNodeBySelector(cdpClient, locator.type, locator.value);
     if (!nodeId) {
@@ -217,7 +384,7 @@ async function clickElement(browserId, locator) {
         clickCount: 1
     });
 
-    console.log(`[BrowserService] Browser ${browserId}: Clicked element at x: ${coords.x}, y: ${coords.y}`);
+    logger.debug(`Browser ${browserId}: Clicked element at x: ${coords.x}, y: ${coords.y}`);
     return coords;
 }
 
@@ -226,16 +393,18 @@ async function clickElement(browserId, locator) {
  * @param {string} browserId - The ID of the browser instance.
  * @param {object} locator - { type: 'css'|'xpath', value: 'selector' }
  * @param {string} text - The text to type.
+ * @param {object} [options] - Typing options.
+ * @param {AbortSignal} [options.signal] - Stops typing between keystrokes when aborted.
  * @returns {Promise<void>}
  */
-async function typeIntoElement(browserId, locator, text) {
+async function typeIntoElement(browserId, locator, text, options = {}) {
     const instance = getBrowserInstance(browserId);
     if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
 
     const { cdpClient } = instance;
     const { DOM, Input } = cdpClient;
 
-    console.log(`[BrowserService] Browser ${browserId}: Attempting to type "${text}" into element with locator:`, locator);
+    logger.debug(`Browser ${browserId}: Attempting to type "${text}" into element with locator:`, locator);
 
     const nodeId = await findNodeBySelector(cdpClient, locator.type, locator.value);
     if (!nodeId) {
@@ -253,44 +422,55 @@ async function typeIntoElement(browserId, locator, text) {
     await new Promise(resolve => setTimeout(resolve, 50)); // Small delay for clear
 
     for (const char of text) {
+        if (options.signal && options.signal.aborted) {
+            const error = new Error('Typing into element cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
         await Input.dispatchKeyEvent({ type: 'keyDown', text: char, key: char });
         await Input.dispatchKeyEvent({ type: 'keyUp', text: char, key: char });
         await new Promise(resolve => setTimeout(resolve, 10)); // Small delay for realism
     }
 
-    console.log(`[BrowserService] Browser ${browserId}: Typed "${text}" into element.`);
+    logger.debug(`Browser ${browserId}: Typed "${text}" into element.`);
 }
 
 /**
  * Closes a specific browser instance.
+ * Browsers attached with connectBrowser are only detached from; their Chrome keeps running.
  * @param {string} browserId - The ID of the browser instance.
- * @returns {Promise<void>}
+ * @returns {Promise<object>} - { detached } - true if the browser was attached rather than launched.
  */
 async function closeBrowser(browserId) {
     const instance = getBrowserInstance(browserId);
     if (!instance) throw new Error(`Browser instance with ID '${browserId}' not found.`);
 
-    const { chromeInstance, cdpClient, userDataDir } = instance;
+    const { chromeInstance, cdpClient, userDataDir, attached } = instance;
 
-    console.log(`[BrowserService] Closing browser ${browserId} (profile: ${userDataDir || 'temporary'})...`);
+    if (attached) {
+        logger.info(`Detaching from browser ${browserId} at ${instance.endpoint} (Chrome keeps running)...`);
+    } else {
+        logger.info(`Closing browser ${browserId} (profile: ${userDataDir || 'temporary'})...`);
+    }
     if (cdpClient) {
         try {
             cdpClient.close();
-            console.log(`[BrowserService] CDP client disconnected for ${browserId}.`);
+            logger.debug(`CDP client disconnected for ${browserId}.`);
         } catch (err) {
-            console.warn(`[BrowserService] Error during CDP client close for ${browserId}:`, err.message);
+            logger.warning(`Error during CDP client close for ${browserId}:`, err.message);
         }
     }
-    if (chromeInstance) {
+    if (chromeInstance && !attached) {
         try {
             await chromeInstance.kill();
-            console.log(`[BrowserService] Chrome instance ${browserId} killed.`);
+            logger.debug(`Chrome instance ${browserId} killed.`);
         } catch (err) {
-            console.warn(`[BrowserService] Error during Chrome instance kill for ${browserId}:`, err.message);
+            logger.warning(`Error during Chrome instance kill for ${browserId}:`, err.message);
         }
     }
     delete activeBrowsers[browserId]; // Remove from our store
-    console.log(`[BrowserService] Browser ${browserId} removed from active list.`);
+    logger.debug(`Browser ${browserId} removed from active list.`);
+    return { detached: Boolean(attached) };
 }
 
 /**
@@ -300,24 +480,28 @@ async function closeBrowser(browserId) {
 async function shutdownAllBrowsers() {
     const browserIds = Object.keys(activeBrowsers);
     if (browserIds.length === 0) {
-        console.log('[BrowserService] No active browsers to shut down.');
+        logger.debug('No active browsers to shut down.');
         return;
     }
-    console.log(`[BrowserService] Shutting down ${browserIds.length} active browser(s)...`);
+    logger.info(`Shutting down ${browserIds.length} active browser(s)...`);
     await Promise.all(browserIds.map(id => closeBrowser(id).catch(err => {
-        console.error(`[BrowserService] Failed to gracefully close browser ${id}:`, err.message);
+        logger.error(`Failed to gracefully close browser ${id}:`, err.message);
         // Continue with other shutdowns even if one fails
     })));
-    console.log('[BrowserService] All active browsers shut down.');
+    logger.info('All active browsers shut down.');
 }
 
 
 module.exports = {
     launchBrowser,
+    connectBrowser,
+    listPageTargets,
     navigateBrowser,
     getBrowserInstance,
+    getActiveBrowserIds,
     takeScreenshot,
     getDomContent,
+    getElementHTML,
     clickElement,
     typeIntoElement,
     closeBrowser,
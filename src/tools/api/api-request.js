@@ -2,6 +2,7 @@ const ToolBase = require('../base/ToolBase');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { redact } = require('../../utils/redact');
 
 let z;
 try {
@@ -58,6 +59,9 @@ const apiRequestInputSchema = z.object({
     chain: z.array(chainStepSchema).optional()
 });
 
+// Methods that are safe to send again after a transient failure
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
 // --- In-memory session store ---
 const sessionStore = global.__API_SESSION_STORE__ || new Map();
 global.__API_SESSION_STORE__ = sessionStore;
@@ -68,7 +72,14 @@ global.__API_SESSION_STORE__ = sessionStore;
 class ApiRequestTool extends ToolBase {
     static definition = {
         name: "api_request",
+        title: "API Request",
         description: "Perform HTTP API requests with validation, session management, and request chaining capabilities for comprehensive API testing.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -204,7 +215,7 @@ class ApiRequestTool extends ToolBase {
         return input;
     }
 
-    async execute(parameters) {
+    async execute(parameters, { signal, reportProgress = () => {} } = {}) {
         try {
             // Validate input - try Zod first, fallback to simple validation
             let input;
@@ -215,7 +226,7 @@ class ApiRequestTool extends ToolBase {
                     input = this.validateInput(parameters);
                 }
             } catch (zodError) {
-                console.warn('Zod validation failed, using fallback validation:', zodError.message);
+                this.logger.warning('Zod validation failed, using fallback validation:', zodError.message);
                 input = this.validateInput(parameters);
             }
 
@@ -272,7 +283,11 @@ class ApiRequestTool extends ToolBase {
                 const stepVars = {};
                 const results = [];
 
-                for (const step of input.chain) {
+                for (const [index, step] of input.chain.entries()) {
+                    // Stop between steps if the call was cancelled
+                    this.throwIfAborted(signal);
+                    reportProgress(index, input.chain.length, `Step ${index + 1} of ${input.chain.length}: ${step.name}`);
+
                     // Validate step has required fields
                     if (!step.name || !step.url) {
                         throw new Error(`Invalid chain step: missing name or url`);
@@ -294,7 +309,7 @@ class ApiRequestTool extends ToolBase {
                             data = JSON.parse(renderTemplate(JSON.stringify(data), stepVars));
                         } catch (e) {
                             // If JSON parsing fails, keep original data
-                            console.warn('Failed to parse templated data, using original:', e.message);
+                            this.logger.warning('Failed to parse templated data, using original:', e.message);
                         }
                     }
 
@@ -303,7 +318,9 @@ class ApiRequestTool extends ToolBase {
                         step.method || 'GET',
                         url,
                         headers,
-                        data
+                        data,
+                        undefined,
+                        signal
                     );
 
                     const status = response.statusCode;
@@ -391,8 +408,8 @@ class ApiRequestTool extends ToolBase {
                         extracted
                     });
 
-                    // Log to session
-                    session.logs.push({
+                    // Log to session (secrets masked: logs feed status output and reports)
+                    session.logs.push(redact({
                         type: 'request',
                         request: {
                             method: step.method || 'GET',
@@ -410,15 +427,17 @@ class ApiRequestTool extends ToolBase {
                         validation,
                         bodyValidation,
                         timestamp: new Date().toISOString()
-                    });
+                    }));
                 }
 
+                reportProgress(input.chain.length, input.chain.length, 'Chain completed');
+
                 // Log to session
-                session.logs.push({
+                session.logs.push(redact({
                     type: 'chain',
                     steps: results,
                     timestamp: new Date().toISOString()
-                });
+                }));
                 session.status = 'completed';
 
                 return {
@@ -440,7 +459,9 @@ class ApiRequestTool extends ToolBase {
                 method || 'GET',
                 url,
                 headers,
-                data
+                data,
+                undefined,
+                signal
             );
 
             const status = response.statusCode;
@@ -503,7 +524,7 @@ class ApiRequestTool extends ToolBase {
 
             // Log to session
             if (session && session.logs) {
-                session.logs.push({
+                session.logs.push(redact({
                     type: 'single',
                     request: {
                         method: method || 'GET',
@@ -521,7 +542,7 @@ class ApiRequestTool extends ToolBase {
                     validation,
                     bodyValidation,
                     timestamp: new Date().toISOString()
-                });
+                }));
             }
 
             return {
@@ -540,11 +561,16 @@ class ApiRequestTool extends ToolBase {
             };
 
         } catch (error) {
+            // Cancellation is reported to the client as a protocol error, not a tool result
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
+
             // Error handling for API request execution
             const errorMessage = error.message || 'Unknown error occurred';
-            console.error('ApiRequestTool execution error:', errorMessage);
+            this.logger.error('Execution error:', errorMessage);
             
-            return {
+            const result = {
                 content: [{
                     type: 'text',
                     text: JSON.stringify({
@@ -552,15 +578,29 @@ class ApiRequestTool extends ToolBase {
                         message: errorMessage,
                         stack: error.stack
                     }, null, 2)
-                }]
+                }],
+                isError: true
             };
+
+            // Let ToolBase retry transient failures of single idempotent requests; a POST or
+            // PATCH may already have been applied, and a chain would repeat the steps that
+            // already succeeded. The result above is returned once the retries run out.
+            const method = (parameters.method || 'GET').toUpperCase();
+            if (!parameters.chain && IDEMPOTENT_METHODS.includes(method) && this.isRetryableError(error)) {
+                error.retryable = true;
+                error.toolResult = result;
+                throw error;
+            }
+
+            return result;
         }
     }
 
     /**
      * Make HTTP request using Node.js built-in modules
+     * The socket is destroyed as soon as the signal is aborted
      */
-    async makeHttpRequest(method, urlString, headers = {}, data, timeout = 30000) {
+    async makeHttpRequest(method, urlString, headers = {}, data, timeout = 30000, signal) {
         return new Promise((resolve, reject) => {
             let url;
             try {
@@ -614,7 +654,9 @@ class ApiRequestTool extends ToolBase {
             });
 
             req.on('error', (error) => {
-                reject(new Error(`Request failed: ${error.message}`));
+                const requestError = new Error(`Request failed: ${error.message}`);
+                requestError.code = error.code; // Keeps ECONNRESET etc. visible to the retry policy
+                reject(requestError);
             });
 
             req.on('timeout', () => {
@@ -622,6 +664,19 @@ class ApiRequestTool extends ToolBase {
                 reject(new Error(`Request timeout after ${timeout}ms`));
             });
 
+            if (signal) {
+                const onAbort = () => {
+                    req.destroy();
+                    reject(ToolBase.createAbortError(signal.reason));
+                };
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+                req.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+
             // Write back request body if present
             if (data) {
                 try {
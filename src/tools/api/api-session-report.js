@@ -1,7 +1,8 @@
 const ToolBase = require('../base/ToolBase');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { getReportsDir } = require('../../utils/outputPaths');
+const { getResourceUri } = require('../../resources');
 
 /**
  * API Session Report Tool - Generate comprehensive HTML reports for API test sessions
@@ -9,7 +10,14 @@ const os = require('os');
 class ApiSessionReportTool extends ToolBase {
     static definition = {
         name: "api_session_report",
+        title: "API Session Report",
         description: "Generate comprehensive HTML report for API test session with detailed request/response logs, validation results, and timing analysis.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -79,18 +87,8 @@ class ApiSessionReportTool extends ToolBase {
         }
         this.sessionStore = global.__API_SESSION_STORE__;
 
-        // Try to use reports directory in current working directory first
-        let defaultOutputDir;
-        try {
-            defaultOutputDir = path.join(process.cwd(), 'reports');
-        } catch (error) {
-            // Fallback to existing logic if current working directory is not accessible
-            defaultOutputDir = process.env.HOME
-                ? path.join(process.env.HOME, '.mcp-browser-control')
-                : path.join(os.tmpdir(), 'mcp-browser-control');
-        }
-        
-        this.outputDir = process.env.OUTPUT_DIR || defaultOutputDir;
+        // Use OUTPUT_DIR, or a reports directory in the current working directory
+        this.outputDir = getReportsDir();
         
         // Ensure output directory exists
         try {
@@ -98,11 +96,11 @@ class ApiSessionReportTool extends ToolBase {
                 fs.mkdirSync(this.outputDir, { recursive: true });
             }
         } catch (error) {
-            console.warn(`Warning: Could not create output directory ${this.outputDir}:`, error.message);
+            this.logger.warning(`Could not create output directory ${this.outputDir}:`, error.message);
         }
     }
 
-    async execute(parameters) {
+    async execute(parameters, { reportProgress = () => {} } = {}) {
         const {
             sessionId,
             outputPath,
@@ -130,6 +128,7 @@ class ApiSessionReportTool extends ToolBase {
             }
 
             // Generate report data
+            reportProgress(0, 3, `Collecting ${(session.logs || []).length} log entries`);
             const reportData = this.generateReportData(
                 session,
                 includeRequestData,
@@ -138,6 +137,7 @@ class ApiSessionReportTool extends ToolBase {
             );
 
             // Generate HTML content
+            reportProgress(1, 3, 'Rendering HTML report');
             const htmlContent = this.generateHtmlReport(reportData, title, theme);
 
             // Write report to file
@@ -148,12 +148,14 @@ class ApiSessionReportTool extends ToolBase {
                 fs.mkdirSync(outputDir, { recursive: true });
             }
 
+            reportProgress(2, 3, `Writing ${fullOutputPath}`);
             fs.writeFileSync(fullOutputPath, htmlContent, 'utf8');
+            reportProgress(3, 3, 'Report generated');
 
             // Get file size
             const stats = fs.statSync(fullOutputPath);
 
-            return {
+            const result = {
                 success: true,
                 reportPath: fullOutputPath,
                 fileSize: stats.size,
@@ -165,6 +167,20 @@ class ApiSessionReportTool extends ToolBase {
                 reportUrl: `file://${fullOutputPath}`
             };
 
+            // Link the report so MCP clients can open it through resources/read
+            const content = [this.createTextContent(result)];
+            const resourceUri = getResourceUri('reports', fullOutputPath);
+            if (resourceUri) {
+                content.push(this.createResourceLink(resourceUri, {
+                    name: path.basename(fullOutputPath),
+                    mimeType: 'text/html',
+                    description: `${title} for session ${sessionId}`,
+                    size: stats.size
+                }));
+            }
+
+            return { content, structuredContent: result };
+
         } catch (error) {
             return {
                 success: false,
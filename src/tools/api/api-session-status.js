@@ -6,7 +6,14 @@ const ToolBase = require('../base/ToolBase');
 class ApiSessionStatusTool extends ToolBase {
     static definition = {
         name: "api_session_status",
+        title: "API Session Status",
         description: "Query API test session status, logs, and results by sessionId. Provides detailed information about request history and validation results.",
+        annotations: {
+            readOnlyHint: true,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -1,3 +1,27 @@
+const { validateSchema } = require('../../utils/schemaValidator');
+const { redact } = require('../../utils/redact');
+const { resolveSecrets } = require('../../utils/secrets');
+
+// MCP content block types a tool may return directly
+const CONTENT_BLOCK_TYPES = ['text', 'image', 'audio', 'resource', 'resource_link'];
+
+// Errors that are never retried: bad input, broken output, cancellation and timeouts
+const NON_RETRYABLE_ERRORS = ['ValidationError', 'OutputValidationError', 'AbortError', 'TimeoutError'];
+
+// Transient failures worth another attempt: CDP execution contexts lost during navigation,
+// elements that have not rendered yet, and connections dropped by the peer
+const RETRYABLE_ERROR_CODES = ['ECONNRESET'];
+const RETRYABLE_ERROR_PATTERNS = [
+    /Cannot find context with specified id/i,
+    /Execution context was destroyed/i,
+    /element not found/i,
+    /ECONNRESET/,
+    /socket hang up/i
+];
+
+// Behaviour hints a tool definition may declare under `annotations` (titles go in `title`)
+const TOOL_ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
 /**
  * Base class for all MCP tools
  * Provides common functionality and enforces a consistent interface
@@ -18,6 +42,9 @@ class ToolBase {
         // Initialize configuration
         this.config = require('../../config');
         this.toolConfig = this._getToolConfig();
+
+        // Per-tool logger, forwarded to clients as notifications/message
+        this.logger = require('../../utils/logger').createLogger(`Tool:${this.constructor.definition.name}`);
     }
 
     /**
@@ -28,26 +55,37 @@ class ToolBase {
         const toolName = this.constructor.definition.name;
         const category = this._getToolCategory(toolName);
         
+        // Category configs already include tools/default.js; leave out the
+        // sections of the other tools in the category (keyed by tool name)
+        const categoryConfig = Object.fromEntries(
+            Object.entries(this.config.getToolConfig(category) || {})
+                .filter(([key]) => !key.startsWith(`${category}_`))
+        );
+        
         // Get configuration in order of precedence:
         // 1. Tool-specific config
         // 2. Category config
         // 3. Default config
         return {
-            ...this.config.getToolConfig('default', {}),
-            ...this.config.getToolConfig(category, {}),
+            ...this.config.getToolConfig('default'),
+            ...categoryConfig,
             ...this.config.getToolConfig(category, toolName)
         };
     }
 
     /**
-     * Get tool category from tool name
+     * Get tool category: the class's static `category` if declared (plugins), otherwise from the tool name prefix
      * @param {string} toolName - The tool name
      * @returns {string} - The tool category
      */
     _getToolCategory(toolName) {
+        if (this.constructor.category) return this.constructor.category;
+        if (toolName.startsWith('api_')) return 'api';
         if (toolName.startsWith('browser_')) return 'browser';
         if (toolName.startsWith('file_')) return 'file';
         if (toolName.startsWith('network_')) return 'network';
+        if (toolName.startsWith('workflow_')) return 'workflow';
+        if (toolName.startsWith('server_')) return 'server';
         return 'other';
     }
 
@@ -76,45 +114,46 @@ class ToolBase {
         if (!definition.input_schema.type || definition.input_schema.type !== 'object') {
             throw new Error("Tool input_schema must be of type 'object'");
         }
+
+        if (definition.title !== undefined && typeof definition.title !== 'string') {
+            throw new Error("Tool title must be a string");
+        }
+
+        if (definition.annotations !== undefined) {
+            if (!definition.annotations || typeof definition.annotations !== 'object' || Array.isArray(definition.annotations)) {
+                throw new Error("Tool annotations must be an object");
+            }
+            for (const [hint, value] of Object.entries(definition.annotations)) {
+                if (!TOOL_ANNOTATION_HINTS.includes(hint)) {
+                    throw new Error(`Unknown tool annotation: ${hint}`);
+                }
+                if (typeof value !== 'boolean') {
+                    throw new Error(`Tool annotation '${hint}' must be a boolean`);
+                }
+            }
+        }
     }
 
     /**
-     * Validates input parameters against the tool's schema
+     * Validates input parameters against the tool's input_schema (JSON Schema draft-07)
+     * Honors `tools.validationLevel`, overridable per tool with `validationLevel`:
+     * 'strict' enforces the whole schema, 'loose' ignores additionalProperties, 'none' skips validation
      * @param {object} parameters - The input parameters to validate
      */
     validateParameters(parameters) {
-        const schema = this.constructor.definition.input_schema;
-        
-        // Check required parameters
-        if (schema.required) {
-            for (const required of schema.required) {
-                if (parameters[required] === undefined || parameters[required] === null) {
-                    throw new Error(`Missing required parameter: ${required}`);
-                }
-            }
-        }
-        
-        // Basic type checking for defined properties
-        if (schema.properties) {
-            for (const [key, value] of Object.entries(parameters)) {
-                if (schema.properties[key]) {
-                    const expectedType = schema.properties[key].type;
-                    const actualType = typeof value;
-                    
-                    if (expectedType === 'string' && actualType !== 'string') {
-                        throw new Error(`Parameter '${key}' must be a string, got ${actualType}`);
-                    }
-                    if (expectedType === 'number' && actualType !== 'number') {
-                        throw new Error(`Parameter '${key}' must be a number, got ${actualType}`);
-                    }
-                    if (expectedType === 'boolean' && actualType !== 'boolean') {
-                        throw new Error(`Parameter '${key}' must be a boolean, got ${actualType}`);
-                    }
-                    if (expectedType === 'object' && (actualType !== 'object' || Array.isArray(value))) {
-                        throw new Error(`Parameter '${key}' must be an object, got ${actualType}`);
-                    }
-                }
-            }
+        const level = this.getConfig('validationLevel', this.config.get('tools.validationLevel', 'strict'));
+        if (level === 'none') return;
+
+        const errors = validateSchema(parameters, this.constructor.definition.input_schema, {
+            rootName: 'parameters',
+            ignoreAdditionalProperties: level === 'loose'
+        });
+
+        if (errors.length > 0) {
+            const error = new Error(errors.join('; '));
+            error.name = 'ValidationError';
+            error.validationErrors = errors;
+            throw error;
         }
     }
 
@@ -122,94 +161,533 @@ class ToolBase {
      * Executes the tool with the given parameters
      * This method must be implemented by subclasses
      * @param {object} parameters - The input parameters
+     * @param {object} context - Execution context
+     * @param {AbortSignal} context.signal - Aborted when the call is cancelled or times out;
+     *        long-running tools should stop their work (CDP waits, sockets) when it fires
+     * @param {Function} context.reportProgress - (progress, total, message) sends notifications/progress
+     *        when the caller asked for progress; a no-op otherwise
+     * @param {object} context.client - { protocolVersion, clientInfo, capabilities } of the calling
+     *        client, when the call came from one
      * @returns {Promise<any>} - The tool execution result
      */
-    async execute(parameters) {
+    async execute(parameters, context) {
         throw new Error("execute() method must be implemented by subclasses");
     }
 
     /**
      * Wrapper method that handles validation, execution, and error handling
      * @param {object} parameters - The input parameters
+     * @param {object} options - Execution options
+     * @param {AbortSignal} options.signal - Signal aborted when the client cancels the request
+     * @param {Function} options.onProgress - Receives ({ progress, total, message }) updates from the tool
+     * @param {object} options.client - Session of the calling client, passed on to execute()
      * @returns {Promise<object>} - Formatted MCP response
      */
-    async run(parameters = {}) {
+    async run(parameters = {}, options = {}) {
         const toolName = this.constructor.definition.name;
         const enableDebug = this.config.isFeatureEnabled('enableDebugMode');
         
         try {
-            if (enableDebug) {
-                console.error(`[Tool:${toolName}] Executing with parameters:`, JSON.stringify(parameters));
-            }
+            this.logger.debug('Executing with parameters:', JSON.stringify(redact(parameters)));
+
+            // {{secret:NAME}} references are resolved here, so only execute() sees the values
+            const resolvedParameters = resolveSecrets(parameters);
             
             // Validate input parameters if validation is enabled
             if (this.getConfig('enableInputValidation', true)) {
-                this.validateParameters(parameters);
+                try {
+                    this.validateParameters(resolvedParameters);
+                } catch (error) {
+                    if (error.name !== 'ValidationError' || this.getConfig('throwOnValidationError', true)) {
+                        throw error;
+                    }
+                    this.logger.warning('Continuing with invalid parameters:', error.message);
+                }
             }
             
-            // Execute the tool with timeout if configured
-            const timeout = this.getConfig('timeout', 30000);
-            const result = await this._executeWithTimeout(parameters, timeout);
+            // Execute the tool with timeout and retries if configured
+            const { result, retryErrors } = await this._executeWithRetry(resolvedParameters, options);
             
-            if (enableDebug) {
-                console.error(`[Tool:${toolName}] Execution successful`);
-            }
+            this.logger.debug('Execution successful');
             
-            // Return formatted MCP response
-            return {
-                content: [{
-                    type: "text",
-                    text: JSON.stringify(result)
-                }]
-            };
+            return this._formatResponse(result, retryErrors);
             
         } catch (error) {
+            // The tool reports this failure as a result (e.g. isError), once retries ran out
+            if (error && error.toolResult !== undefined) {
+                return this._formatResponse(error.toolResult, error.retryErrors || []);
+            }
+
             const enableDetailedErrors = this.getConfig('enableDetailedErrors', true);
             
-            if (enableDetailedErrors || enableDebug) {
-                console.error(`[Tool:${toolName}] Error during execution:`, error.message);
+            if (error.name === 'AbortError') {
+                this.logger.info('Execution cancelled:', error.message);
+            } else if (enableDetailedErrors || enableDebug) {
+                this.logger.error('Error during execution:', error.message);
+            }
+            
+            // Cancelled by the client
+            if (error.name === 'AbortError') {
+                throw {
+                    code: -32800,
+                    message: `Tool '${toolName}' execution cancelled: ${error.message}`,
+                    data: {
+                        tool_name: toolName,
+                        cancelled: true,
+                        reason: error.message
+                    }
+                };
             }
             
-            // Throw properly formatted MCP error
-            throw {
+            // The client sent parameters that do not match input_schema
+            if (error.name === 'ValidationError') {
+                throw redact({
+                    code: -32602,
+                    message: `Invalid parameters for tool '${toolName}': ${error.message}`,
+                    data: {
+                        tool_name: toolName,
+                        validation_errors: error.validationErrors
+                    }
+                });
+            }
+            
+            // The tool ran but broke its own output_schema
+            if (error.name === 'OutputValidationError') {
+                throw redact({
+                    code: -32603,
+                    message: `Tool '${toolName}' returned output that does not match its output_schema: ${error.message}`,
+                    data: {
+                        tool_name: toolName,
+                        validation_errors: error.validationErrors
+                    }
+                });
+            }
+            
+            // Failed attempts before the final one, if the error was retried
+            const retryData = error.retryErrors && error.retryErrors.length > 0 ? {
+                attempts: error.retryErrors.length + 1,
+                retry_errors: error.retryErrors
+            } : {};
+            
+            // Throw properly formatted MCP error, with secrets in the parameters and config masked
+            throw redact({
                 code: -32000,
                 message: `Tool '${toolName}' execution failed: ${error.message}`,
                 data: enableDetailedErrors ? {
                     tool_name: toolName,
                     parameters: parameters,
                     original_error: error.message,
+                    ...retryData,
                     config: this.toolConfig
                 } : {
                     tool_name: toolName,
-                    original_error: error.message
+                    original_error: error.message,
+                    ...retryData
                 }
-            };
+            });
+        }
+    }
+
+    /**
+     * Formats a tool result as the MCP response, noting any failed attempts that were retried;
+     * resolved secrets are masked, response fields such as `token` are kept
+     * @param {any} result - The tool execution result
+     * @param {Array<string>} retryErrors - Messages of the failed attempts before this one
+     * @returns {object} - Formatted MCP response
+     */
+    _formatResponse(result, retryErrors) {
+        const response = this._formatResult(result);
+        if (retryErrors.length > 0) {
+            return redact({
+                ...response,
+                _meta: {
+                    ...response._meta,
+                    retry: { attempts: retryErrors.length + 1, errors: retryErrors }
+                }
+            }, { keys: false });
+        }
+        return redact(response, { keys: false });
+    }
+
+    /**
+     * Validates structured output against the tool's output_schema
+     * Uses the same validator as validateParameters; null values count as absent
+     * @param {any} output - The structured result
+     */
+    validateOutput(output) {
+        const schema = this.constructor.definition.output_schema;
+        if (!schema) return;
+
+        const errors = validateSchema(output, schema, { rootName: 'output', nullAsAbsent: true });
+
+        if (errors.length > 0) {
+            const error = new Error(errors.join('; '));
+            error.name = 'OutputValidationError';
+            error.validationErrors = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Formats a tool result as an MCP tools/call response
+     * Results that already carry MCP content blocks (text, image, resource, resource_link)
+     * are passed through; anything else is serialized into a single text block.
+     * Tools with an output_schema also return the result as structuredContent,
+     * validated against the schema when enableOutputValidation is set
+     * @param {any} result - The value returned by execute()
+     * @returns {object} - MCP tools/call result
+     */
+    _formatResult(result) {
+        const hasOutputSchema = !!this.constructor.definition.output_schema;
+        const validateOutput = hasOutputSchema && this.getConfig('enableOutputValidation', false);
+
+        if (ToolBase.isContentResult(result)) {
+            if (validateOutput && result.structuredContent !== undefined) {
+                this.validateOutput(result.structuredContent);
+            }
+            return result;
+        }
+
+        if (validateOutput) {
+            this.validateOutput(result);
         }
+
+        const response = {
+            content: [this.createTextContent(result)]
+        };
+
+        if (hasOutputSchema && result && typeof result === 'object' && !Array.isArray(result)) {
+            response.structuredContent = result;
+        }
+
+        return response;
+    }
+
+    /**
+     * Creates a text content block
+     * @param {any} value - Text, or a value to serialize as JSON
+     * @returns {object} - MCP text content block
+     */
+    createTextContent(value) {
+        return {
+            type: "text",
+            text: typeof value === 'string' ? value : JSON.stringify(value)
+        };
+    }
+
+    /**
+     * Creates an image content block
+     * @param {string} data - Base64 encoded image data
+     * @param {string} mimeType - Image MIME type (e.g. 'image/png')
+     * @returns {object} - MCP image content block
+     */
+    createImageContent(data, mimeType) {
+        return {
+            type: "image",
+            data,
+            mimeType
+        };
+    }
+
+    /**
+     * Creates a resource_link content block pointing at a resource the client can read
+     * @param {string} uri - Resource URI (e.g. dq://pdfs/report.pdf)
+     * @param {object} details - { name, mimeType, description, size }
+     * @returns {object} - MCP resource_link content block
+     */
+    createResourceLink(uri, details = {}) {
+        return {
+            type: "resource_link",
+            uri,
+            ...details
+        };
+    }
+
+    /**
+     * Creates an embedded resource content block
+     * @param {string} uri - Resource URI
+     * @param {string} mimeType - Resource MIME type
+     * @param {object} contents - { text } or { blob } (base64)
+     * @returns {object} - MCP resource content block
+     */
+    createEmbeddedResource(uri, mimeType, contents) {
+        return {
+            type: "resource",
+            resource: {
+                uri,
+                mimeType,
+                ...contents
+            }
+        };
+    }
+
+    /**
+     * Checks whether a tool result is already an MCP content result
+     * @param {any} result - The value returned by execute()
+     * @returns {boolean} - True if the result has a content array of MCP blocks
+     */
+    static isContentResult(result) {
+        return !!result
+            && Array.isArray(result.content)
+            && result.content.length > 0
+            && result.content.every(block => block && CONTENT_BLOCK_TYPES.includes(block.type));
+    }
+
+    /**
+     * Executes the tool, retrying retryable failures with exponential backoff and jitter
+     * Each attempt gets the full tool timeout. The wait between attempts ends early when the
+     * caller's signal is aborted, and progress stays monotonic across attempts.
+     * Configured per tool through enableRetries, retryAttempts, retryDelay, maxRetryDelay,
+     * retryJitter and retryableErrors
+     * @param {object} parameters - The input parameters
+     * @param {object} options - { signal, onProgress } from run()
+     * @returns {Promise<object>} - { result, retryErrors } with the messages of failed attempts
+     */
+    async _executeWithRetry(parameters, options = {}) {
+        const timeout = this.getConfig('timeout', 30000);
+        const retryAttempts = this.getConfig('enableRetries', true)
+            ? Math.max(0, this.getConfig('retryAttempts', 0))
+            : 0;
+        const retryErrors = [];
+
+        // Only tools whose calls can safely run twice are re-run on any transient failure;
+        // other tools must mark the error `retryable = true` themselves
+        const { annotations = {} } = this.constructor.definition;
+        const repeatable = annotations.idempotentHint === true || annotations.readOnlyHint === true;
+
+        let lastProgress = -Infinity;
+        const onProgress = typeof options.onProgress === 'function'
+            ? (update) => {
+                if (update.progress > lastProgress) {
+                    lastProgress = update.progress;
+                    options.onProgress(update);
+                }
+            }
+            : undefined;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await this._executeWithTimeout(parameters, timeout, { ...options, onProgress });
+                return { result, retryErrors };
+            } catch (error) {
+                const mayRetry = this.isRetryableError(error) && (repeatable || error.retryable === true);
+                if (attempt > retryAttempts || !mayRetry) {
+                    if (error && typeof error === 'object') {
+                        error.retryErrors = retryErrors;
+                    }
+                    throw error;
+                }
+
+                const delay = this._getRetryDelay(attempt);
+                retryErrors.push(error.message);
+                this.logger.info(`Attempt ${attempt} of ${retryAttempts + 1} failed (${error.message}), retrying in ${delay}ms`);
+                await this.sleep(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a failed attempt should be retried
+     * An explicit boolean `retryable` on the error wins; otherwise validation, cancellation and
+     * timeout errors are final, and known transient failures or messages matching the tool's
+     * `retryableErrors` patterns are retried
+     * @param {Error} error - The error thrown by execute()
+     * @returns {boolean} - True if another attempt may succeed
+     */
+    isRetryableError(error) {
+        if (!error || typeof error !== 'object') return false;
+        if (typeof error.retryable === 'boolean') return error.retryable;
+        if (NON_RETRYABLE_ERRORS.includes(error.name)) return false;
+        if (RETRYABLE_ERROR_CODES.includes(error.code)) return true;
+
+        const message = String(error.message || '');
+        const patterns = [
+            ...RETRYABLE_ERROR_PATTERNS,
+            ...this.getConfig('retryableErrors', []).map(pattern => new RegExp(pattern, 'i'))
+        ];
+        return patterns.some(pattern => pattern.test(message));
+    }
+
+    /**
+     * Computes the wait before a retry: retryDelay doubled per attempt, capped at
+     * maxRetryDelay, with up to retryJitter of it randomized so clients do not retry in lockstep
+     * @param {number} attempt - The attempt that just failed (1-based)
+     * @returns {number} - Delay in milliseconds
+     */
+    _getRetryDelay(attempt) {
+        const baseDelay = this.getConfig('retryDelay', 1000);
+        const maxDelay = this.getConfig('maxRetryDelay', 10000);
+        const jitter = Math.min(Math.max(this.getConfig('retryJitter', 0.5), 0), 1);
+
+        const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+        return Math.round(delay * (1 - jitter * Math.random()));
     }
 
     /**
      * Execute the tool with a timeout
+     * The signal handed to execute() is aborted on timeout or when the caller's signal fires,
+     * so the tool stops its work instead of running on in the background
      * @param {object} parameters - The input parameters
      * @param {number} timeout - Timeout in milliseconds
+     * @param {object} options - { signal, onProgress } from run()
      * @returns {Promise<any>} - Execution result
      */
-    async _executeWithTimeout(parameters, timeout) {
-        return new Promise(async (resolve, reject) => {
+    async _executeWithTimeout(parameters, timeout, options = {}) {
+        const { signal, onProgress } = options;
+        const controller = new AbortController();
+        const reportProgress = this._createProgressReporter(onProgress, controller.signal);
+        let abortError = null;
+
+        return new Promise((resolve, reject) => {
+            const abort = (error) => {
+                if (abortError) return;
+                abortError = error;
+                controller.abort(error);
+                cleanup();
+                reject(error);
+            };
+
             const timeoutId = setTimeout(() => {
-                reject(new Error(`Tool execution timed out after ${timeout}ms`));
+                const error = new Error(`Tool execution timed out after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                abort(error);
             }, timeout);
-            
-            try {
-                const result = await this.execute(parameters);
+
+            const onCallerAbort = () => abort(ToolBase.createAbortError(signal.reason));
+
+            const cleanup = () => {
                 clearTimeout(timeoutId);
-                resolve(result);
+                if (signal) {
+                    signal.removeEventListener('abort', onCallerAbort);
+                }
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    return onCallerAbort();
+                }
+                signal.addEventListener('abort', onCallerAbort, { once: true });
+            }
+
+            Promise.resolve()
+                .then(() => this.execute(parameters, { signal: controller.signal, reportProgress, client: options.client }))
+                .then((result) => {
+                    if (abortError) return;
+                    cleanup();
+                    resolve(result);
+                }, (error) => {
+                    if (abortError) return;
+                    cleanup();
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Creates the reportProgress(progress, total, message) helper handed to execute()
+     * Progress must increase with every notification, so stale or repeated values are dropped,
+     * as are updates sent after the execution was cancelled
+     * @param {Function} onProgress - Callback receiving { progress, total, message }, if the caller wants progress
+     * @param {AbortSignal} signal - The execution signal
+     * @returns {Function} - (progress, total, message) => void
+     */
+    _createProgressReporter(onProgress, signal) {
+        if (typeof onProgress !== 'function') {
+            return () => {};
+        }
+
+        let lastProgress = -Infinity;
+
+        return (progress, total, message) => {
+            if (signal.aborted || typeof progress !== 'number' || progress <= lastProgress) {
+                return;
+            }
+            lastProgress = progress;
+
+            try {
+                onProgress({ progress, total, message });
             } catch (error) {
-                clearTimeout(timeoutId);
-                reject(error);
+                this.logger.warning('Failed to report progress:', error.message);
             }
+        };
+    }
+
+    /**
+     * Throws if the execution has been cancelled or has timed out
+     * @param {AbortSignal} signal - The execution signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw ToolBase.createAbortError(signal.reason);
+        }
+    }
+
+    /**
+     * Waits for a delay, rejecting early if the execution is aborted
+     * @param {number} milliseconds - Delay in milliseconds
+     * @param {AbortSignal} signal - The execution signal
+     * @returns {Promise<void>}
+     */
+    sleep(milliseconds, signal) {
+        return this.withAbort(new Promise(resolve => setTimeout(resolve, milliseconds)), signal);
+    }
+
+    /**
+     * Races a promise against the execution signal
+     * @param {Promise<any>} promise - The pending operation
+     * @param {AbortSignal} signal - The execution signal
+     * @param {Function} onAbort - Optional cleanup that stops the underlying work (e.g. Page.stopLoading)
+     * @returns {Promise<any>} - The operation result
+     */
+    withAbort(promise, signal, onAbort) {
+        if (!signal) return promise;
+        this.throwIfAborted(signal);
+
+        return new Promise((resolve, reject) => {
+            const handleAbort = () => {
+                if (onAbort) {
+                    Promise.resolve().then(onAbort).catch(() => {});
+                }
+                reject(ToolBase.createAbortError(signal.reason));
+            };
+            signal.addEventListener('abort', handleAbort, { once: true });
+
+            Promise.resolve(promise).then((value) => {
+                signal.removeEventListener('abort', handleAbort);
+                resolve(value);
+            }, (error) => {
+                signal.removeEventListener('abort', handleAbort);
+                reject(error);
+            });
         });
     }
 
+    /**
+     * Creates the error thrown when an execution is aborted
+     * Timeout errors are passed through unchanged so they keep their message
+     * @param {any} reason - The abort reason (Error or string)
+     * @returns {Error} - An error named 'AbortError' or 'TimeoutError'
+     */
+    static createAbortError(reason) {
+        if (reason instanceof Error && (reason.name === 'AbortError' || reason.name === 'TimeoutError')) {
+            return reason;
+        }
+        const message = reason instanceof Error ? reason.message : (reason || 'Request cancelled by client');
+        const error = new Error(String(message));
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Checks whether an error was caused by cancellation or timeout
+     * Tools that turn failures into result objects should rethrow these instead
+     * @param {Error} error - The error to check
+     * @returns {boolean} - True for abort and timeout errors
+     */
+    static isAbortError(error) {
+        return !!error && (error.name === 'AbortError' || error.name === 'TimeoutError');
+    }
+
     /**
      * Gets the tool definition
      * @returns {object} - The tool definition
@@ -0,0 +1,296 @@
+const config = require('../../config');
+const logger = require('../../utils/logger').createLogger('ToolLimiter');
+
+/**
+ * Tool Limiter - Rate limits and concurrency limits for tool executions
+ *
+ * Rate limits are token buckets, checked before a tool runs:
+ * - `rateLimit: { enabled, maxRequests, windowMs, scope }` from the tool configuration,
+ *   counted per tool or, with scope 'category', shared by every tool of the category
+ * - `maxRequestsPerSecond` (api_request), enabled together with `rateLimitEnabled`
+ * - `security.maxRequestsPerMinute` across all tools
+ * Tool-level limits apply when the tool enables them or `security.rateLimiting` is on.
+ *
+ * Concurrency is limited with semaphores: calls that target the same browserId run one at a
+ * time, and browser tools share `tools.browser.global.maxConcurrentOperations` slots.
+ */
+
+// JSON-RPC error code for rejected calls (mirrors HTTP 429)
+const RATE_LIMITED = -32029;
+
+/**
+ * Token bucket holding up to `capacity` tokens, refilled evenly over `windowMs`
+ */
+class TokenBucket {
+    /**
+     * @param {number} capacity - Maximum burst size (maxRequests)
+     * @param {number} windowMs - Time in which a full bucket is refilled
+     */
+    constructor(capacity, windowMs) {
+        this.capacity = capacity;
+        this.windowMs = windowMs;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.capacity / this.windowMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Gets the time until a token is available
+     * @returns {number} - Milliseconds to wait, 0 if a token is available now
+     */
+    getRetryAfter() {
+        this._refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.windowMs / this.capacity);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Counting semaphore whose waiters are served in FIFO order and can be aborted
+ */
+class Semaphore {
+    /**
+     * @param {number} limit - Number of holders allowed at once
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiters = [];
+    }
+
+    /**
+     * Waits for a slot
+     * @param {AbortSignal} signal - Aborts the wait
+     * @returns {Promise<Function>} - Releases the slot; safe to call more than once
+     */
+    acquire(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                grant: () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    this.active++;
+                    resolve(this._createRelease());
+                }
+            };
+            const onAbort = () => {
+                this.waiters = this.waiters.filter(other => other !== waiter);
+                reject(signal.reason);
+            };
+
+            if (this.active < this.limit) {
+                waiter.grant();
+                return;
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            this.waiters.push(waiter);
+        });
+    }
+
+    _createRelease() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            const next = this.waiters.shift();
+            if (next) next.grant();
+        };
+    }
+
+    get idle() {
+        return this.active === 0 && this.waiters.length === 0;
+    }
+}
+
+class ToolLimiter {
+    constructor() {
+        this.buckets = new Map();         // "scope:maxRequests/windowMs" -> TokenBucket
+        this.browserLocks = new Map();    // browserId -> Semaphore(1)
+        this.browserSlots = null;         // Semaphore(maxConcurrentOperations) for browser tools
+        this.config = config;
+    }
+
+    /**
+     * Runs a tool call within the configured rate and concurrency limits
+     * @param {ToolBase} tool - The tool instance
+     * @param {object} parameters - The call parameters
+     * @param {object} options - Execution options ({ signal } aborts a queued call)
+     * @param {Function} run - Starts the execution once admitted
+     * @returns {Promise<object>} - The result of run()
+     */
+    async execute(tool, parameters, options, run) {
+        this.checkRateLimits(tool);
+
+        const toolName = tool.constructor.getName();
+        const releases = [];
+
+        try {
+            // Per-browser lock first, so a call never holds a global slot while queued behind
+            // another call on the same page
+            const browserId = parameters && typeof parameters.browserId === 'string' ? parameters.browserId : null;
+            if (browserId) {
+                releases.push(await this._acquire(this._getBrowserLock(browserId), toolName, options.signal));
+            }
+
+            const slots = this._getConcurrencySlots(tool);
+            if (slots) {
+                releases.push(await this._acquire(slots, toolName, options.signal));
+            }
+
+            return await run();
+        } finally {
+            releases.reverse().forEach(release => release());
+            this._pruneBrowserLocks();
+        }
+    }
+
+    /**
+     * Takes a token from every bucket that applies to the tool, or throws a rate limit error
+     * Nothing is consumed unless every bucket has a token
+     * @param {ToolBase} tool - The tool instance
+     */
+    checkRateLimits(tool) {
+        const toolName = tool.constructor.getName();
+        const limits = this._getRateLimits(tool);
+        if (limits.length === 0) return;
+
+        const buckets = limits.map((limit) => {
+            const key = `${limit.scope}:${limit.maxRequests}/${limit.windowMs}`;
+            if (!this.buckets.has(key)) {
+                this.buckets.set(key, new TokenBucket(limit.maxRequests, limit.windowMs));
+            }
+            return { limit, bucket: this.buckets.get(key) };
+        });
+
+        const blocked = buckets
+            .map(entry => ({ ...entry, retryAfter: entry.bucket.getRetryAfter() }))
+            .filter(entry => entry.retryAfter > 0)
+            .sort((a, b) => b.retryAfter - a.retryAfter)[0];
+
+        if (blocked) {
+            const { limit, retryAfter } = blocked;
+            logger.info(`Rate limited '${toolName}' (${limit.scope}), retry after ${retryAfter}ms`);
+            throw {
+                code: RATE_LIMITED,
+                message: `Tool '${toolName}' is rate limited: at most ${limit.maxRequests} calls per ${limit.windowMs}ms (${limit.scope}), retry after ${(retryAfter / 1000).toFixed(1)}s`,
+                data: {
+                    tool_name: toolName,
+                    rate_limited: true,
+                    scope: limit.scope,
+                    max_requests: limit.maxRequests,
+                    window_ms: limit.windowMs,
+                    retry_after_ms: retryAfter
+                }
+            };
+        }
+
+        buckets.forEach(({ bucket }) => bucket.take());
+    }
+
+    /**
+     * Collects the rate limits configured for a tool
+     * @param {ToolBase} tool - The tool instance
+     * @returns {Array<object>} - [{ scope, maxRequests, windowMs }]
+     */
+    _getRateLimits(tool) {
+        const toolName = tool.constructor.getName();
+        const globalEnabled = this.config.get('security.rateLimiting', false);
+        const limits = [];
+
+        const rateLimit = tool.getConfig('rateLimit', {}) || {};
+        if ((rateLimit.enabled || globalEnabled) && rateLimit.maxRequests > 0 && rateLimit.windowMs > 0) {
+            limits.push({
+                scope: rateLimit.scope === 'category' ? `category:${tool._getToolCategory(toolName)}` : `tool:${toolName}`,
+                maxRequests: rateLimit.maxRequests,
+                windowMs: rateLimit.windowMs
+            });
+        }
+
+        const perSecond = tool.getConfig('maxRequestsPerSecond');
+        if ((tool.getConfig('rateLimitEnabled', false) || globalEnabled) && perSecond > 0) {
+            limits.push({ scope: `tool:${toolName}:perSecond`, maxRequests: perSecond, windowMs: 1000 });
+        }
+
+        const perMinute = this.config.get('security.maxRequestsPerMinute');
+        if (globalEnabled && perMinute > 0) {
+            limits.push({ scope: 'server', maxRequests: perMinute, windowMs: 60000 });
+        }
+
+        return limits;
+    }
+
+    /**
+     * Gets the shared slots for browser tools (null when the tool is not limited)
+     * @param {ToolBase} tool - The tool instance
+     * @returns {Semaphore|null} - Semaphore sized by maxConcurrentOperations
+     */
+    _getConcurrencySlots(tool) {
+        if (tool._getToolCategory(tool.constructor.getName()) !== 'browser') {
+            return null;
+        }
+
+        const limit = this.config.get('tools.browser.global.maxConcurrentOperations');
+        if (!(limit > 0)) {
+            return null;
+        }
+
+        // Resize between calls when the configuration changes
+        if (!this.browserSlots || (this.browserSlots.limit !== limit && this.browserSlots.idle)) {
+            this.browserSlots = new Semaphore(limit);
+        }
+        return this.browserSlots;
+    }
+
+    _getBrowserLock(browserId) {
+        if (!this.browserLocks.has(browserId)) {
+            this.browserLocks.set(browserId, new Semaphore(1));
+        }
+        return this.browserLocks.get(browserId);
+    }
+
+    _pruneBrowserLocks() {
+        for (const [browserId, lock] of this.browserLocks) {
+            if (lock.idle) {
+                this.browserLocks.delete(browserId);
+            }
+        }
+    }
+
+    /**
+     * Waits for a semaphore slot, turning a cancelled wait into the MCP cancellation error
+     * @param {Semaphore} semaphore - The semaphore
+     * @param {string} toolName - Tool waiting for the slot
+     * @param {AbortSignal} signal - The request's signal
+     * @returns {Promise<Function>} - Release function
+     */
+    async _acquire(semaphore, toolName, signal) {
+        try {
+            return await semaphore.acquire(signal);
+        } catch (reason) {
+            const message = reason instanceof Error ? reason.message : (reason || 'Request cancelled by client');
+            throw {
+                code: -32800,
+                message: `Tool '${toolName}' execution cancelled while queued: ${message}`,
+                data: {
+                    tool_name: toolName,
+                    cancelled: true,
+                    reason: String(message)
+                }
+            };
+        }
+    }
+}
+
+module.exports = ToolLimiter;
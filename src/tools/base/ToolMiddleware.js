@@ -0,0 +1,171 @@
+const path = require('path');
+const logger = require('../../utils/logger').createLogger('ToolMiddleware');
+
+/**
+ * Tool Middleware - Hooks that run around every tool execution
+ *
+ * A middleware is an object with any of these (optionally async) hooks, each called with the
+ * execution context { toolName, tool, parameters, options, startTime, duration, result,
+ * error, shortCircuited, state }:
+ *   before(context)  - in registration order, before the tool runs. May change
+ *                      context.parameters; returning a value skips the tool and uses the
+ *                      value as its result. Throwing fails the call (onError hooks still run).
+ *   after(context)   - in reverse order, once a result exists. Returning a value replaces it.
+ *   onError(context) - in reverse order, when the call failed. Returning a value recovers with
+ *                      it as the result; throwing replaces context.error.
+ * `state` is a plain object shared by the hooks of one call (e.g. for custom timings).
+ */
+
+const HOOKS = ['before', 'after', 'onError'];
+
+class ToolMiddleware {
+    constructor() {
+        this.middleware = [];
+    }
+
+    /**
+     * Adds a middleware to the end of the pipeline
+     * @param {object} middleware - { name, before, after, onError }
+     * @param {string} source - Where the middleware came from, for error messages
+     */
+    use(middleware, source = (middleware && middleware.name) || 'middleware') {
+        if (!middleware || typeof middleware !== 'object') {
+            throw new Error(`Invalid middleware from ${source}: expected an object with ${HOOKS.join('/')} hooks`);
+        }
+
+        const hooks = HOOKS.filter(hook => middleware[hook] !== undefined);
+        if (hooks.length === 0) {
+            throw new Error(`Invalid middleware from ${source}: it defines none of ${HOOKS.join(', ')}`);
+        }
+        for (const hook of hooks) {
+            if (typeof middleware[hook] !== 'function') {
+                throw new Error(`Invalid middleware from ${source}: '${hook}' must be a function`);
+            }
+        }
+
+        const name = middleware.name || source;
+        this.middleware.push({ ...middleware, name });
+        logger.info(`Registered tool middleware: ${name} (${hooks.join(', ')})`);
+    }
+
+    /**
+     * Loads middleware modules listed in the configuration
+     * Each entry is a module path (relative to baseDir) or package name, or
+     * { module, options }. A module exports a middleware object, or a factory
+     * function that is called with the entry's options and returns one.
+     * @param {Array<string|object>} entries - Configured modules
+     * @param {string} baseDir - Directory relative paths are resolved against
+     */
+    load(entries, baseDir = process.cwd()) {
+        for (const entry of entries || []) {
+            const { module: modulePath, options = {} } = typeof entry === 'string' ? { module: entry } : (entry || {});
+            if (typeof modulePath !== 'string') {
+                throw new Error(`Invalid middleware entry: ${JSON.stringify(entry)}`);
+            }
+
+            const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+                ? path.resolve(baseDir, modulePath)
+                : modulePath;
+
+            let exported;
+            try {
+                exported = require(resolved);
+            } catch (error) {
+                throw new Error(`Failed to load middleware '${modulePath}': ${error.message}`);
+            }
+
+            const middleware = typeof exported === 'function' ? exported(options) : exported;
+            this.use(middleware, modulePath);
+        }
+    }
+
+    /**
+     * Runs a tool call through the pipeline
+     * @param {object} call - { toolName, tool, parameters, options }
+     * @param {Function} execute - (parameters) => Promise<result>, runs the tool itself
+     * @returns {Promise<object>} - The (possibly replaced) tool result
+     */
+    async run(call, execute) {
+        if (this.middleware.length === 0) {
+            return await execute(call.parameters);
+        }
+
+        const context = {
+            ...call,
+            startTime: Date.now(),
+            duration: 0,
+            result: undefined,
+            error: undefined,
+            shortCircuited: false,
+            state: {}
+        };
+
+        try {
+            for (const middleware of this.middleware) {
+                if (!middleware.before) continue;
+                const result = await middleware.before(context);
+                if (result !== undefined) {
+                    logger.debug(`Middleware '${middleware.name}' short-circuited '${context.toolName}'`);
+                    context.result = result;
+                    context.shortCircuited = true;
+                    break;
+                }
+            }
+
+            if (!context.shortCircuited) {
+                context.result = await execute(context.parameters);
+            }
+        } catch (error) {
+            context.error = error;
+        }
+
+        context.duration = Date.now() - context.startTime;
+
+        if (context.error !== undefined) {
+            await this._handleError(context);
+        }
+
+        for (const middleware of [...this.middleware].reverse()) {
+            if (!middleware.after) continue;
+            const result = await middleware.after(context);
+            if (result !== undefined) {
+                context.result = result;
+            }
+        }
+
+        return context.result;
+    }
+
+    /**
+     * Gives the onError hooks a chance to recover; rethrows the (possibly replaced) error otherwise
+     * @param {object} context - Execution context with error set
+     */
+    async _handleError(context) {
+        for (const middleware of [...this.middleware].reverse()) {
+            if (!middleware.onError) continue;
+            try {
+                const result = await middleware.onError(context);
+                if (result !== undefined) {
+                    logger.debug(`Middleware '${middleware.name}' recovered '${context.toolName}' from: ${context.error.message}`);
+                    context.result = result;
+                    context.error = undefined;
+                    return;
+                }
+            } catch (error) {
+                context.error = error;
+            }
+        }
+
+        throw context.error;
+    }
+
+    /**
+     * Gets the names of the registered middleware, in pipeline order
+     * @returns {Array<string>} - Middleware names
+     */
+    getNames() {
+        return this.middleware.map(middleware => middleware.name);
+    }
+}
+
+module.exports = ToolMiddleware;
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger').createLogger('ToolPlugins');
+
+/**
+ * Tool Plugin Loader - Loads third-party tools from npm packages and extra directories
+ *
+ * A plugin module (a package, or a directory with a package.json or index.js) exports one of:
+ *   - a ToolBase subclass, an array of them, or an object whose values are ToolBase subclasses
+ *   - a manifest { name, namespace, category, featureFlag, tools: [ToolBase subclasses] }
+ *   - a function called with { ToolBase, config } that returns any of the above, so plugins
+ *     can extend this server's ToolBase without depending on their own copy of the package
+ * A directory without an entry point is scanned for tool files instead.
+ *
+ * Tool names are prefixed with the plugin namespace (`<namespace>_<name>`) to keep them apart
+ * from the bundled tools and other plugins. The namespace defaults to the package or directory
+ * name; set it to '' in the plugin entry to keep the original names.
+ *
+ * The category (used for configuration under tools.<category> and for the feature flag) is taken
+ * from the tool class's static `category`, then the manifest. The feature flag defaults to
+ * `enable<Category>Tools` and can be overridden with a static or manifest `featureFlag`.
+ */
+
+class ToolPluginLoader {
+    /**
+     * @param {object} options - Loader options
+     * @param {string} options.baseDir - Directory relative plugin paths and packages are resolved from
+     */
+    constructor({ baseDir = process.cwd() } = {}) {
+        this.baseDir = baseDir;
+    }
+
+    /**
+     * Loads every configured plugin; plugins that fail to load are logged and skipped
+     * @param {object} plugins - { directories: [path|{ path, namespace }], packages: [name|{ package, namespace }] }
+     * @returns {Array<object>} - Loaded plugins: { name, source, namespace, tools: [ToolClass] }
+     */
+    loadAll({ directories = [], packages = [] } = {}) {
+        const loaded = [];
+
+        const entries = [
+            ...directories.map(entry => this._normalizeEntry(entry, 'path')),
+            ...packages.map(entry => this._normalizeEntry(entry, 'package'))
+        ];
+
+        for (const entry of entries) {
+            try {
+                const plugin = entry.path ? this.loadDirectory(entry) : this.loadPackage(entry);
+                logger.info(`Loaded plugin '${plugin.name}' with ${plugin.tools.length} tools from ${plugin.source}`);
+                loaded.push(plugin);
+            } catch (error) {
+                logger.error(`Failed to load plugin ${entry.path || entry.package}:`, error.message);
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Loads an npm package plugin
+     * @param {object} entry - { package, namespace }
+     * @returns {object} - Loaded plugin
+     */
+    loadPackage(entry) {
+        let modulePath;
+        try {
+            // Prefer the project's node_modules, then wherever this server is installed
+            modulePath = require.resolve(entry.package, { paths: [this.baseDir] });
+        } catch (error) {
+            modulePath = require.resolve(entry.package);
+        }
+
+        const manifest = this._readManifest(require(modulePath), entry.package);
+        return this._createPlugin(manifest, entry, entry.package, modulePath);
+    }
+
+    /**
+     * Loads a directory plugin: its entry point if it has one, otherwise every tool file in it
+     * @param {object} entry - { path, namespace }
+     * @returns {object} - Loaded plugin
+     */
+    loadDirectory(entry) {
+        const dir = path.resolve(this.baseDir, entry.path);
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+            throw new Error(`Plugin directory not found: ${dir}`);
+        }
+
+        const defaultName = path.basename(dir);
+        const hasEntryPoint = fs.existsSync(path.join(dir, 'package.json')) || fs.existsSync(path.join(dir, 'index.js'));
+        if (hasEntryPoint) {
+            const manifest = this._readManifest(require(dir), defaultName);
+            return this._createPlugin(manifest, entry, defaultName, dir);
+        }
+
+        const tools = this._scanDirectory(dir).flatMap(file => this._readManifest(require(file), file).tools);
+        return this._createPlugin({ tools }, entry, defaultName, dir);
+    }
+
+    /**
+     * Lists the tool files of a directory plugin (recursively, skipping node_modules and index files)
+     * @param {string} dir - Directory to scan
+     * @returns {Array<string>} - File paths
+     */
+    _scanDirectory(dir) {
+        const files = [];
+        for (const item of fs.readdirSync(dir)) {
+            const itemPath = path.join(dir, item);
+            const stat = fs.statSync(itemPath);
+            if (stat.isDirectory() && item !== 'node_modules' && !item.startsWith('.')) {
+                files.push(...this._scanDirectory(itemPath));
+            } else if (stat.isFile() && item.endsWith('.js') && !item.startsWith('index')) {
+                files.push(itemPath);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Turns a plugin module's export into a manifest
+     * @param {any} exported - module.exports of the plugin
+     * @param {string} source - Module name or path, for error messages
+     * @returns {object} - { name, namespace, category, featureFlag, tools }
+     */
+    _readManifest(exported, source) {
+        if (typeof exported === 'function' && !isToolClass(exported)) {
+            exported = exported({ ToolBase: require('./ToolBase'), config: require('../../config') });
+        }
+
+        if (isToolClass(exported)) {
+            return { tools: [exported] };
+        }
+        if (Array.isArray(exported)) {
+            return { tools: exported.filter(isToolClass) };
+        }
+        if (exported && Array.isArray(exported.tools)) {
+            return { ...exported, tools: exported.tools.filter(isToolClass) };
+        }
+        if (exported && typeof exported === 'object') {
+            return { tools: Object.values(exported).filter(isToolClass) };
+        }
+
+        throw new Error(`${source} does not export any tools`);
+    }
+
+    /**
+     * Builds the plugin record, wrapping each tool class with its namespaced name and metadata
+     * @param {object} manifest - Plugin manifest
+     * @param {object} entry - Configured plugin entry
+     * @param {string} defaultName - Package or directory name
+     * @param {string} source - Resolved module path or directory
+     * @returns {object} - { name, source, namespace, tools }
+     */
+    _createPlugin(manifest, entry, defaultName, source) {
+        const name = manifest.name || defaultName;
+        const namespace = sanitizeNamespace(
+            entry.namespace !== undefined ? entry.namespace
+                : manifest.namespace !== undefined ? manifest.namespace
+                    : defaultName
+        );
+
+        if (manifest.tools.length === 0) {
+            logger.warning(`Plugin '${name}' does not export any tools`);
+        }
+
+        const tools = manifest.tools.map((ToolClass) => {
+            const originalName = ToolClass.definition.name;
+            const toolName = !namespace || originalName.startsWith(`${namespace}_`)
+                ? originalName
+                : `${namespace}_${originalName}`;
+
+            // A subclass carries the namespaced definition, so the plugin's own class is left untouched
+            class PluginTool extends ToolClass {}
+            Object.defineProperty(PluginTool, 'name', { value: ToolClass.name });
+            PluginTool.definition = { ...ToolClass.definition, name: toolName };
+            PluginTool.category = ToolClass.category || manifest.category;
+            PluginTool.featureFlag = ToolClass.featureFlag || manifest.featureFlag;
+            PluginTool.plugin = name;
+            return PluginTool;
+        });
+
+        return { name, source, namespace, tools };
+    }
+
+    _normalizeEntry(entry, key) {
+        return typeof entry === 'string' ? { [key]: entry } : { ...entry };
+    }
+}
+
+/**
+ * Checks whether a value looks like a tool class (a constructor with a static definition)
+ * @param {any} value - Exported value
+ * @returns {boolean} - True for tool classes
+ */
+function isToolClass(value) {
+    return typeof value === 'function' && !!value.definition && typeof value.definition.name === 'string';
+}
+
+/**
+ * Turns a package or directory name into a tool name prefix (e.g. '@acme/auth-tools' -> 'acme_auth_tools')
+ * @param {string} namespace - Raw namespace
+ * @returns {string} - Namespace safe for tool names
+ */
+function sanitizeNamespace(namespace) {
+    return String(namespace || '')
+        .replace(/^@/, '')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+}
+
+module.exports = ToolPluginLoader;
@@ -0,0 +1,163 @@
+const { validateSchema } = require('../../utils/schemaValidator');
+
+/**
+ * Tool Profile - A named allowlist of tools with argument constraints
+ *
+ * Profiles are configured under `profiles.<name>` and selected with `profile` (--profile or
+ * MCP_PROFILE):
+ *   include   - glob patterns (`*`, `?`) of tool names to offer; all tools if omitted
+ *   exclude   - glob patterns of tool names to withhold, even if included
+ *   arguments - { <tool glob>: { <argument>: constraint } }, where a constraint is
+ *               an array of allowed values, false (the argument may not be passed), or a
+ *               JSON Schema the value must match
+ * Tools outside the profile are left out of tools/list and rejected by tools/call; argument
+ * constraints are checked on every call and narrow the listed input schemas.
+ */
+
+/**
+ * Converts a glob pattern over tool names into a regular expression
+ * @param {string} pattern - Glob pattern, e.g. 'browser_*'
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+    const source = String(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalizes an argument constraint into a JSON Schema (false stays false)
+ * @param {Array|boolean|object} constraint - Configured constraint
+ * @returns {object|boolean} - Schema
+ */
+function toSchema(constraint) {
+    if (Array.isArray(constraint)) {
+        return { enum: constraint };
+    }
+    if (constraint === false || (constraint && typeof constraint === 'object')) {
+        return constraint;
+    }
+    throw new Error(`invalid constraint ${JSON.stringify(constraint)}: use an array of values, false or a JSON Schema`);
+}
+
+class ToolProfile {
+    /**
+     * @param {string} name - Profile name
+     * @param {object} definition - { description, include, exclude, arguments }
+     */
+    constructor(name, definition = {}) {
+        this.name = name;
+        this.description = definition.description || '';
+        this.include = (definition.include || []).map(globToRegExp);
+        this.exclude = (definition.exclude || []).map(globToRegExp);
+        this.argumentRules = Object.entries(definition.arguments || {}).map(([pattern, constraints]) => {
+            const schemas = {};
+            for (const [argument, constraint] of Object.entries(constraints || {})) {
+                try {
+                    schemas[argument] = toSchema(constraint);
+                } catch (error) {
+                    throw new Error(`Profile '${name}': ${pattern}.${argument}: ${error.message}`);
+                }
+            }
+            return { pattern: globToRegExp(pattern), schemas };
+        });
+    }
+
+    /**
+     * Creates the profile selected in the configuration
+     * @param {object} config - Configuration manager
+     * @returns {ToolProfile|null} - The active profile, or null when none is selected
+     */
+    static fromConfig(config) {
+        const name = config.get('profile');
+        if (!name) {
+            return null;
+        }
+
+        const profiles = config.get('profiles', {}) || {};
+        if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+            const known = Object.keys(profiles);
+            throw new Error(`Unknown tool profile '${name}'${known.length > 0 ? ` (available: ${known.join(', ')})` : ''}`);
+        }
+        return new ToolProfile(name, profiles[name]);
+    }
+
+    /**
+     * Checks whether a tool is offered by this profile
+     * @param {string} toolName - Tool name
+     * @returns {boolean} - True if the tool may be listed and called
+     */
+    allows(toolName) {
+        const included = this.include.length === 0 || this.include.some(regex => regex.test(toolName));
+        return included && !this.exclude.some(regex => regex.test(toolName));
+    }
+
+    /**
+     * Gets the argument constraints that apply to a tool
+     * @param {string} toolName - Tool name
+     * @returns {object} - { <argument>: schema|false }
+     */
+    getConstraints(toolName) {
+        return this.argumentRules
+            .filter(rule => rule.pattern.test(toolName))
+            .reduce((constraints, rule) => ({ ...constraints, ...rule.schemas }), {});
+    }
+
+    /**
+     * Checks call arguments against the profile's constraints
+     * @param {string} toolName - Tool name
+     * @param {object} parameters - Call arguments
+     * @returns {Array<string>} - Violations, empty if the call is allowed
+     */
+    checkArguments(toolName, parameters = {}) {
+        const violations = [];
+
+        for (const [argument, schema] of Object.entries(this.getConstraints(toolName))) {
+            const value = parameters[argument];
+            if (value === undefined) continue;
+
+            if (schema === false) {
+                violations.push(`${argument} is not allowed`);
+            } else {
+                // Nested paths come back relative to the argument ('url is required', '[0] must be ...')
+                const errors = validateSchema(value, schema, { rootName: argument });
+                violations.push(...errors.map(error => {
+                    if (error.startsWith(argument)) return error;
+                    return error.startsWith('[') ? `${argument}${error}` : `${argument}.${error}`;
+                }));
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Narrows a tool definition's input schema to the profile's argument constraints
+     * @param {object} definition - Tool definition
+     * @returns {object} - Definition as listed under this profile
+     */
+    adaptDefinition(definition) {
+        const constraints = this.getConstraints(definition.name);
+        if (Object.keys(constraints).length === 0) {
+            return definition;
+        }
+
+        const properties = { ...((definition.input_schema || {}).properties || {}) };
+        for (const [argument, schema] of Object.entries(constraints)) {
+            if (schema === false) {
+                delete properties[argument];
+            } else {
+                properties[argument] = { ...(properties[argument] || {}), ...schema };
+            }
+        }
+
+        return {
+            ...definition,
+            input_schema: { ...definition.input_schema, properties }
+        };
+    }
+}
+
+module.exports = ToolProfile;
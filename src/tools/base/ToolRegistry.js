@@ -1,6 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../../config');
+const logger = require('../../utils/logger').createLogger('ToolRegistry');
+const ToolLimiter = require('./ToolLimiter');
+const ToolMiddleware = require('./ToolMiddleware');
+const ToolPluginLoader = require('./ToolPluginLoader');
+const ToolProfile = require('./ToolProfile');
+
+// Quiet period after the last file change before tools are reloaded (editors write in bursts)
+const RELOAD_DEBOUNCE = 300;
 
 /**
  * Tool Registry - Manages discovery, loading, and registration of tools
@@ -9,6 +17,11 @@ class ToolRegistry {
     constructor() {
         this.tools = new Map(); // toolName -> toolInstance
         this.definitions = []; // Array of tool definitions for MCP
+        this.manualTools = new Set(); // Names of tools added with registerTool, kept across reloads
+        this.limiter = new ToolLimiter(); // Rate and concurrency limits, kept across reloads
+        this.middleware = new ToolMiddleware(); // before/after/onError hooks around every execution
+        this.plugins = []; // Tool plugins loaded by loadPlugins, kept across reloads
+        this.profile = null; // Active ToolProfile (allowlist and argument constraints), if any
         this.config = config;
     }
 
@@ -19,28 +32,120 @@ class ToolRegistry {
      */
     async discoverTools(toolsDir, debugMode = false) {
         this.debugMode = debugMode;
-        if (debugMode) {
-            console.error('[ToolRegistry] Starting tool discovery...');
-        }
+        this.toolsDir = toolsDir;
+        logger.debug('Starting tool discovery...');
         
         try {
             await this._scanDirectory(toolsDir);
-            if (debugMode) {
-                console.error(`[ToolRegistry] Discovery complete. Found ${this.tools.size} tools.`);
-            }
+            logger.debug(`Discovery complete. Found ${this.tools.size} tools.`);
         } catch (error) {
-            console.error('[ToolRegistry] Error during tool discovery:', error.message);
+            logger.error('Error during tool discovery:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Re-scans the tools directory with freshly loaded modules
+     * Tool files (everything under the tools directory except base/) are evicted from the
+     * require cache first, and feature flags are checked again for every tool. The new set of
+     * tools replaces the old one only once the scan has finished, so calls already running
+     * keep the instance they started with.
+     * @returns {Promise<boolean>} - True if the tool definitions changed
+     */
+    async reloadTools() {
+        if (!this.toolsDir) {
+            throw new Error('Tools have not been discovered yet');
+        }
+
+        const previousDefinitions = JSON.stringify(this.definitions);
+        this._unloadToolModules();
+
+        const next = new ToolRegistry();
+        next.debugMode = this.debugMode;
+        next.toolsDir = this.toolsDir;
+        next.plugins = this.plugins;
+        await next._scanDirectory(this.toolsDir);
+        next._registerPluginTools();
+
+        for (const toolName of this.manualTools) {
+            const toolInstance = this.tools.get(toolName);
+            if (next.tools.has(toolName)) {
+                logger.warning(`Reloaded tool '${toolName}' replaces the manually registered one`);
+                continue;
+            }
+            next.tools.set(toolName, toolInstance);
+            next.definitions.push(toolInstance.constructor.getDefinition());
+            next.manualTools.add(toolName);
+        }
+
+        this.tools = next.tools;
+        this.definitions = next.definitions;
+        this.manualTools = next.manualTools;
+
+        const changed = JSON.stringify(this.definitions) !== previousDefinitions;
+        logger.info(`Reloaded tools: ${this.tools.size} registered${changed ? ' (tool list changed)' : ''}`);
+        return changed;
+    }
+
+    /**
+     * Watches the tools directory and reloads tools when a file changes
+     * @param {Function} onChange - Called with the new definitions when a reload changed them
+     * @returns {object} - Watcher handle with close()
+     */
+    watchTools(onChange) {
+        let timer = null;
+
+        const reload = async () => {
+            timer = null;
+            try {
+                if (await this.reloadTools()) {
+                    onChange(this.getDefinitions());
+                }
+            } catch (error) {
+                logger.error('Failed to reload tools:', error.message);
+            }
+        };
+
+        const watcher = fs.watch(this.toolsDir, { recursive: true }, (eventType, filename) => {
+            if (filename && !filename.endsWith('.js')) return;
+            logger.debug(`Tool file ${eventType}: ${filename}`);
+            clearTimeout(timer);
+            timer = setTimeout(reload, RELOAD_DEBOUNCE);
+        });
+        watcher.on('error', error => logger.error('Tool watcher error:', error.message));
+
+        logger.info(`Watching ${this.toolsDir} for tool changes`);
+
+        return {
+            close() {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
+    }
+
+    /**
+     * Removes tool modules from the require cache so the next scan loads them from disk
+     * The registry itself and ToolBase (base/) stay loaded
+     */
+    _unloadToolModules() {
+        const baseDir = path.join(this.toolsDir, 'base') + path.sep;
+        const rootIndex = path.join(this.toolsDir, 'index.js');
+
+        for (const modulePath of Object.keys(require.cache)) {
+            if (modulePath.startsWith(this.toolsDir + path.sep) && !modulePath.startsWith(baseDir) && modulePath !== rootIndex) {
+                delete require.cache[modulePath];
+            }
+        }
+    }
+
     /**
      * Recursively scans a directory for tool files
      * @param {string} dir - Directory to scan
      */
     async _scanDirectory(dir) {
         if (!fs.existsSync(dir)) {
-            console.error(`[ToolRegistry] Tools directory not found: ${dir}`);
+            logger.error(`Tools directory not found: ${dir}`);
             return;
         }
 
@@ -70,47 +175,78 @@ class ToolRegistry {
             
             // Validate that it's a proper tool class
             if (typeof ToolClass !== 'function') {
-                console.warn(`[ToolRegistry] Skipping ${toolPath}: Not a class/function export`);
+                logger.warning(`Skipping ${toolPath}: Not a class/function export`);
                 return;
             }
             
             if (!ToolClass.definition) {
-                console.warn(`[ToolRegistry] Skipping ${toolPath}: No tool definition found`);
+                logger.warning(`Skipping ${toolPath}: No tool definition found`);
                 return;
             }
             
-            const toolName = ToolClass.getName();
-            
-            // Check feature flags before registering
-            const category = this._getToolCategory(toolName, toolPath);
-            const featureFlag = `enable${category.charAt(0).toUpperCase() + category.slice(1)}Tools`;
+            this._registerToolClass(ToolClass, toolPath);
             
-            if (!this.config.isFeatureEnabled(featureFlag)) {
-                if (this.debugMode) {
-                    console.error(`[ToolRegistry] Tool '${toolName}' disabled by feature flag: ${featureFlag}`);
+        } catch (error) {
+            logger.error(`Failed to load tool from ${toolPath}:`, error.message);
+        }
+    }
+
+    /**
+     * Instantiates and registers a tool class unless its feature flag is off or its name is taken
+     * @param {Function} ToolClass - The tool class
+     * @param {string} toolPath - Where the tool came from (file path or plugin)
+     * @returns {boolean} - True if the tool was registered
+     */
+    _registerToolClass(ToolClass, toolPath) {
+        const toolName = ToolClass.getName();
+        
+        // Check feature flags before registering
+        const featureFlag = this._getFeatureFlag(toolName, toolPath, ToolClass);
+        if (!this._isFeatureFlagEnabled(featureFlag, ToolClass)) {
+            logger.debug(`Tool '${toolName}' disabled by feature flag: ${featureFlag}`);
+            return false;
+        }
+        
+        // Check for name conflicts
+        if (this.tools.has(toolName)) {
+            logger.warning(`Tool name conflict: '${toolName}' already registered. Skipping ${toolPath}`);
+            return false;
+        }
+        
+        // Create an instance of the tool
+        const toolInstance = new ToolClass();
+        
+        // Register the tool
+        this.tools.set(toolName, toolInstance);
+        this.definitions.push(ToolClass.getDefinition());
+        
+        logger.debug(`Registered tool: ${toolName}`);
+        return true;
+    }
+
+    /**
+     * Loads the tool plugins configured under `plugins.directories` and `plugins.packages`
+     * Plugin tools are registered after the bundled ones and kept across tool reloads
+     * @param {string} baseDir - Directory relative plugin paths and packages are resolved from
+     */
+    async loadPlugins(baseDir = process.cwd()) {
+        const loader = new ToolPluginLoader({ baseDir });
+        this.plugins = loader.loadAll(this.config.get('plugins', {}));
+        this._registerPluginTools();
+    }
+
+    /**
+     * Registers the tools of the loaded plugins
+     */
+    _registerPluginTools() {
+        for (const plugin of this.plugins) {
+            for (const ToolClass of plugin.tools) {
+                try {
+                    this._registerToolClass(ToolClass, `plugin '${plugin.name}'`);
+                } catch (error) {
+                    logger.error(`Failed to register tool '${ToolClass.getName()}' from plugin '${plugin.name}':`, error.message);
                 }
-                return;
-            }
-            
-            // Create an instance of the tool
-            const toolInstance = new ToolClass();
-            
-            // Check for name conflicts
-            if (this.tools.has(toolName)) {
-                console.warn(`[ToolRegistry] Tool name conflict: '${toolName}' already registered. Skipping ${toolPath}`);
-                return;
             }
-            
-            // Register the tool
-            this.tools.set(toolName, toolInstance);
-            this.definitions.push(ToolClass.getDefinition());
-            
-            if (this.debugMode) {
-                console.error(`[ToolRegistry] Registered tool: ${toolName}`);
-            }
-            
-        } catch (error) {
-            console.error(`[ToolRegistry] Failed to load tool from ${toolPath}:`, error.message);
         }
     }
 
@@ -127,8 +263,9 @@ class ToolRegistry {
         
         this.tools.set(toolName, toolInstance);
         this.definitions.push(toolInstance.constructor.getDefinition());
+        this.manualTools.add(toolName);
         
-        console.error(`[ToolRegistry] Manually registered tool: ${toolName}`);
+        logger.info(`Manually registered tool: ${toolName}`);
     }
 
     /**
@@ -145,7 +282,12 @@ class ToolRegistry {
      * @returns {Array} - Array of tool definitions
      */
     getDefinitions() {
-        return this.definitions;
+        if (!this.profile) {
+            return this.definitions;
+        }
+        return this.definitions
+            .filter(definition => this.profile.allows(definition.name))
+            .map(definition => this.profile.adaptDefinition(definition));
     }
 
     /**
@@ -165,13 +307,38 @@ class ToolRegistry {
         return this.tools.has(toolName);
     }
 
+    /**
+     * Checks if a tool is registered and offered by the active profile
+     * @param {string} toolName - The name of the tool
+     * @returns {boolean} - True if the tool can be listed and called
+     */
+    isToolAllowed(toolName) {
+        return this.tools.has(toolName) && (!this.profile || this.profile.allows(toolName));
+    }
+
+    /**
+     * Selects the tool profile configured under `profile` (from --profile or MCP_PROFILE)
+     * Throws for an unknown profile name rather than silently offering every tool
+     */
+    loadProfile() {
+        this.profile = ToolProfile.fromConfig(this.config);
+        if (this.profile) {
+            logger.info(`Using tool profile '${this.profile.name}'`);
+        }
+    }
+
     /**
      * Executes a tool by name
+     * The call passes through the middleware pipeline first, so rate limits and validation see
+     * the parameters as changed by before hooks. Tools outside the active profile and arguments
+     * that break its constraints are rejected, as are calls over their rate limit;
+     * calls on the same browser are run one at a time.
      * @param {string} toolName - The name of the tool to execute
      * @param {object} parameters - The parameters to pass to the tool
+     * @param {object} options - Execution options ({ signal, onProgress } for cancellation and progress)
      * @returns {Promise<object>} - The tool execution result
      */
-    async executeTool(toolName, parameters) {
+    async executeTool(toolName, parameters, options = {}) {
         const tool = this.getTool(toolName);
         
         if (!tool) {
@@ -179,13 +346,55 @@ class ToolRegistry {
                 code: -32601,
                 message: `Tool '${toolName}' not found`,
                 data: { 
-                    available_tools: this.getToolNames(),
+                    available_tools: this.getToolNames().filter(name => this.isToolAllowed(name)),
                     requested_tool: toolName 
                 }
             };
         }
+
+        if (this.profile && !this.profile.allows(toolName)) {
+            throw {
+                code: -32601,
+                message: `Tool '${toolName}' is not allowed by profile '${this.profile.name}'`,
+                data: {
+                    tool_name: toolName,
+                    profile: this.profile.name
+                }
+            };
+        }
         
-        return await tool.run(parameters);
+        return await this.middleware.run({ toolName, tool, parameters, options }, (params) => {
+            // Checked after before hooks, so middleware cannot rewrite arguments past the profile
+            const violations = this.profile ? this.profile.checkArguments(toolName, params) : [];
+            if (violations.length > 0) {
+                throw {
+                    code: -32602,
+                    message: `Arguments not allowed by profile '${this.profile.name}': ${violations.join('; ')}`,
+                    data: {
+                        tool_name: toolName,
+                        profile: this.profile.name,
+                        violations
+                    }
+                };
+            }
+            return this.limiter.execute(tool, params, options, () => tool.run(params, options));
+        });
+    }
+
+    /**
+     * Adds a middleware to the tool execution pipeline
+     * @param {object} middleware - { name, before, after, onError } (see ToolMiddleware)
+     */
+    use(middleware) {
+        this.middleware.use(middleware);
+    }
+
+    /**
+     * Loads the middleware modules configured under `middleware.modules`
+     * @param {string} baseDir - Directory relative module paths are resolved against
+     */
+    loadMiddleware(baseDir = process.cwd()) {
+        this.middleware.load(this.config.get('middleware.modules', []), baseDir);
     }
 
     /**
@@ -195,13 +404,10 @@ class ToolRegistry {
         const toolsToRemove = [];
         
         for (const [toolName, toolInstance] of this.tools) {
-            const category = this._getToolCategory(toolName);
-            const featureFlag = `enable${category.charAt(0).toUpperCase() + category.slice(1)}Tools`;
+            const featureFlag = this._getFeatureFlag(toolName, '', toolInstance.constructor);
             
-            if (!this.config.isFeatureEnabled(featureFlag)) {
-                if (this.debugMode) {
-                    console.error(`[ToolRegistry] Tool '${toolName}' disabled by feature flag: ${featureFlag}`);
-                }
+            if (!this._isFeatureFlagEnabled(featureFlag, toolInstance.constructor)) {
+                logger.debug(`Tool '${toolName}' disabled by feature flag: ${featureFlag}`);
                 toolsToRemove.push(toolName);
             }
         }
@@ -214,17 +420,24 @@ class ToolRegistry {
     }
 
     /**
-     * Get tool category from tool name and file path
+     * Get tool category from the tool class, tool name and file path
      * @param {string} toolName - The tool name
      * @param {string} toolPath - The tool file path (optional, for better categorization)
+     * @param {Function} ToolClass - The tool class (optional; defaults to the registered tool's class)
      * @returns {string} - The tool category
      */
-    _getToolCategory(toolName, toolPath = '') {
+    _getToolCategory(toolName, toolPath = '', ToolClass = null) {
+        // A category declared by the tool (e.g. by a plugin) wins over naming conventions
+        const toolClass = ToolClass || (this.tools.has(toolName) ? this.tools.get(toolName).constructor : null);
+        if (toolClass && toolClass.category) return toolClass.category;
+        
         // Check by tool name prefix first
         if (toolName.startsWith('api_')) return 'api';
         if (toolName.startsWith('browser_')) return 'browser';
         if (toolName.startsWith('file_')) return 'file';
         if (toolName.startsWith('network_')) return 'network';
+        if (toolName.startsWith('workflow_')) return 'workflow';
+        if (toolName.startsWith('server_')) return 'server';
         
         // Check by file path if tool name doesn't have clear prefix
         if (toolPath.includes('/api/') || toolPath.includes('\\api\\')) return 'api';
@@ -237,6 +450,34 @@ class ToolRegistry {
         return 'other';
     }
 
+    /**
+     * Gets the feature flag that enables a tool: its declared featureFlag, or enable<Category>Tools
+     * @param {string} toolName - The tool name
+     * @param {string} toolPath - The tool file path (optional)
+     * @param {Function} ToolClass - The tool class (optional)
+     * @returns {string} - Feature flag name
+     */
+    _getFeatureFlag(toolName, toolPath = '', ToolClass = null) {
+        if (ToolClass && ToolClass.featureFlag) return ToolClass.featureFlag;
+        
+        const category = this._getToolCategory(toolName, toolPath, ToolClass);
+        return `enable${category.charAt(0).toUpperCase() + category.slice(1)}Tools`;
+    }
+
+    /**
+     * Checks a tool's feature flag
+     * Plugins are loaded on request, so their tools stay enabled unless the flag is explicitly false
+     * @param {string} featureFlag - Feature flag name
+     * @param {Function} ToolClass - The tool class
+     * @returns {boolean} - True if the tool is enabled
+     */
+    _isFeatureFlagEnabled(featureFlag, ToolClass) {
+        if (ToolClass && ToolClass.plugin) {
+            return this.config.get(`features.${featureFlag}`, true) !== false;
+        }
+        return this.config.isFeatureEnabled(featureFlag);
+    }
+
     /**
      * Gets registry statistics
      * @returns {object} - Registry statistics
@@ -253,6 +494,9 @@ class ToolRegistry {
             tool_names: this.getToolNames(),
             definitions_count: this.definitions.length,
             categories: categories,
+            middleware: this.middleware.getNames(),
+            plugins: this.plugins.map(plugin => plugin.name),
+            profile: this.profile ? this.profile.name : null,
             feature_flags: {
                 enableApiTools: this.config.isFeatureEnabled('enableApiTools'),
                 enableBrowserTools: this.config.isFeatureEnabled('enableBrowserTools'),
@@ -260,6 +504,8 @@ class ToolRegistry {
                 enableFileTools: this.config.isFeatureEnabled('enableFileTools'),
                 enableNetworkTools: this.config.isFeatureEnabled('enableNetworkTools'),
                 enableOtherTools: this.config.isFeatureEnabled('enableOtherTools'),
+                enableWorkflowTools: this.config.isFeatureEnabled('enableWorkflowTools'),
+                enableServerTools: this.config.isFeatureEnabled('enableServerTools'),
                 enableDebugMode: this.config.isFeatureEnabled('enableDebugMode')
             }
         };
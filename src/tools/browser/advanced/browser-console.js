@@ -1,5 +1,6 @@
 const ToolBase = require('../../base/ToolBase');
 const browserService = require('../../../services/browserService');
+const { bindToLogSession } = require('../../../utils/logger');
 
 /**
  * Console Tool - Monitor and retrieve browser console messages
@@ -8,7 +9,14 @@ const browserService = require('../../../services/browserService');
 class BrowserConsoleTool extends ToolBase {
     static definition = {
         name: "browser_console",
+        title: "Browser Console",
         description: "Monitor, retrieve, and manage browser console messages including logs, errors, and warnings.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -171,7 +179,8 @@ class BrowserConsoleTool extends ToolBase {
         const consoleMessages = this.consoleData.get(browserId);
         
         // Set up console event listener
-        const consoleListener = (params) => {
+        // Bound to the calling client's session, so only that client receives the streamed output
+        const consoleListener = bindToLogSession((params) => {
             const message = this.formatConsoleMessage(params);
             consoleMessages.push(message);
             
@@ -180,22 +189,24 @@ class BrowserConsoleTool extends ToolBase {
                 consoleMessages.splice(0, consoleMessages.length - 1000);
             }
             
+            // Stream page console output to stderr and to clients subscribed via logging/setLevel
             if (realTime) {
-                console.log(`[Console:${browserId}] ${message.level.toUpperCase()}: ${message.text}`);
+                const level = message.level === 'error' ? 'error' : message.level === 'warning' ? 'warning' : 'info';
+                this.logger[level](`[Console:${browserId}] ${message.level.toUpperCase()}: ${message.text}`);
             }
-        };
+        });
 
         client.Runtime.consoleAPICalled(consoleListener);
         
         // Also listen for runtime exceptions
-        const exceptionListener = (params) => {
+        const exceptionListener = bindToLogSession((params) => {
             const message = this.formatExceptionMessage(params);
             consoleMessages.push(message);
             
             if (realTime) {
-                console.log(`[Console:${browserId}] ERROR: ${message.text}`);
+                this.logger.error(`[Console:${browserId}] ERROR: ${message.text}`);
             }
-        };
+        });
 
         client.Runtime.exceptionThrown(exceptionListener);
         
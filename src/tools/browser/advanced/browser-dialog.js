@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserDialogTool extends ToolBase {
     static definition = {
         name: "browser_dialog",
+        title: "Browser Dialog",
         description: "Handle browser dialogs including alert, confirm, and prompt dialogs with automatic detection and response.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -182,7 +189,7 @@ class BrowserDialogTool extends ToolBase {
                             params.type === 'prompt' ? autoHandler.promptText : undefined
                         );
                     } catch (error) {
-                        console.error(`[Dialog] Auto-handle failed for ${browserId}:`, error.message);
+                        this.logger.error(`Auto-handle failed for ${browserId}:`, error.message);
                     }
                 }, 100); // Small delay to ensure dialog is fully loaded
             }
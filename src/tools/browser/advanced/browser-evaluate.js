@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserEvaluateTool extends ToolBase {
     static definition = {
         name: "browser_evaluate",
+        title: "Evaluate JavaScript",
         description: "Execute JavaScript code in the browser context. Can execute on page or specific elements. Returns execution results and handles errors gracefully.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -68,7 +75,7 @@ class BrowserEvaluateTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         const { 
             browserId, 
             expression, 
@@ -93,19 +100,33 @@ class BrowserEvaluateTool extends ToolBase {
             executionTime: 0
         };
 
+        // Stop the running script if the call is cancelled
+        const terminateExecution = () => client.Runtime.terminateExecution();
+
         try {
             if (target?.selector) {
                 // Execute on specific element
-                result = await this.executeOnElement(client, expression, target.selector, args, returnByValue, awaitPromise, timeout);
+                result = await this.withAbort(
+                    this.executeOnElement(client, expression, target.selector, args, returnByValue, awaitPromise, timeout),
+                    signal,
+                    terminateExecution
+                );
                 result.target = target.selector;
             } else {
                 // Execute in page context
-                result = await this.executeInPage(client, expression, args, returnByValue, awaitPromise, timeout);
+                result = await this.withAbort(
+                    this.executeInPage(client, expression, args, returnByValue, awaitPromise, timeout),
+                    signal,
+                    terminateExecution
+                );
             }
             
             result.success = true;
             
         } catch (error) {
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
             result.success = false;
             result.error = error.message;
             
@@ -10,7 +10,14 @@ const path = require('path');
 class BrowserFileTool extends ToolBase {
     static definition = {
         name: "browser_file",
+        title: "Browser Files",
         description: "Handle file operations including uploads, downloads, and file input interactions. Supports various file formats and validation.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -110,7 +117,7 @@ class BrowserFileTool extends ToolBase {
         this.downloadStates = new Map(); // browserId -> download states
     }
 
-    async execute(parameters) {
+    async execute(parameters, { signal, reportProgress = () => {} } = {}) {
         const { 
             browserId, 
             action, 
@@ -157,7 +164,7 @@ class BrowserFileTool extends ToolBase {
                 if (!url && !selector) {
                     throw new Error('Either URL or selector is required for download action');
                 }
-                const downloadResult = await this.downloadFile(client, url, selector, downloadPath, fileName, timeout, waitForDownload);
+                const downloadResult = await this.downloadFile(client, url, selector, downloadPath, fileName, timeout, waitForDownload, signal, reportProgress);
                 result.success = true;
                 result.downloadInfo = downloadResult;
                 result.filePath = downloadResult.path;
@@ -260,7 +267,7 @@ class BrowserFileTool extends ToolBase {
     /**
      * Download a file either by URL or by clicking an element
      */
-    async downloadFile(client, url, selector, downloadPath, fileName, timeout, waitForDownload) {
+    async downloadFile(client, url, selector, downloadPath, fileName, timeout, waitForDownload, signal, reportProgress = () => {}) {
         // Enable Page domain for download events
         await client.Page.enable();
 
@@ -285,6 +292,12 @@ class BrowserFileTool extends ToolBase {
                     downloadInfo.state = params.state;
                     downloadInfo.totalBytes = params.totalBytes;
                     downloadInfo.receivedBytes = params.receivedBytes;
+                    // totalBytes is 0 when the server sent no Content-Length
+                    reportProgress(
+                        params.receivedBytes,
+                        params.totalBytes || undefined,
+                        `Downloading ${downloadInfo.filename}`
+                    );
                     
                     if (params.state === 'completed') {
                         resolve(downloadInfo);
@@ -322,7 +335,12 @@ class BrowserFileTool extends ToolBase {
 
         // Wait for download if requested
         if (waitForDownload) {
-            downloadInfo = await downloadPromise;
+            // Cancel the browser download if the call is cancelled
+            downloadInfo = await this.withAbort(downloadPromise, signal, () => {
+                if (downloadInfo && downloadInfo.guid) {
+                    return client.Browser.cancelDownload({ guid: downloadInfo.guid });
+                }
+            });
             
             // Store download info
             this.addDownloadToHistory(browserService.getBrowserInstance(client.browserId)?.id || 'unknown', downloadInfo);
@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserKeyboardTool extends ToolBase {
     static definition = {
         name: "browser_keyboard",
+        title: "Browser Keyboard",
         description: "Perform keyboard actions including typing, key presses, and keyboard shortcuts. Supports special keys and modifier combinations.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -70,7 +77,7 @@ class BrowserKeyboardTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         const { browserId, action, text, key, shortcut, target, delay = 0, modifiers = [] } = parameters;
         
         const browser = browserService.getBrowserInstance(browserId);
@@ -99,7 +106,7 @@ class BrowserKeyboardTool extends ToolBase {
                 if (!text) {
                     throw new Error('Text is required for type action');
                 }
-                await this.typeText(client, text, delay);
+                await this.typeText(client, text, delay, signal);
                 result.text = text;
                 break;
                 
@@ -169,10 +176,12 @@ class BrowserKeyboardTool extends ToolBase {
     }
 
     /**
-     * Type text with optional delay between keystrokes
+     * Type text with optional delay between keystrokes, stopping if the call is cancelled
      */
-    async typeText(client, text, delay) {
+    async typeText(client, text, delay, signal) {
         for (const char of text) {
+            this.throwIfAborted(signal);
+            
             await client.Input.dispatchKeyEvent({
                 type: 'keyDown',
                 text: char
@@ -184,7 +193,7 @@ class BrowserKeyboardTool extends ToolBase {
             });
             
             if (delay > 0) {
-                await new Promise(resolve => setTimeout(resolve, delay));
+                await this.sleep(delay, signal);
             }
         }
     }
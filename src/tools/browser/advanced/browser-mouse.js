@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserMouseTool extends ToolBase {
     static definition = {
         name: "browser_mouse",
+        title: "Browser Mouse",
         description: "Perform mouse actions including clicks, moves, and drags with precise coordinate control. Supports both CSS selectors and direct coordinates.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserNetworkTool extends ToolBase {
     static definition = {
         name: "browser_network",
+        title: "Browser Network",
         description: "Monitor network requests, analyze performance, and get detailed network information. Supports filtering and real-time monitoring.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
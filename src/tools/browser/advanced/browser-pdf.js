@@ -1,5 +1,8 @@
 const ToolBase = require('../../base/ToolBase');
 const browserService = require('../../../services/browserService');
+const { getOutputDir } = require('../../../utils/outputPaths');
+const { getResourceUri } = require('../../../resources');
+const { pathToFileURL } = require('url');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -10,7 +13,14 @@ const path = require('path');
 class BrowserPdfTool extends ToolBase {
     static definition = {
         name: "browser_pdf",
+        title: "Save Page as PDF",
         description: "Generate PDF files from web pages with comprehensive formatting options and page control.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -103,7 +113,7 @@ class BrowserPdfTool extends ToolBase {
                 generateBase64: {
                     type: "boolean",
                     default: false,
-                    description: "Whether to return PDF as base64 string"
+                    description: "Whether to embed the PDF in the result as a base64 resource"
                 }
             },
             required: ["browserId"]
@@ -114,7 +124,6 @@ class BrowserPdfTool extends ToolBase {
                 success: { type: "boolean", description: "Whether PDF generation was successful" },
                 filePath: { type: "string", description: "Path where PDF was saved" },
                 size: { type: "number", description: "PDF file size in bytes" },
-                base64: { type: "string", description: "PDF content as base64 (if requested)" },
                 pages: { type: "number", description: "Number of pages in PDF" },
                 options: { type: "object", description: "PDF generation options used" },
                 browserId: { type: "string", description: "Browser instance ID" }
@@ -123,7 +132,7 @@ class BrowserPdfTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         const { 
             browserId, 
             filePath, 
@@ -145,7 +154,7 @@ class BrowserPdfTool extends ToolBase {
         
         // Wait for specific element if requested
         if (waitForSelector) {
-            await this.waitForSelector(client, waitForSelector, waitForTimeout);
+            await this.waitForSelector(client, waitForSelector, waitForTimeout, signal);
         }
         
         // Prepare PDF options
@@ -176,15 +185,30 @@ class BrowserPdfTool extends ToolBase {
                 browserId: browserId
             };
             
-            // Add base64 if requested
-            if (generateBase64) {
-                result.base64 = pdfData.data;
-            }
-            
             // Estimate page count (rough calculation)
             result.pages = this.estimatePageCount(stats.size);
             
-            return result;
+            const content = [this.createTextContent(result)];
+            const resourceUri = getResourceUri('pdfs', outputPath);
+            const fileName = path.basename(outputPath);
+
+            // Embed the PDF itself if requested
+            if (generateBase64) {
+                content.push(this.createEmbeddedResource(
+                    resourceUri || pathToFileURL(path.resolve(outputPath)).href,
+                    'application/pdf',
+                    { blob: pdfData.data }
+                ));
+            } else if (resourceUri) {
+                content.push(this.createResourceLink(resourceUri, {
+                    name: fileName,
+                    mimeType: 'application/pdf',
+                    description: 'Generated PDF',
+                    size: stats.size
+                }));
+            }
+            
+            return { content, structuredContent: result };
         } catch (error) {
             throw new Error(`PDF generation failed: ${error.message}`);
         }
@@ -264,7 +288,7 @@ class BrowserPdfTool extends ToolBase {
     /**
      * Wait for a specific selector to appear
      */
-    async waitForSelector(client, selector, timeout) {
+    async waitForSelector(client, selector, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -276,7 +300,7 @@ class BrowserPdfTool extends ToolBase {
                 return;
             }
             
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await this.sleep(100, signal);
         }
         
         throw new Error(`Selector '${selector}' not found within ${timeout}ms`);
@@ -286,14 +310,10 @@ class BrowserPdfTool extends ToolBase {
      * Generate default PDF filename
      */
     generateDefaultPath() {
-        const os = require('os');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         // Use output directory from environment or default to user home directory
-        const defaultOutputDir = process.env.HOME 
-            ? path.join(process.env.HOME, '.mcp-browser-control') 
-            : path.join(os.tmpdir(), 'mcp-browser-control');
-        const outputDir = process.env.OUTPUT_DIR || defaultOutputDir;
+        const outputDir = getOutputDir();
         
         return path.join(outputDir, `page-${timestamp}.pdf`);
     }
@@ -8,7 +8,14 @@ const browserService = require('../../../services/browserService');
 class BrowserTabsTool extends ToolBase {
     static definition = {
         name: "browser_tabs",
+        title: "Browser Tabs",
         description: "Manage browser tabs - create, close, switch, list, and organize tabs with advanced features.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
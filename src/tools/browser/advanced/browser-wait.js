@@ -1,6 +1,9 @@
 const ToolBase = require('../../base/ToolBase');
 const browserService = require('../../../services/browserService');
 
+// How often elapsed wait time is reported to clients that requested progress
+const PROGRESS_INTERVAL = 1000;
+
 /**
  * Enhanced Wait Tool - Provides sophisticated waiting strategies
  * Inspired by Playwright MCP wait capabilities
@@ -8,7 +11,14 @@ const browserService = require('../../../services/browserService');
 class BrowserWaitTool extends ToolBase {
     static definition = {
         name: "browser_wait",
+        title: "Wait for Condition",
         description: "Wait for various conditions including elements, text, network requests, or time delays. Supports complex waiting scenarios.",
+        annotations: {
+            readOnlyHint: true,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -63,7 +73,7 @@ class BrowserWaitTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal, reportProgress = () => {} } = {}) {
         const { 
             browserId, 
             condition, 
@@ -90,13 +100,19 @@ class BrowserWaitTool extends ToolBase {
             timedOut: false
         };
 
+        // Report elapsed wait time (ms) once per second
+        const maxWait = condition === 'time' && time ? time * 1000 : timeout;
+        const progressTimer = setInterval(() => {
+            reportProgress(Date.now() - startTime, maxWait, `Waiting for ${condition}${value ? ` '${value}'` : ''}`);
+        }, PROGRESS_INTERVAL);
+
         try {
             switch (condition) {
                 case 'time':
                     if (!time) {
                         throw new Error('Time value is required for time condition');
                     }
-                    await this.waitForTime(time * 1000);
+                    await this.waitForTime(time * 1000, signal);
                     result.success = true;
                     result.value = `${time} seconds`;
                     break;
@@ -105,7 +121,7 @@ class BrowserWaitTool extends ToolBase {
                     if (!value) {
                         throw new Error('Selector is required for element condition');
                     }
-                    const elementResult = await this.waitForElement(client, value, state, timeout);
+                    const elementResult = await this.waitForElement(client, value, state, timeout, signal);
                     result.success = elementResult.found;
                     result.value = value;
                     result.state = state;
@@ -115,7 +131,7 @@ class BrowserWaitTool extends ToolBase {
                     if (!value) {
                         throw new Error('Text is required for text condition');
                     }
-                    const textResult = await this.waitForText(client, value, true, timeout);
+                    const textResult = await this.waitForText(client, value, true, timeout, signal);
                     result.success = textResult.found;
                     result.value = value;
                     result.actualValue = textResult.actualText;
@@ -125,7 +141,7 @@ class BrowserWaitTool extends ToolBase {
                     if (!value) {
                         throw new Error('Text is required for textGone condition');
                     }
-                    const textGoneResult = await this.waitForText(client, value, false, timeout);
+                    const textGoneResult = await this.waitForText(client, value, false, timeout, signal);
                     result.success = textGoneResult.found;
                     result.value = value;
                     break;
@@ -134,25 +150,25 @@ class BrowserWaitTool extends ToolBase {
                     if (!value) {
                         throw new Error('URL pattern is required for url condition');
                     }
-                    const urlResult = await this.waitForUrl(client, value, timeout);
+                    const urlResult = await this.waitForUrl(client, value, timeout, signal);
                     result.success = urlResult.found;
                     result.value = value;
                     result.actualValue = urlResult.actualUrl;
                     break;
                     
                 case 'networkIdle':
-                    const networkResult = await this.waitForNetworkIdle(client, networkIdleTime, timeout);
+                    const networkResult = await this.waitForNetworkIdle(client, networkIdleTime, timeout, signal);
                     result.success = networkResult.idle;
                     result.value = `${networkIdleTime}ms idle`;
                     break;
                     
                 case 'domContentLoaded':
-                    const domResult = await this.waitForDOMContentLoaded(client, timeout);
+                    const domResult = await this.waitForDOMContentLoaded(client, timeout, signal);
                     result.success = domResult.loaded;
                     break;
                     
                 case 'load':
-                    const loadResult = await this.waitForLoad(client, timeout);
+                    const loadResult = await this.waitForLoad(client, timeout, signal);
                     result.success = loadResult.loaded;
                     break;
                     
@@ -160,11 +176,13 @@ class BrowserWaitTool extends ToolBase {
                     throw new Error(`Unsupported wait condition: ${condition}`);
             }
         } catch (error) {
-            if (error.message.includes('timeout')) {
+            if (!ToolBase.isAbortError(error) && error.message.includes('timeout')) {
                 result.timedOut = true;
             } else {
                 throw error;
             }
+        } finally {
+            clearInterval(progressTimer);
         }
 
         result.waitTime = Date.now() - startTime;
@@ -172,16 +190,16 @@ class BrowserWaitTool extends ToolBase {
     }
 
     /**
-     * Wait for a specific amount of time
+     * Wait for a specific amount of time, stopping early if the call is cancelled
      */
-    async waitForTime(milliseconds) {
-        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    async waitForTime(milliseconds, signal) {
+        return this.sleep(milliseconds, signal);
     }
 
     /**
      * Wait for element to be in specified state
      */
-    async waitForElement(client, selector, state, timeout) {
+    async waitForElement(client, selector, state, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -209,7 +227,7 @@ class BrowserWaitTool extends ToolBase {
             
             if (!elementData) {
                 if (state === 'detached') return { found: true };
-                await this.waitForTime(100);
+                await this.waitForTime(100, signal);
                 continue;
             }
             
@@ -228,7 +246,7 @@ class BrowserWaitTool extends ToolBase {
                     break;
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         throw new Error(`Timeout waiting for element '${selector}' to be ${state}`);
@@ -237,7 +255,7 @@ class BrowserWaitTool extends ToolBase {
     /**
      * Wait for text to appear or disappear
      */
-    async waitForText(client, text, shouldAppear, timeout) {
+    async waitForText(client, text, shouldAppear, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -259,7 +277,7 @@ class BrowserWaitTool extends ToolBase {
                 return { found: true };
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         const condition = shouldAppear ? 'appear' : 'disappear';
@@ -269,7 +287,7 @@ class BrowserWaitTool extends ToolBase {
     /**
      * Wait for URL to match pattern
      */
-    async waitForUrl(client, urlPattern, timeout) {
+    async waitForUrl(client, urlPattern, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -284,7 +302,7 @@ class BrowserWaitTool extends ToolBase {
                 return { found: true, actualUrl: currentUrl };
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         throw new Error(`Timeout waiting for URL to match pattern '${urlPattern}'`);
@@ -293,7 +311,7 @@ class BrowserWaitTool extends ToolBase {
     /**
      * Wait for network to be idle
      */
-    async waitForNetworkIdle(client, idleTime, timeout) {
+    async waitForNetworkIdle(client, idleTime, timeout, signal) {
         // Enable network monitoring
         await client.Network.enable();
         
@@ -322,7 +340,7 @@ class BrowserWaitTool extends ToolBase {
                 return { idle: true };
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         throw new Error(`Timeout waiting for network idle (${idleTime}ms)`);
@@ -331,7 +349,7 @@ class BrowserWaitTool extends ToolBase {
     /**
      * Wait for DOM content loaded
      */
-    async waitForDOMContentLoaded(client, timeout) {
+    async waitForDOMContentLoaded(client, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -345,7 +363,7 @@ class BrowserWaitTool extends ToolBase {
                 return { loaded: true };
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         throw new Error('Timeout waiting for DOM content loaded');
@@ -354,7 +372,7 @@ class BrowserWaitTool extends ToolBase {
     /**
      * Wait for page load complete
      */
-    async waitForLoad(client, timeout) {
+    async waitForLoad(client, timeout, signal) {
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
@@ -368,7 +386,7 @@ class BrowserWaitTool extends ToolBase {
                 return { loaded: true };
             }
             
-            await this.waitForTime(100);
+            await this.waitForTime(100, signal);
         }
         
         throw new Error('Timeout waiting for page load complete');
@@ -8,7 +8,14 @@ const browserService = require('../../services/browserService');
 class BrowserClickTool extends ToolBase {
     static definition = {
         name: "browser_click",
+        title: "Click Element",
         description: "Simulates a click on a specific element in the browser.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -91,7 +98,7 @@ class BrowserClickTool extends ToolBase {
             finalLocatorValue = locatorValue;
         }
 
-        console.error(`[BrowserClickTool] Simulating click in browser ${browserId} with locator: ${finalLocatorType}="${finalLocatorValue}"`);
+        this.logger.info(`Simulating click in browser ${browserId} with locator: ${finalLocatorType}="${finalLocatorValue}"`);
 
         try {
             // Convert Playwright-style locator to appropriate format for browser service
@@ -99,7 +106,7 @@ class BrowserClickTool extends ToolBase {
             
             await browserService.clickElement(browserId, elementSelector, options);
             
-            console.error(`[BrowserClickTool] Successfully clicked element in browser: ${browserId}`);
+            this.logger.info(`Successfully clicked element in browser: ${browserId}`);
             
             return { 
                 success: true, 
@@ -110,7 +117,7 @@ class BrowserClickTool extends ToolBase {
                 message: `Successfully clicked element with ${finalLocatorType} locator: ${finalLocatorValue}`
             };
         } catch (error) {
-            console.error(`[BrowserClickTool] Failed to click element:`, error.message);
+            this.logger.error(`Failed to click element:`, error.message);
             
             return {
                 success: false,
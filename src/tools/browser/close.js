@@ -8,7 +8,14 @@ const browserService = require('../../services/browserService');
 class BrowserCloseTool extends ToolBase {
     static definition = {
         name: "browser_close",
-        description: "Closes a specific browser instance and cleans up its resources. Always call this when done with a browser.",
+        title: "Close Browser",
+        description: "Closes a specific browser instance and cleans up its resources. Always call this when done with a browser. Browsers attached with browser_connect are only detached from; their Chrome keeps running.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -23,7 +30,8 @@ class BrowserCloseTool extends ToolBase {
             type: "object",
             properties: {
                 message: { type: "string", description: "Confirmation message of successful closure." },
-                browserId: { type: "string", description: "The browser instance ID that was closed." }
+                browserId: { type: "string", description: "The browser instance ID that was closed." },
+                detached: { type: "boolean", description: "True if the browser was attached with browser_connect and left running." }
             },
             required: ["message", "browserId"]
         }
@@ -32,20 +40,23 @@ class BrowserCloseTool extends ToolBase {
     async execute(parameters) {
         const { browserId } = parameters;
 
-        console.error(`[BrowserCloseTool] Closing browser: ${browserId}`);
+        this.logger.info(`Closing browser: ${browserId}`);
 
         try {
-            await browserService.closeBrowser(browserId);
+            const { detached } = await browserService.closeBrowser(browserId);
             
-            console.error(`[BrowserCloseTool] Successfully closed browser: ${browserId}`);
+            this.logger.info(`Successfully ${detached ? 'detached from' : 'closed'} browser: ${browserId}`);
             
             return {
-                message: `Browser ${browserId} closed successfully`,
-                browserId: browserId
+                message: detached
+                    ? `Detached from browser ${browserId}; Chrome is still running`
+                    : `Browser ${browserId} closed successfully`,
+                browserId: browserId,
+                detached
             };
             
         } catch (error) {
-            console.error(`[BrowserCloseTool] Failed to close browser:`, error.message);
+            this.logger.error(`Failed to close browser ${browserId}:`, error.message);
             
             // Provide more specific error messages
             if (error.message.includes('not found')) {
@@ -0,0 +1,120 @@
+const ToolBase = require('../base/ToolBase');
+const browserService = require('../../services/browserService');
+
+/**
+ * Browser Connect Tool
+ * Attaches to a Chrome that is already running (a developer's logged-in browser, or one
+ * started by a container) instead of launching a new one
+ */
+class BrowserConnectTool extends ToolBase {
+    static definition = {
+        name: "browser_connect",
+        title: "Connect to Browser",
+        description: "Attaches to an already-running Chrome started with --remote-debugging-port, e.g. a browser you are logged in to through SSO. Returns a browserId usable with the other browser tools and the page targets (tabs) of that Chrome. browser_close only detaches from it; Chrome keeps running. Use listOnly to see the tabs before choosing one with targetId.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
+        input_schema: {
+            type: "object",
+            properties: {
+                host: {
+                    type: "string",
+                    description: "Host of Chrome's DevTools endpoint. Defaults to 127.0.0.1."
+                },
+                port: {
+                    type: "number",
+                    description: "Remote debugging port of the running Chrome. Defaults to 9222."
+                },
+                webSocketUrl: {
+                    type: "string",
+                    description: "Optional. DevTools WebSocket URL (ws://host:port/devtools/browser/... or .../devtools/page/...) instead of host and port."
+                },
+                targetId: {
+                    type: "string",
+                    description: "Optional. ID of the page target (tab) to attach to. Defaults to the first tab, or the page in a page WebSocket URL."
+                },
+                browserId: {
+                    type: "string",
+                    description: "Optional. ID to register the browser under. Defaults to a generated 'connected-...' ID."
+                },
+                listOnly: {
+                    type: "boolean",
+                    default: false,
+                    description: "Only list the page targets without attaching."
+                }
+            }
+        },
+        output_schema: {
+            type: "object",
+            properties: {
+                browserId: { type: "string", description: "The ID to use with the other browser tools (absent with listOnly)." },
+                host: { type: "string" },
+                port: { type: "number" },
+                targetId: { type: "string", description: "The page target the browser tools act on." },
+                pages: {
+                    type: "array",
+                    description: "Page targets (tabs) of the running Chrome.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            targetId: { type: "string" },
+                            title: { type: "string" },
+                            url: { type: "string" },
+                            attachable: { type: "boolean", description: "False while another client (e.g. DevTools) debugs the page." },
+                            connected: { type: "boolean" }
+                        }
+                    }
+                }
+            },
+            required: ["pages"]
+        }
+    };
+
+    async execute(parameters, { signal } = {}) {
+        const { webSocketUrl, targetId, browserId, listOnly = false } = parameters;
+        const host = parameters.host || this.getConfig('defaultHost', '127.0.0.1');
+        const port = parameters.port || this.getConfig('defaultPort', 9222);
+        const endpoint = webSocketUrl || `${host}:${port}`;
+
+        if (listOnly) {
+            try {
+                const pages = await browserService.listPageTargets({ host, port, webSocketUrl });
+                return {
+                    host,
+                    port,
+                    pages: pages.map(({ webSocketDebuggerUrl, ...page }) => page)
+                };
+            } catch (error) {
+                throw new Error(`Failed to list page targets at ${endpoint}: ${error.message}`);
+            }
+        }
+
+        this.logger.info(`Connecting to browser at ${endpoint}${targetId ? ` (target: ${targetId})` : ''}`);
+
+        try {
+            const result = await browserService.connectBrowser({ host, port, webSocketUrl, targetId, browserId });
+
+            // The client gave up while attaching; detach again so the browser is not left registered
+            if (signal && signal.aborted) {
+                await browserService.closeBrowser(result.browserId).catch(() => {});
+                this.throwIfAborted(signal);
+            }
+
+            this.logger.info(`Successfully connected to browser: ${result.browserId}`);
+
+            return result;
+
+        } catch (error) {
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
+            this.logger.error(`Failed to connect to browser:`, error.message);
+            throw new Error(`Failed to connect to browser: ${error.message}`);
+        }
+    }
+}
+
+module.exports = BrowserConnectTool;
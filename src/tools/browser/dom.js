@@ -8,7 +8,14 @@ const browserService = require('../../services/browserService');
 class BrowserDOMTool extends ToolBase {
     static definition = {
         name: "browser_dom",
+        title: "Browser DOM",
         description: "Interacts with the DOM of the current browser page.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -18,7 +25,8 @@ class BrowserDOMTool extends ToolBase {
                 },
                 action: {
                     type: "string",
-                    description: "The DOM action to perform (e.g., 'click', 'type')."
+                    enum: ["click", "type", "get"],
+                    description: "The DOM action to perform: 'click', 'type', or 'get' to read the element's HTML."
                 },
                 selector: {
                     type: "string",
@@ -35,7 +43,8 @@ class BrowserDOMTool extends ToolBase {
             type: "object",
             properties: {
                 success: { type: "boolean", description: "Indicates if the DOM action was successful." },
-                browserId: { type: "string", description: "The browser instance ID that was used." }
+                browserId: { type: "string", description: "The browser instance ID that was used." },
+                html: { type: "string", description: "The outer HTML of the element (get only)." }
             },
             required: ["success", "browserId"]
         }
@@ -44,9 +53,10 @@ class BrowserDOMTool extends ToolBase {
     async execute(parameters) {
         const { browserId, action, selector, text } = parameters;
 
-        console.error(`[BrowserDOMTool] Performing ${action} in browser ${browserId} on element: ${selector}`);
+        this.logger.info(`Performing ${action} in browser ${browserId} on element: ${selector}`);
 
         try {
+            let html;
             switch (action) {
                 case 'click':
                     await browserService.clickElement(browserId, selector);
@@ -54,15 +64,23 @@ class BrowserDOMTool extends ToolBase {
                 case 'type':
                     await browserService.typeText(browserId, selector, text);
                     break;
+                case 'get':
+                    html = await browserService.getElementHTML(browserId, { type: 'css', value: selector });
+                    break;
                 default:
                     throw new Error(`Unknown action: ${action}`);
             }
 
-            console.error(`[BrowserDOMTool] Successfully performed ${action} in browser: ${browserId}`);
-            return { success: true, browserId: browserId };
+            this.logger.info(`Successfully performed ${action} in browser: ${browserId}`);
+            return html === undefined ? { success: true, browserId: browserId } : { success: true, browserId: browserId, html };
         } catch (error) {
-            console.error(`[BrowserDOMTool] Failed to perform ${action}:`, error.message);
-            throw new Error(`Failed to perform ${action} in browser ${browserId}: ${error.message}`);
+            this.logger.error(`Failed to perform ${action}:`, error.message);
+            const failure = new Error(`Failed to perform ${action} in browser ${browserId}: ${error.message}`);
+            // Reading the element again is safe; a click or typing is never repeated
+            if (action === 'get' && this.isRetryableError(error)) {
+                failure.retryable = true;
+            }
+            throw failure;
         }
     }
 }
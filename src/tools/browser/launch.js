@@ -8,7 +8,14 @@ const browserService = require('../../services/browserService');
 class BrowserLaunchTool extends ToolBase {
     static definition = {
         name: "browser_launch",
+        title: "Launch Browser",
         description: "Launches a new web browser instance. Returns a unique browserId. Use this before any other browser actions.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -38,18 +45,25 @@ class BrowserLaunchTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         // Set defaults
         const headless = parameters.headless !== undefined ? parameters.headless : true;
         const port = parameters.port || undefined; // Let chrome-launcher choose if not specified
         const userDataDir = parameters.userDataDir || null;
 
-        console.error(`[BrowserLaunchTool] Launching browser with headless=${headless}, port=${port}, userDataDir=${userDataDir}`);
+        this.logger.info(`Launching browser with headless=${headless}, port=${port}, userDataDir=${userDataDir}`);
 
         try {
             const result = await browserService.launchBrowser(headless, port, userDataDir);
+
+            // The client gave up while Chrome was starting; don't leave an orphaned browser behind
+            if (signal && signal.aborted) {
+                this.logger.info(`Launch cancelled, closing browser: ${result.browserId}`);
+                await browserService.closeBrowser(result.browserId).catch(() => {});
+                this.throwIfAborted(signal);
+            }
             
-            console.error(`[BrowserLaunchTool] Successfully launched browser: ${result.browserId}`);
+            this.logger.info(`Successfully launched browser: ${result.browserId}`);
             
             return {
                 browserId: result.browserId,
@@ -58,7 +72,10 @@ class BrowserLaunchTool extends ToolBase {
             };
             
         } catch (error) {
-            console.error(`[BrowserLaunchTool] Failed to launch browser:`, error.message);
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
+            this.logger.error(`Failed to launch browser:`, error.message);
             throw new Error(`Failed to launch browser: ${error.message}`);
         }
     }
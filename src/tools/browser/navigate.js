@@ -9,7 +9,14 @@ const browserService = require('../../services/browserService');
 class BrowserNavigateTool extends ToolBase {
     static definition = {
         name: "browser_navigate",
+        title: "Navigate Page",
         description: "Navigate browser pages with full history support including go to URL, back, forward, and refresh operations.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -56,7 +63,7 @@ class BrowserNavigateTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         const { 
             browserId, 
             action = "goto", 
@@ -81,7 +88,7 @@ class BrowserNavigateTool extends ToolBase {
 
         const client = browser.cdpClient;
         
-        console.error(`[BrowserNavigateTool] Performing ${action} action on browser ${browserId}`);
+        this.logger.info(`Performing ${action} action on browser ${browserId}`);
 
         try {
             let result = {
@@ -95,7 +102,7 @@ class BrowserNavigateTool extends ToolBase {
 
             switch (action) {
                 case 'goto':
-                    await this.performGoto(client, url, waitForNavigation, timeout);
+                    await this.performGoto(client, url, waitForNavigation, timeout, signal);
                     result.success = true;
                     result.message = `Successfully navigated to ${url}`;
                     result.url = url;
@@ -106,7 +113,7 @@ class BrowserNavigateTool extends ToolBase {
                     if (!currentInfo.canGoBack) {
                         throw new Error("Cannot go back - no previous page in history");
                     }
-                    await this.performBack(client, waitForNavigation);
+                    await this.performBack(client, waitForNavigation, signal);
                     const backInfo = await this.getCurrentNavigationState(client);
                     result.success = true;
                     result.message = "Successfully navigated back";
@@ -118,7 +125,7 @@ class BrowserNavigateTool extends ToolBase {
                     if (!currentInfo.canGoForward) {
                         throw new Error("Cannot go forward - no next page in history");
                     }
-                    await this.performForward(client, waitForNavigation);
+                    await this.performForward(client, waitForNavigation, signal);
                     const forwardInfo = await this.getCurrentNavigationState(client);
                     result.success = true;
                     result.message = "Successfully navigated forward";
@@ -128,7 +135,7 @@ class BrowserNavigateTool extends ToolBase {
 
                 case 'refresh':
                 case 'reload':
-                    await this.performRefresh(client, waitForNavigation);
+                    await this.performRefresh(client, waitForNavigation, signal);
                     result.success = true;
                     result.message = "Successfully refreshed page";
                     result.url = currentInfo.url;
@@ -147,11 +154,14 @@ class BrowserNavigateTool extends ToolBase {
                 result.url = finalInfo.url;
             }
 
-            console.error(`[BrowserNavigateTool] Successfully completed ${action} action`);
+            this.logger.info(`Successfully completed ${action} action`);
             return result;
             
         } catch (error) {
-            console.error(`[BrowserNavigateTool] Navigation failed:`, error.message);
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
+            this.logger.error(`Navigation failed:`, error.message);
             throw new Error(`Failed to perform ${action}: ${error.message}`);
         }
     }
@@ -159,7 +169,7 @@ class BrowserNavigateTool extends ToolBase {
     /**
      * Navigate to a specific URL
      */
-    async performGoto(client, url, waitForNavigation, timeout) {
+    async performGoto(client, url, waitForNavigation, timeout, signal) {
         await client.Page.enable();
         
         if (waitForNavigation) {
@@ -175,9 +185,9 @@ class BrowserNavigateTool extends ToolBase {
                 });
             });
 
-            // Navigate and wait
+            // Navigate and wait, stopping the page load if the call is cancelled
             await client.Page.navigate({ url });
-            await navigationPromise;
+            await this.withAbort(navigationPromise, signal, () => client.Page.stopLoading());
         } else {
             await client.Page.navigate({ url });
         }
@@ -186,7 +196,7 @@ class BrowserNavigateTool extends ToolBase {
     /**
      * Navigate back in history
      */
-    async performBack(client, waitForNavigation) {
+    async performBack(client, waitForNavigation, signal) {
         const history = await client.Page.getNavigationHistory();
         
         if (history.currentIndex > 0) {
@@ -198,7 +208,7 @@ class BrowserNavigateTool extends ToolBase {
                 });
                 
                 await client.Page.navigateToHistoryEntry({ entryId: previousEntry.id });
-                await navigationPromise;
+                await this.withAbort(navigationPromise, signal, () => client.Page.stopLoading());
             } else {
                 await client.Page.navigateToHistoryEntry({ entryId: previousEntry.id });
             }
@@ -208,7 +218,7 @@ class BrowserNavigateTool extends ToolBase {
     /**
      * Navigate forward in history
      */
-    async performForward(client, waitForNavigation) {
+    async performForward(client, waitForNavigation, signal) {
         const history = await client.Page.getNavigationHistory();
         
         if (history.currentIndex < history.entries.length - 1) {
@@ -220,7 +230,7 @@ class BrowserNavigateTool extends ToolBase {
                 });
                 
                 await client.Page.navigateToHistoryEntry({ entryId: nextEntry.id });
-                await navigationPromise;
+                await this.withAbort(navigationPromise, signal, () => client.Page.stopLoading());
             } else {
                 await client.Page.navigateToHistoryEntry({ entryId: nextEntry.id });
             }
@@ -230,14 +240,14 @@ class BrowserNavigateTool extends ToolBase {
     /**
      * Refresh/reload the current page
      */
-    async performRefresh(client, waitForNavigation) {
+    async performRefresh(client, waitForNavigation, signal) {
         if (waitForNavigation) {
             const navigationPromise = new Promise((resolve) => {
                 client.Page.loadEventFired(resolve);
             });
             
             await client.Page.reload();
-            await navigationPromise;
+            await this.withAbort(navigationPromise, signal, () => client.Page.stopLoading());
         } else {
             await client.Page.reload();
         }
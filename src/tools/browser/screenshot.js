@@ -1,5 +1,7 @@
 const ToolBase = require('../base/ToolBase');
 const browserService = require('../../services/browserService');
+const { getOutputDir } = require('../../utils/outputPaths');
+const { getResourceUri } = require('../../resources');
 
 /**
  * Enhanced Browser Screenshot Tool
@@ -9,7 +11,14 @@ const browserService = require('../../services/browserService');
 class BrowserScreenshotTool extends ToolBase {
     static definition = {
         name: "browser_screenshot",
+        title: "Take Screenshot",
         description: "Capture screenshots with advanced options including full page, element-specific, and custom formats with quality control.",
+        annotations: {
+            readOnlyHint: true,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -81,7 +90,6 @@ class BrowserScreenshotTool extends ToolBase {
             type: "object",
             properties: {
                 success: { type: "boolean", description: "Whether screenshot was captured successfully" },
-                imageData: { type: "string", description: "Base64 encoded image data" },
                 format: { type: "string", description: "Image format used" },
                 fileName: { type: "string", description: "The file name if saved to disk" },
                 dimensions: {
@@ -96,7 +104,7 @@ class BrowserScreenshotTool extends ToolBase {
                 element: { type: "string", description: "CSS selector if element screenshot was taken" },
                 browserId: { type: "string", description: "The browser instance ID that was used" }
             },
-            required: ["success", "imageData", "format", "browserId"]
+            required: ["success", "format", "browserId"]
         }
     };
 
@@ -117,7 +125,7 @@ class BrowserScreenshotTool extends ToolBase {
         const fileExtension = this.getFileExtension(options.format || 'png');
         const finalFileName = fileName || `screenshot_${browserId}_${Date.now()}.${fileExtension}`;
 
-        console.error(`[BrowserScreenshotTool] Taking screenshot of browser ${browserId}, fileName: ${finalFileName}, saveToDisk: ${saveToDisk}`);
+        this.logger.info(`Taking screenshot of browser ${browserId}, fileName: ${finalFileName}, saveToDisk: ${saveToDisk}`);
 
         try {
             let screenshotResult;
@@ -134,11 +142,10 @@ class BrowserScreenshotTool extends ToolBase {
                 savedPath = await this.saveScreenshot(screenshotResult.data, finalFileName);
             }
             
-            console.error(`[BrowserScreenshotTool] Successfully captured screenshot for browser: ${browserId}`);
+            this.logger.info(`Successfully captured screenshot for browser: ${browserId}`);
             
-            return {
+            const summary = {
                 success: true,
-                imageData: screenshotResult.data,
                 format: options.format || 'png',
                 fileName: savedPath ? finalFileName : null,
                 dimensions: screenshotResult.dimensions,
@@ -146,9 +153,27 @@ class BrowserScreenshotTool extends ToolBase {
                 element: options.element || null,
                 browserId: browserId
             };
+
+            // Return the image as an image block the model can see, not as a base64 JSON string
+            const mimeType = `image/${summary.format}`;
+            const content = [
+                this.createTextContent(summary),
+                this.createImageContent(screenshotResult.data, mimeType)
+            ];
+
+            const resourceUri = savedPath && getResourceUri('screenshots', savedPath);
+            if (resourceUri) {
+                content.push(this.createResourceLink(resourceUri, {
+                    name: finalFileName,
+                    mimeType,
+                    description: 'Saved screenshot'
+                }));
+            }
+
+            return { content, structuredContent: summary };
             
         } catch (error) {
-            console.error(`[BrowserScreenshotTool] Failed to take screenshot:`, error.message);
+            this.logger.error(`Failed to take screenshot:`, error.message);
             throw new Error(`Failed to take screenshot of browser ${browserId}: ${error.message}`);
         }
     }
@@ -272,13 +297,9 @@ class BrowserScreenshotTool extends ToolBase {
     async saveScreenshot(base64Data, fileName) {
         const fs = require('fs').promises;
         const path = require('path');
-        const os = require('os');
         
         // Use output directory from environment or default to user home directory
-        const defaultOutputDir = process.env.HOME 
-            ? path.join(process.env.HOME, '.mcp-browser-control') 
-            : path.join(os.tmpdir(), 'mcp-browser-control');
-        const outputDir = process.env.OUTPUT_DIR || defaultOutputDir;
+        const outputDir = getOutputDir();
         const filePath = path.join(outputDir, fileName);
         
         // Ensure directory exists
@@ -8,7 +8,14 @@ const browserService = require('../../services/browserService');
 class BrowserTypeTool extends ToolBase {
     static definition = {
         name: "browser_type",
+        title: "Type Text",
         description: "Types text into a specific input field in the browser.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: true
+        },
         input_schema: {
             type: "object",
             properties: {
@@ -82,7 +89,7 @@ class BrowserTypeTool extends ToolBase {
         }
     };
 
-    async execute(parameters) {
+    async execute(parameters, { signal } = {}) {
         const { browserId, locatorType, locatorValue, selector, text, options = {} } = parameters;
 
         // Handle backward compatibility
@@ -95,15 +102,15 @@ class BrowserTypeTool extends ToolBase {
             finalLocatorValue = locatorValue;
         }
 
-        console.error(`[BrowserTypeTool] Typing in browser ${browserId} with locator: ${finalLocatorType}="${finalLocatorValue}"`);
+        this.logger.info(`Typing in browser ${browserId} with locator: ${finalLocatorType}="${finalLocatorValue}"`);
 
         try {
             // Convert Playwright-style locator to appropriate format for browser service
             const elementSelector = this.convertLocatorToSelector(finalLocatorType, finalLocatorValue);
             
-            await browserService.typeIntoElement(browserId, elementSelector, text, options);
+            await browserService.typeIntoElement(browserId, elementSelector, text, { ...options, signal });
             
-            console.error(`[BrowserTypeTool] Successfully typed in browser: ${browserId}`);
+            this.logger.info(`Successfully typed in browser: ${browserId}`);
             
             return { 
                 success: true, 
@@ -115,7 +122,10 @@ class BrowserTypeTool extends ToolBase {
                 message: `Successfully typed "${text}" into element with ${finalLocatorType} locator: ${finalLocatorValue}`
             };
         } catch (error) {
-            console.error(`[BrowserTypeTool] Failed to type in element:`, error.message);
+            if (ToolBase.isAbortError(error)) {
+                throw error;
+            }
+            this.logger.error(`Failed to type in element:`, error.message);
             
             return {
                 success: false,
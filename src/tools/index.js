@@ -26,10 +26,28 @@ async function initializeTools(debugMode = false) {
         // Discover and load all tools
         await toolRegistry.discoverTools(toolsDir, debugMode);
         
+        // Register tools from the plugins configured under plugins.directories / plugins.packages
+        await toolRegistry.loadPlugins();
+        
+        // Load the middleware modules configured under middleware.modules
+        toolRegistry.loadMiddleware();
+        
+        // Select the tool profile named by profile (--profile / MCP_PROFILE), if any
+        toolRegistry.loadProfile();
+        
         // Log registry statistics
         const stats = toolRegistry.getStats();
         console.error(`[Tools] Tool system initialized successfully:`);
         console.error(`[Tools] - Total tools: ${stats.total_tools}`);
+        if (stats.plugins.length > 0) {
+            console.error(`[Tools] - Plugins: ${stats.plugins.join(', ')}`);
+        }
+        if (stats.profile) {
+            console.error(`[Tools] - Profile: ${stats.profile} (${toolRegistry.getDefinitions().length} tools offered)`);
+        }
+        if (stats.middleware.length > 0) {
+            console.error(`[Tools] - Middleware: ${stats.middleware.join(', ')}`);
+        }
         if (debugMode) {
             console.error(`[Tools] - Available tools: ${stats.tool_names.join(', ')}`);
         }
@@ -42,6 +60,23 @@ async function initializeTools(debugMode = false) {
     }
 }
 
+/**
+ * Watch the tools directory and hot-reload tools when their files change
+ * @param {Function} onChange - Called with the new tool definitions whenever the tool list changes
+ * @returns {object} - Watcher handle with close()
+ */
+function watchTools(onChange) {
+    return toolRegistry.watchTools(onChange);
+}
+
+/**
+ * Add a middleware to the tool execution pipeline
+ * @param {object} middleware - { name, before, after, onError } hooks
+ */
+function useMiddleware(middleware) {
+    toolRegistry.use(middleware);
+}
+
 /**
  * Get the tool registry instance
  * @returns {ToolRegistry} - The tool registry instance
@@ -62,19 +97,36 @@ function getToolDefinitions() {
  * Execute a tool by name
  * @param {string} toolName - The name of the tool to execute
  * @param {object} parameters - The parameters to pass to the tool
+ * @param {object} options - Execution options ({ signal, onProgress } for cancellation and progress)
  * @returns {Promise<object>} - The tool execution result
  */
-async function executeTool(toolName, parameters) {
-    return await toolRegistry.executeTool(toolName, parameters);
+async function executeTool(toolName, parameters, options = {}) {
+    return await toolRegistry.executeTool(toolName, parameters, options);
 }
 
 /**
- * Check if a tool is available
+ * Check if a tool is available (registered and allowed by the active profile)
  * @param {string} toolName - The name of the tool to check
  * @returns {boolean} - True if the tool is available
  */
 function isToolAvailable(toolName) {
-    return toolRegistry.hasTool(toolName);
+    return toolRegistry.isToolAllowed(toolName);
+}
+
+/**
+ * Get the merged configuration of each registered tool (tools/default.js, category and tool settings)
+ * @returns {object} - { <tool name>: config }
+ */
+function getToolConfigs() {
+    return Object.fromEntries(toolRegistry.getToolNames().map(toolName => [toolName, toolRegistry.getTool(toolName).toolConfig]));
+}
+
+/**
+ * Get tool registry statistics (tool counts, categories, plugins, middleware, profile)
+ * @returns {object} - Registry statistics
+ */
+function getToolStats() {
+    return toolRegistry.getStats();
 }
 
 /**
@@ -82,14 +134,18 @@ function isToolAvailable(toolName) {
  * @returns {Array<string>} - Array of available tool names
  */
 function getAvailableTools() {
-    return toolRegistry.getToolNames();
+    return toolRegistry.getToolNames().filter(toolName => toolRegistry.isToolAllowed(toolName));
 }
 
 module.exports = {
     initializeTools,
+    watchTools,
+    useMiddleware,
     getToolRegistry,
     getToolDefinitions,
     executeTool,
     isToolAvailable,
-    getAvailableTools
+    getAvailableTools,
+    getToolConfigs,
+    getToolStats
 };
@@ -0,0 +1,188 @@
+const ToolBase = require('../base/ToolBase');
+const path = require('path');
+const { SUPPORTED_PROTOCOL_VERSIONS } = require('../../protocol');
+const { getOutputDir, getReportsDir } = require('../../utils/outputPaths');
+const { redact } = require('../../utils/redact');
+
+/**
+ * Server Info Tool - Reports what the server resolved: version, protocol, environment,
+ * feature flags, merged tool configs, running browsers, API sessions and artifact directories
+ * Secrets (tokens, passwords, credentials in URLs, ...) are redacted from everything it returns.
+ */
+class ServerInfoTool extends ToolBase {
+    static definition = {
+        name: "server_info",
+        title: "Server Info",
+        description: "Reports how the server is set up, to diagnose misbehaving tools: server version, negotiated protocol, configuration environment and project config file, feature flags, the merged configuration of each tool, active browsers, API session counts and the directories screenshots, PDFs and reports are written to. Secrets are redacted.",
+        annotations: {
+            readOnlyHint: true,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
+        input_schema: {
+            type: "object",
+            properties: {
+                tool: {
+                    type: "string",
+                    description: "Only report the merged configuration of this tool (e.g. 'browser_launch')"
+                },
+                includeToolConfigs: {
+                    type: "boolean",
+                    default: true,
+                    description: "Whether to include the merged configuration of the tools"
+                }
+            }
+        },
+        output_schema: {
+            type: "object",
+            properties: {
+                server: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        version: { type: "string" },
+                        transport: { type: "string" },
+                        node: { type: "string" },
+                        platform: { type: "string" },
+                        pid: { type: "number" },
+                        uptime: { type: "number", description: "Seconds since the server started" }
+                    }
+                },
+                protocol: {
+                    type: "object",
+                    properties: {
+                        negotiated: { type: ["string", "null"], description: "Protocol version negotiated with the calling client" },
+                        supported: { type: "array", items: { type: "string" } },
+                        client: { description: "clientInfo sent by the calling client" }
+                    }
+                },
+                config: {
+                    type: "object",
+                    properties: {
+                        environment: { type: "string" },
+                        projectConfigFile: { type: ["string", "null"] },
+                        profile: { type: ["string", "null"] },
+                        debugMode: { type: "boolean" }
+                    }
+                },
+                featureFlags: { type: "object", description: "Effective feature flags" },
+                tools: {
+                    type: "object",
+                    properties: {
+                        total: { type: "number" },
+                        categories: { type: "object" },
+                        plugins: { type: "array", items: { type: "string" } },
+                        middleware: { type: "array", items: { type: "string" } }
+                    }
+                },
+                toolConfigs: { type: "object", description: "Merged configuration of each tool, as the tool sees it" },
+                browsers: {
+                    type: "object",
+                    properties: {
+                        count: { type: "number" },
+                        active: { type: "array", items: { type: "string" } }
+                    }
+                },
+                apiSessions: {
+                    type: "object",
+                    properties: {
+                        total: { type: "number" },
+                        byStatus: { type: "object" }
+                    }
+                },
+                directories: {
+                    type: "object",
+                    properties: {
+                        output: { type: "string", description: "Screenshots, PDFs and other browser artifacts" },
+                        reports: { type: "string", description: "API session reports" },
+                        screenshots: { type: "string", description: "browser_screenshot outputDirectory setting" },
+                        workingDirectory: { type: "string" }
+                    }
+                }
+            },
+            required: ["server", "protocol", "config", "featureFlags", "tools", "browsers", "apiSessions", "directories"]
+        }
+    };
+
+    async execute(parameters, { client } = {}) {
+        // Loaded lazily: the registry is what discovers this tool
+        const { getToolConfigs, getToolStats } = require('../index');
+        const { getActiveBrowserIds } = require('../../services/browserService');
+
+        const { tool, includeToolConfigs = true } = parameters;
+        const stats = getToolStats();
+
+        let toolConfigs;
+        if (includeToolConfigs) {
+            toolConfigs = getToolConfigs();
+            if (tool) {
+                if (!toolConfigs[tool]) {
+                    throw new Error(`Tool '${tool}' is not registered. Registered tools: ${Object.keys(toolConfigs).join(', ')}`);
+                }
+                toolConfigs = { [tool]: toolConfigs[tool] };
+            }
+        }
+
+        const activeBrowsers = getActiveBrowserIds();
+        const sessions = Array.from((global.__API_SESSION_STORE__ || new Map()).values());
+        const byStatus = {};
+        for (const session of sessions) {
+            const status = session.status || 'unknown';
+            byStatus[status] = (byStatus[status] || 0) + 1;
+        }
+
+        const info = {
+            server: {
+                name: this.config.get('server.name'),
+                version: this.config.get('server.version'),
+                transport: this.config.get('server.transport', 'stdio'),
+                node: process.version,
+                platform: `${process.platform}-${process.arch}`,
+                pid: process.pid,
+                uptime: Math.round(process.uptime())
+            },
+            protocol: {
+                negotiated: client ? client.protocolVersion : null,
+                supported: SUPPORTED_PROTOCOL_VERSIONS,
+                client: client ? client.clientInfo : null
+            },
+            config: {
+                environment: this.config.environment,
+                projectConfigFile: this.config.projectConfigFile,
+                profile: stats.profile,
+                debugMode: this.config.isFeatureEnabled('enableDebugMode')
+            },
+            featureFlags: this.config.get('features', {}),
+            tools: {
+                total: stats.total_tools,
+                categories: stats.categories,
+                plugins: stats.plugins,
+                middleware: stats.middleware
+            },
+            toolConfigs,
+            browsers: {
+                count: activeBrowsers.length,
+                active: activeBrowsers
+            },
+            apiSessions: {
+                total: sessions.length,
+                byStatus
+            },
+            directories: {
+                output: path.resolve(getOutputDir()),
+                reports: path.resolve(getReportsDir()),
+                screenshots: this.config.get('tools.browser.browser_screenshot.outputDirectory'),
+                workingDirectory: process.cwd()
+            }
+        };
+
+        if (!includeToolConfigs) {
+            delete info.toolConfigs;
+        }
+
+        return redact(info);
+    }
+}
+
+module.exports = ServerInfoTool;
@@ -0,0 +1,421 @@
+const ToolBase = require('../base/ToolBase');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Content block types passed through from steps (screenshots, PDFs, ...) to the workflow result
+const PASSTHROUGH_CONTENT_TYPES = ['image', 'audio', 'resource', 'resource_link'];
+const WORKFLOW_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const STEP_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+// Names taken by the template scope, plus __proto__, which would write to its prototype
+const RESERVED_STEP_IDS = ['inputs', 'steps', '__proto__'];
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Workflow Run Tool - Runs a sequence of registered tools in one call
+ * Step arguments can reference workflow inputs and earlier step outputs with
+ * {{inputs.name}}, {{<step id>.path.to.value}} or {{steps[0].path}}
+ */
+class WorkflowRunTool extends ToolBase {
+    static definition = {
+        name: "workflow_run",
+        title: "Run Workflow",
+        description: "Runs a sequence of tools in one call, e.g. browser_launch → browser_navigate → browser_type → browser_click → browser_screenshot. Step arguments can use templates such as {{launch.browserId}} (output of the step with id 'launch') or {{inputs.url}}. Pass the steps inline or the name of a JSON/YAML workflow file from the project's workflows directory. Returns a per-step result table.",
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        },
+        input_schema: {
+            type: "object",
+            properties: {
+                workflow: {
+                    type: "string",
+                    description: "Name of a workflow file in the workflows directory (e.g. 'login-smoke'), or a path to a .json/.yaml/.yml file in the project"
+                },
+                steps: {
+                    type: "array",
+                    minItems: 1,
+                    description: "Steps to run in order (ignored when 'workflow' is given)",
+                    items: {
+                        type: "object",
+                        properties: {
+                            id: {
+                                type: "string",
+                                description: "Name used to reference this step's output, e.g. {{launch.browserId}}"
+                            },
+                            tool: {
+                                type: "string",
+                                description: "Name of a registered tool"
+                            },
+                            arguments: {
+                                type: "object",
+                                description: "Tool arguments; strings may contain {{...}} templates"
+                            },
+                            continueOnError: {
+                                type: "boolean",
+                                description: "Keep going if this step fails (overrides onError)"
+                            }
+                        },
+                        required: ["tool"]
+                    }
+                },
+                inputs: {
+                    type: "object",
+                    description: "Values available to templates as {{inputs.<name>}}; override the workflow file's defaults"
+                },
+                onError: {
+                    type: "string",
+                    enum: ["stop", "continue"],
+                    description: "'stop' skips the remaining steps after a failure (default), 'continue' runs them anyway"
+                }
+            },
+            anyOf: [
+                { required: ["workflow"] },
+                { required: ["steps"] }
+            ]
+        },
+        output_schema: {
+            type: "object",
+            properties: {
+                success: { type: "boolean", description: "Whether every step succeeded" },
+                workflow: { type: "string", description: "Workflow name, if it was loaded from a file" },
+                summary: {
+                    type: "object",
+                    properties: {
+                        total: { type: "number" },
+                        succeeded: { type: "number" },
+                        failed: { type: "number" },
+                        skipped: { type: "number" },
+                        duration: { type: "number", description: "Total time in milliseconds" }
+                    }
+                },
+                steps: {
+                    type: "array",
+                    description: "Result of every step, in order",
+                    items: {
+                        type: "object",
+                        properties: {
+                            index: { type: "number" },
+                            id: { type: "string" },
+                            tool: { type: "string" },
+                            status: { type: "string", enum: ["success", "failed", "skipped"] },
+                            duration: { type: "number" },
+                            output: { description: "Structured or parsed text output of the tool" },
+                            error: { type: "string" }
+                        }
+                    }
+                }
+            },
+            required: ["success", "summary", "steps"]
+        }
+    };
+
+    async execute(parameters, { signal, reportProgress = () => {} } = {}) {
+        // Loaded lazily: the registry is what discovers this tool
+        const { executeTool, isToolAvailable } = require('../index');
+
+        const definition = parameters.workflow
+            ? this.loadWorkflow(parameters.workflow)
+            : { steps: parameters.steps };
+        const steps = this.validateSteps(definition.steps, isToolAvailable);
+        const inputs = { ...(definition.inputs || {}), ...(parameters.inputs || {}) };
+        const onError = parameters.onError || definition.onError || this.getConfig('defaultOnError', 'stop');
+
+        const scope = { inputs, steps: [] };
+        const results = [];
+        const passthroughContent = [];
+        const startTime = Date.now();
+        let stopped = false;
+
+        for (const [index, step] of steps.entries()) {
+            const label = step.id || `#${index + 1}`;
+            const record = { index, id: step.id, tool: step.tool, status: 'skipped', duration: 0 };
+            results.push(record);
+
+            if (stopped) {
+                scope.steps.push(null);
+                continue;
+            }
+
+            reportProgress(index, steps.length, `Step ${label}: ${step.tool}`);
+            const stepStart = Date.now();
+
+            try {
+                const args = resolveTemplates(step.arguments || {}, scope);
+                const response = await executeTool(step.tool, args, { signal });
+
+                record.output = getStepOutput(response);
+                passthroughContent.push(...(response.content || []).filter(block => PASSTHROUGH_CONTENT_TYPES.includes(block.type)));
+
+                const failure = getStepFailure(response, record.output);
+                if (failure) {
+                    throw new Error(failure);
+                }
+                record.status = 'success';
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw ToolBase.createAbortError(signal.reason);
+                }
+
+                record.status = 'failed';
+                record.error = error.message || String(error);
+                this.logger.warning(`Workflow step ${label} (${step.tool}) failed:`, record.error);
+
+                const continueOnError = step.continueOnError !== undefined ? step.continueOnError : onError === 'continue';
+                stopped = !continueOnError;
+            }
+
+            record.duration = Date.now() - stepStart;
+            scope.steps.push(record.output);
+            if (step.id) {
+                scope[step.id] = record.output;
+            }
+        }
+
+        reportProgress(steps.length, steps.length, 'Workflow finished');
+
+        const count = status => results.filter(record => record.status === status).length;
+        const summary = {
+            success: count('failed') === 0,
+            ...(definition.name ? { workflow: definition.name } : {}),
+            summary: {
+                total: results.length,
+                succeeded: count('success'),
+                failed: count('failed'),
+                skipped: count('skipped'),
+                duration: Date.now() - startTime
+            },
+            steps: results
+        };
+
+        return {
+            content: [
+                this.createTextContent(this.formatTable(summary)),
+                this.createTextContent(summary),
+                ...passthroughContent
+            ],
+            structuredContent: summary,
+            isError: !summary.success
+        };
+    }
+
+    /**
+     * Loads a workflow definition from a JSON or YAML file
+     * Bare names are looked up in the configured workflow directories; paths must stay
+     * inside the working directory or one of those directories
+     * @param {string} workflow - Workflow name or file path
+     * @returns {object} - { name, description, inputs, onError, steps }
+     */
+    loadWorkflow(workflow) {
+        const cwd = process.cwd();
+        const directories = this.getConfig('directories', ['workflows']).map(dir => path.resolve(cwd, dir));
+        const isPath = workflow.includes('/') || workflow.includes('\\') || WORKFLOW_FILE_EXTENSIONS.includes(path.extname(workflow));
+
+        let filePath;
+        if (isPath) {
+            filePath = path.resolve(cwd, workflow);
+            const allowedRoots = [cwd, ...directories];
+            if (!allowedRoots.some(root => filePath === root || filePath.startsWith(root + path.sep))) {
+                throw new Error(`Workflow file must be inside the project or a workflow directory: ${workflow}`);
+            }
+        } else {
+            const candidates = directories.flatMap(dir => WORKFLOW_FILE_EXTENSIONS.map(ext => path.join(dir, workflow + ext)));
+            filePath = candidates.find(candidate => fs.existsSync(candidate));
+            if (!filePath) {
+                throw new Error(`Workflow '${workflow}' not found in ${directories.join(', ')}`);
+            }
+        }
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Workflow file not found: ${filePath}`);
+        }
+
+        const source = fs.readFileSync(filePath, 'utf8');
+        let definition;
+        try {
+            definition = path.extname(filePath) === '.json' ? JSON.parse(source) : YAML.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid workflow file ${filePath}: ${error.message}`);
+        }
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error(`Invalid workflow file ${filePath}: expected an object with 'steps'`);
+        }
+        if (definition.onError !== undefined && !['stop', 'continue'].includes(definition.onError)) {
+            throw new Error(`Invalid workflow file ${filePath}: onError must be 'stop' or 'continue'`);
+        }
+
+        this.logger.debug(`Loaded workflow from ${filePath}`);
+        return { name: path.basename(filePath, path.extname(filePath)), ...definition };
+    }
+
+    /**
+     * Checks the steps before anything runs, so a typo does not fail a workflow halfway through
+     * @param {Array<object>} steps - Workflow steps
+     * @param {Function} isToolAvailable - Registry lookup
+     * @returns {Array<object>} - The steps
+     */
+    validateSteps(steps, isToolAvailable) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('A workflow needs at least one step');
+        }
+
+        const maxSteps = this.getConfig('maxSteps', 50);
+        if (steps.length > maxSteps) {
+            throw new Error(`Workflow has ${steps.length} steps; at most ${maxSteps} are allowed`);
+        }
+
+        const errors = [];
+        const ids = new Set();
+
+        steps.forEach((step, index) => {
+            const label = `steps[${index}]`;
+            if (!step || typeof step !== 'object' || typeof step.tool !== 'string') {
+                errors.push(`${label}.tool is required`);
+                return;
+            }
+            if (step.tool === WorkflowRunTool.definition.name) {
+                errors.push(`${label}: workflows cannot run ${step.tool}`);
+            } else if (!isToolAvailable(step.tool)) {
+                errors.push(`${label}: tool '${step.tool}' is not available`);
+            }
+            if (step.arguments !== undefined && (typeof step.arguments !== 'object' || step.arguments === null || Array.isArray(step.arguments))) {
+                errors.push(`${label}.arguments must be object`);
+            }
+            if (step.id !== undefined) {
+                if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id) || RESERVED_STEP_IDS.includes(step.id)) {
+                    errors.push(`${label}.id must be a name (letters, digits, _ and -) other than ${RESERVED_STEP_IDS.join(', ')}`);
+                } else if (ids.has(step.id)) {
+                    errors.push(`${label}.id '${step.id}' is used by an earlier step`);
+                }
+                ids.add(step.id);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid workflow: ${errors.join('; ')}`);
+        }
+        return steps;
+    }
+
+    /**
+     * Renders the step results as a Markdown table
+     * @param {object} summary - Workflow result
+     * @returns {string} - Table text
+     */
+    formatTable(summary) {
+        const maxLength = this.getConfig('maxTableOutputLength', 80);
+        const cell = (value) => {
+            let text = value === undefined || value === null ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+            if (text.length > maxLength) {
+                text = text.substring(0, maxLength - 1) + '…';
+            }
+            return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+        };
+
+        const { total, succeeded, failed, skipped, duration } = summary.summary;
+        const lines = [
+            `Workflow ${summary.workflow ? `'${summary.workflow}' ` : ''}${summary.success ? 'succeeded' : 'failed'}: ${succeeded}/${total} steps succeeded, ${failed} failed, ${skipped} skipped (${duration}ms)`,
+            '',
+            '| # | Step | Tool | Status | Time | Output / Error |',
+            '|---|------|------|--------|------|----------------|',
+            ...summary.steps.map(step => `| ${step.index + 1} | ${cell(step.id)} | ${step.tool} | ${step.status} | ${step.status === 'skipped' ? '' : `${step.duration}ms`} | ${cell(step.error || step.output)} |`)
+        ];
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Gets a step's output for templates and the result table: structured content,
+ * otherwise the first text block (parsed as JSON when possible)
+ * @param {object} response - MCP tools/call result
+ * @returns {any} - Step output
+ */
+function getStepOutput(response) {
+    if (!response) return null;
+    if (response.structuredContent !== undefined) return response.structuredContent;
+
+    const text = (response.content || []).find(block => block.type === 'text');
+    if (!text) return null;
+    try {
+        return JSON.parse(text.text);
+    } catch (error) {
+        return text.text;
+    }
+}
+
+/**
+ * Tells whether a step that returned normally still failed: an isError result, or an
+ * output reporting `ok: false` / `success: false` (e.g. api_request expectations not met)
+ * @param {object} response - MCP tools/call result
+ * @param {any} output - Step output
+ * @returns {string|null} - Failure description, or null if the step succeeded
+ */
+function getStepFailure(response, output) {
+    const reportsFailure = output && typeof output === 'object' && (output.ok === false || output.success === false);
+    if (!response.isError && !reportsFailure) {
+        return null;
+    }
+    if (output && typeof output === 'object' && typeof output.error === 'string') {
+        return output.error;
+    }
+    if (reportsFailure) {
+        return `Tool reported ${output.ok === false ? 'ok' : 'success'}: false (see output)`;
+    }
+    return typeof output === 'string' ? output : JSON.stringify(output);
+}
+
+/**
+ * Looks up a template reference such as 'launch.browserId', 'inputs.url' or 'steps[0].items[2]'
+ * @param {string} reference - Dotted path
+ * @param {object} scope - { inputs, steps, <step id>: output }
+ * @returns {any} - Referenced value
+ */
+function lookup(reference, scope) {
+    const segments = reference.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = scope;
+
+    for (const segment of segments) {
+        if (value === null || value === undefined || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            throw new Error(`Template {{${reference}}} does not resolve: '${segment}' not found`);
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+/**
+ * Replaces {{...}} templates in step arguments
+ * A string that is exactly one template keeps the referenced value's type; templates
+ * inside longer strings are interpolated as text
+ * @param {any} value - Arguments (or a part of them)
+ * @param {object} scope - Template scope
+ * @returns {any} - Arguments with templates resolved
+ */
+function resolveTemplates(value, scope) {
+    if (typeof value === 'string') {
+        const whole = /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value);
+        if (whole && !whole[1].startsWith('secret:')) {
+            return lookup(whole[1], scope);
+        }
+        return value.replace(TEMPLATE_PATTERN, (match, reference) => {
+            // {{secret:NAME}} is left for the step's tool to resolve
+            if (reference.startsWith('secret:')) {
+                return match;
+            }
+            const resolved = lookup(reference, scope);
+            return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTemplates(item, scope));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, scope)]));
+    }
+    return value;
+}
+
+module.exports = WorkflowRunTool;
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * HTTP Transport - Serves the MCP JSON-RPC server over HTTP
+ *
+ * Two flavours are exposed side by side so both current and older clients can connect:
+ * - Streamable HTTP (MCP 2025-03-26): POST/GET/DELETE on a single endpoint (default /mcp),
+ *   sessions tracked through the Mcp-Session-Id header, responses as JSON or an SSE stream
+ * - Legacy HTTP+SSE (MCP 2024-11-05): GET /sse opens the event stream and announces the
+ *   POST /messages?sessionId=... endpoint, responses are delivered over the event stream
+ */
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+const KEEP_ALIVE_INTERVAL = 25000;
+const SESSION_SWEEP_INTERVAL = 60000;
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+/**
+ * Writes a single Server-Sent Event to a response stream
+ * @param {object} res - Express response with an open event stream
+ * @param {object|string} data - Event payload (objects are JSON encoded)
+ * @param {string} event - Event name
+ */
+function writeSseEvent(res, data, event = 'message') {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`event: ${event}\ndata: ${payload}\n\n`);
+}
+
+/**
+ * Switches a response into an event stream
+ * @param {object} res - Express response
+ */
+function openSseStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+}
+
+/**
+ * Builds a JSON-RPC error payload for transport-level failures
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {string|number|null} id - Request id, if known
+ * @returns {object} - JSON-RPC error response
+ */
+function jsonRpcError(code, message, id = null) {
+    return { jsonrpc: "2.0", error: { code, message }, id };
+}
+
+/**
+ * Checks whether a JSON-RPC message expects a response
+ * @param {object} message - JSON-RPC message
+ * @returns {boolean} - True for requests, false for notifications and client responses
+ */
+function isRequest(message) {
+    return typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+/**
+ * Checks the Origin header of a request, as the Streamable HTTP spec requires to prevent
+ * DNS rebinding: requests without one (non-browser clients) and loopback origins are accepted
+ * @param {string|undefined} origin - Origin header value
+ * @param {Array<string>} allowedOrigins - Further accepted origins ('*' accepts any)
+ * @returns {boolean} - True if the request may proceed
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin) {
+        return true;
+    }
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
+        return true;
+    }
+    try {
+        return LOOPBACK_HOSTNAMES.includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks the Host header of a request against the interface the server is bound to, so that
+ * a page on another site cannot reach a local server through a rebound DNS name
+ * Loopback names are always accepted; a server bound to all interfaces accepts any host unless
+ * allowedHosts is configured
+ * @param {string|undefined} hostHeader - Host header value
+ * @param {string} boundHost - Interface the server listens on
+ * @param {Array<string>} allowedHosts - Further accepted host names ('*' accepts any)
+ * @returns {boolean} - True if the request may proceed
+ */
+function isHostAllowed(hostHeader, boundHost, allowedHosts) {
+    if (!hostHeader || allowedHosts.includes('*')) {
+        return true;
+    }
+    let hostname;
+    try {
+        hostname = new URL(`http://${hostHeader}`).hostname;
+    } catch (error) {
+        return false;
+    }
+    if (LOOPBACK_HOSTNAMES.includes(hostname) || allowedHosts.includes(hostname)) {
+        return true;
+    }
+    if (WILDCARD_HOSTS.includes(boundHost)) {
+        return allowedHosts.length === 0;
+    }
+    const bound = boundHost.includes(':') ? `[${boundHost}]` : boundHost;
+    return hostname === bound.toLowerCase();
+}
+
+/**
+ * Starts the HTTP transport
+ * @param {object} options - Transport options
+ * @param {Function} options.handleMessage - (message, context) => Promise<response|null>
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Interface to bind to
+ * @param {string} options.endpoint - Streamable HTTP endpoint path
+ * @param {string} options.maxRequestSize - Maximum accepted request body size (e.g. '10MB')
+ * @param {Array<string>} options.supportedProtocolVersions - Accepted MCP-Protocol-Version header values
+ * @param {Array<string>} options.allowedOrigins - Browser origins accepted besides loopback ones
+ * @param {Array<string>} options.allowedHosts - Host header names accepted besides loopback ones and the bound host
+ * @param {number} options.maxSessions - Most sessions open at once; further ones are refused
+ * @param {number} options.sessionIdleTimeout - Milliseconds without requests after which a session without an open stream is closed
+ * @param {Function} options.onSessionClosed - Called with the session id when a session ends
+ * @param {Function} options.log - Logger for important messages
+ * @param {Function} options.debugLog - Logger for debug messages
+ * @returns {Promise<object>} - Transport handle with { url, sseUrl, port, sessions, broadcast, close }
+ */
+async function startHttpTransport(options) {
+    const {
+        handleMessage,
+        port = 3000,
+        host = '127.0.0.1',
+        endpoint = '/mcp',
+        maxRequestSize = '10MB',
+        supportedProtocolVersions = null,
+        allowedOrigins = [],
+        allowedHosts = [],
+        maxSessions = 100,
+        sessionIdleTimeout = 1800000,
+        onSessionClosed = () => {},
+        log = () => {},
+        debugLog = () => {}
+    } = options;
+
+    // sessionId -> { id, transport, stream, createdAt, lastActivity }
+    const sessions = new Map();
+
+    // Sessions are registered by openSession: Streamable HTTP ones once initialize succeeded
+    function createSession(transport) {
+        return {
+            id: crypto.randomUUID(),
+            transport,
+            stream: null,
+            createdAt: new Date().toISOString(),
+            lastActivity: Date.now(),
+            send(message) {
+                if (this.stream) {
+                    writeSseEvent(this.stream, message);
+                } else {
+                    debugLog(`[HTTP] No open stream for session ${this.id}, dropping message: ${message.method || message.id}`);
+                }
+            }
+        };
+    }
+
+    function openSession(session) {
+        sessions.set(session.id, session);
+        debugLog(`[HTTP] Session ${session.id} created (${session.transport})`);
+    }
+
+    function hasRoomForSession() {
+        return sessions.size < maxSessions;
+    }
+
+    function findSession(sessionId) {
+        const session = sessionId && sessions.get(sessionId);
+        if (session) {
+            session.lastActivity = Date.now();
+        }
+        return session;
+    }
+
+    function closeSession(session) {
+        if (session.stream) {
+            session.stream.end();
+            session.stream = null;
+        }
+        sessions.delete(session.id);
+        onSessionClosed(session.id);
+        debugLog(`[HTTP] Session ${session.id} closed`);
+    }
+
+    function createContext(session, send) {
+        return {
+            transport: session.transport,
+            sessionId: session.id,
+            session,
+            send
+        };
+    }
+
+    // Keep idle event streams alive through proxies
+    function keepAlive(res) {
+        const timer = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+        res.on('close', () => clearInterval(timer));
+    }
+
+    // Close sessions whose client went away without DELETE; open event streams keep a session alive
+    const sweepTimer = setInterval(() => {
+        const idleSince = Date.now() - sessionIdleTimeout;
+        for (const session of sessions.values()) {
+            if (!session.stream && session.lastActivity < idleSince) {
+                debugLog(`[HTTP] Session ${session.id} idle, closing it`);
+                closeSession(session);
+            }
+        }
+    }, Math.min(SESSION_SWEEP_INTERVAL, sessionIdleTimeout));
+    sweepTimer.unref();
+
+    const app = express();
+
+    // Reject browser requests from other sites, or sent to a rebound DNS name, before reading their bodies
+    app.use([endpoint, '/sse', '/messages'], (req, res, next) => {
+        const hostHeader = req.get('host');
+        if (!isHostAllowed(hostHeader, host, allowedHosts)) {
+            debugLog(`[HTTP] Rejected request for host ${hostHeader}`);
+            return res.status(403).json(jsonRpcError(-32000, `Forbidden: host not allowed: ${hostHeader}`));
+        }
+        const origin = req.get('origin');
+        if (!isOriginAllowed(origin, allowedOrigins)) {
+            debugLog(`[HTTP] Rejected request from origin ${origin}`);
+            return res.status(403).json(jsonRpcError(-32000, `Forbidden: origin not allowed: ${origin}`));
+        }
+        next();
+    });
+
+    app.use(express.json({ limit: maxRequestSize }));
+
+    // --- Streamable HTTP ---
+
+    app.post(endpoint, async (req, res) => {
+        const body = req.body;
+        const messages = Array.isArray(body) ? body : [body];
+
+        if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object')) {
+            return res.status(400).json(jsonRpcError(-32600, 'Invalid Request'));
+        }
+
+        // Clients send the negotiated version on every request after initialize
+        const protocolVersion = req.get(PROTOCOL_VERSION_HEADER);
+        if (protocolVersion && supportedProtocolVersions && !supportedProtocolVersions.includes(protocolVersion)) {
+            return res.status(400).json(jsonRpcError(-32000, `Bad Request: unsupported ${PROTOCOL_VERSION_HEADER}: ${protocolVersion}`));
+        }
+
+        const acceptsStream = (req.get('accept') || '').includes('text/event-stream');
+
+        // The session only exists once initialize has succeeded
+        if (messages.some(message => message.method === 'initialize')) {
+            if (messages.length > 1) {
+                return res.status(400).json(jsonRpcError(-32600, 'Invalid Request: initialize must not be part of a batch'));
+            }
+            if (!hasRoomForSession()) {
+                return res.status(503).json(jsonRpcError(-32000, `Too many sessions (at most ${maxSessions})`, messages[0].id));
+            }
+
+            const session = createSession('streamable-http');
+            const response = await handleMessage(messages[0], createContext(session, message => session.send(message)));
+            if (!response || !response.result) {
+                onSessionClosed(session.id);
+                return response ? res.json(response) : res.status(202).end();
+            }
+
+            openSession(session);
+            res.set(SESSION_HEADER, session.id);
+            if (acceptsStream) {
+                openSseStream(res);
+                writeSseEvent(res, response);
+                return res.end();
+            }
+            return res.json(response);
+        }
+
+        const sessionId = req.get(SESSION_HEADER);
+        if (!sessionId) {
+            return res.status(400).json(jsonRpcError(-32000, `Bad Request: missing ${SESSION_HEADER} header`));
+        }
+        const session = findSession(sessionId);
+        if (!session) {
+            return res.status(404).json(jsonRpcError(-32001, `Session not found: ${sessionId}`));
+        }
+
+        // Notifications and client responses are acknowledged without a body
+        if (!messages.some(isRequest)) {
+            const context = createContext(session, message => session.send(message));
+            for (const message of messages) {
+                if (message.method) {
+                    handleMessage(message, context);
+                }
+            }
+            return res.status(202).end();
+        }
+
+        if (acceptsStream) {
+            // Stream responses (and any request-scoped notifications) back on this POST
+            openSseStream(res);
+            const context = createContext(session, message => writeSseEvent(res, message));
+            await Promise.all(messages.map(async (message) => {
+                const response = await handleMessage(message, context);
+                if (response) {
+                    writeSseEvent(res, response);
+                }
+            }));
+            return res.end();
+        }
+
+        const context = createContext(session, message => session.send(message));
+        const responses = (await Promise.all(messages.map(message => handleMessage(message, context))))
+            .filter(Boolean);
+        res.json(Array.isArray(body) ? responses : responses[0]);
+    });
+
+    // Standalone stream for server-initiated messages
+    app.get(endpoint, (req, res) => {
+        const sessionId = req.get(SESSION_HEADER);
+        const session = findSession(sessionId);
+        if (!session) {
+            return res.status(sessionId ? 404 : 400).json(jsonRpcError(-32001, 'Session not found'));
+        }
+        if (session.stream) {
+            return res.status(409).json(jsonRpcError(-32000, 'Conflict: a stream is already open for this session'));
+        }
+
+        openSseStream(res);
+        keepAlive(res);
+        session.stream = res;
+        req.on('close', () => {
+            if (session.stream === res) {
+                session.stream = null;
+                session.lastActivity = Date.now();
+            }
+        });
+    });
+
+    app.delete(endpoint, (req, res) => {
+        const sessionId = req.get(SESSION_HEADER);
+        const session = sessionId && sessions.get(sessionId);
+        if (!session) {
+            return res.status(404).json(jsonRpcError(-32001, 'Session not found'));
+        }
+        closeSession(session);
+        res.status(204).end();
+    });
+
+    // --- Legacy HTTP+SSE ---
+
+    app.get('/sse', (req, res) => {
+        if (!hasRoomForSession()) {
+            return res.status(503).json(jsonRpcError(-32000, `Too many sessions (at most ${maxSessions})`));
+        }
+        const session = createSession('sse');
+        openSession(session);
+
+        openSseStream(res);
+        keepAlive(res);
+        session.stream = res;
+        writeSseEvent(res, `/messages?sessionId=${session.id}`, 'endpoint');
+
+        req.on('close', () => closeSession(session));
+    });
+
+    app.post('/messages', async (req, res) => {
+        const session = findSession(req.query.sessionId);
+        if (!session || session.transport !== 'sse') {
+            return res.status(404).json(jsonRpcError(-32001, `Session not found: ${req.query.sessionId}`));
+        }
+
+        const body = req.body;
+        const messages = Array.isArray(body) ? body : [body];
+        res.status(202).end();
+
+        // Responses travel over the event stream, and so does the rejection of a malformed body
+        if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object')) {
+            session.send(jsonRpcError(-32600, 'Invalid Request'));
+            return;
+        }
+
+        const context = createContext(session, message => session.send(message));
+        const responses = (await Promise.all(messages.map(message => handleMessage(message, context))))
+            .filter(Boolean);
+        if (responses.length > 0) {
+            session.send(Array.isArray(body) ? responses : responses[0]);
+        }
+    });
+
+    // Malformed JSON bodies and oversized requests
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json(jsonRpcError(-32600, `Request exceeds maximum size of ${maxRequestSize}`));
+        }
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json(jsonRpcError(-32700, 'Parse error'));
+        }
+        log('[HTTP] Unhandled error:', err.message);
+        // The legacy endpoint acknowledges with 202 before handling the messages
+        if (res.headersSent) {
+            return;
+        }
+        res.status(500).json(jsonRpcError(-32603, 'Internal error'));
+    });
+
+    const httpServer = await new Promise((resolve, reject) => {
+        const listener = app.listen(port, host, (err) => err ? reject(err) : resolve(listener));
+        listener.on('error', reject);
+    });
+
+    const address = httpServer.address();
+    const baseUrl = `http://${host}:${address.port}`;
+
+    return {
+        url: `${baseUrl}${endpoint}`,
+        sseUrl: `${baseUrl}/sse`,
+        port: address.port,
+        sessions,
+
+        /**
+         * Sends a message to every session with an open event stream
+         * @param {object} message - JSON-RPC notification
+         */
+        broadcast(message) {
+            for (const session of sessions.values()) {
+                if (session.stream) {
+                    writeSseEvent(session.stream, message);
+                }
+            }
+        },
+
+        /**
+         * Closes all event streams and stops listening
+         * @returns {Promise<void>}
+         */
+        close() {
+            clearInterval(sweepTimer);
+            for (const session of sessions.values()) {
+                closeSession(session);
+            }
+            return new Promise(resolve => httpServer.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = {
+    startHttpTransport
+};
@@ -0,0 +1,302 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * STDIO Transport - Serves the MCP JSON-RPC server over stdin/stdout
+ *
+ * Messages are normally newline-delimited, but the stream parser does not rely on that:
+ * it tracks JSON nesting across chunks, so a message split over several reads, several
+ * messages in one read, or messages with no separator at all are all framed correctly.
+ * A JSON array is treated as a JSON-RPC batch and answered with a single array.
+ */
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Converts a size limit such as '10MB' or 1048576 into bytes
+ * @param {string|number} size - Size limit
+ * @returns {number} - Size in bytes (Infinity if no limit is set)
+ */
+function parseSize(size) {
+    if (typeof size === 'number') return size;
+    if (!size) return Infinity;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(size));
+    if (!match) {
+        throw new Error(`Invalid size: ${size}`);
+    }
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Gets the UTF-8 length of a UTF-16 code unit (surrogate halves count 2 bytes each)
+ * @param {number} code - Char code
+ * @returns {number} - Byte count
+ */
+function utf8Length(code) {
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code >= 0xD800 && code <= 0xDFFF) return 2;
+    return 3;
+}
+
+/**
+ * Builds a JSON-RPC error payload for transport-level failures
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {string|number|null} id - Request id, if known
+ * @returns {object} - JSON-RPC error response
+ */
+function jsonRpcError(code, message, id = null) {
+    return { jsonrpc: "2.0", error: { code, message }, id };
+}
+
+/**
+ * Incremental parser that frames JSON values out of a byte stream
+ */
+class JsonMessageParser {
+    /**
+     * @param {object} options - Parser options
+     * @param {Function} options.onMessage - Called with each parsed JSON value
+     * @param {Function} options.onError - Called with a JSON-RPC error response for unparseable or oversized input
+     * @param {number} options.maxMessageSize - Maximum size of one message in bytes
+     */
+    constructor({ onMessage, onError, maxMessageSize = Infinity }) {
+        this.onMessage = onMessage;
+        this.onError = onError;
+        this.maxMessageSize = maxMessageSize;
+        this.decoder = new StringDecoder('utf8'); // Keeps multi-byte characters split across chunks intact
+        this._reset();
+        this.buffer = '';
+    }
+
+    _reset() {
+        this.depth = 0;          // Nesting of the current message, 0 between messages
+        this.inString = false;
+        this.escaped = false;
+        this.invalid = false;    // Text outside any object/array, discarded up to the next newline
+        this.size = 0;           // Bytes in the current message
+        this.oversized = false;
+        this.start = 0;          // Offset of the current message in the buffer
+    }
+
+    /**
+     * Feeds a chunk read from the stream
+     * @param {Buffer|string} chunk - Raw input
+     */
+    push(chunk) {
+        const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        const offset = this.buffer.length;
+        this.buffer += text;
+
+        for (let i = offset; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+
+            if (this.depth === 0 && !this.invalid) {
+                if (char === '{' || char === '[') {
+                    this.depth = 1;
+                    this.start = i;
+                    this.size = 1;
+                } else if (!/\s/.test(char)) {
+                    this.invalid = true;
+                    this.start = i;
+                    this.size = 1;
+                }
+                continue;
+            }
+
+            this.size += utf8Length(this.buffer.charCodeAt(i));
+            if (this.size > this.maxMessageSize) {
+                this.oversized = true;
+            }
+
+            if (this.invalid) {
+                if (char === '\n') {
+                    this._emitInvalid(this.buffer.substring(this.start, i));
+                }
+                continue;
+            }
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    this._emitMessage(this.buffer.substring(this.start, i + 1));
+                }
+            }
+        }
+
+        // Keep only the unfinished message; oversized ones are not buffered any further
+        if (this.depth === 0 && !this.invalid) {
+            this.buffer = '';
+        } else if (this.oversized) {
+            this.buffer = '';
+            this.start = 0;
+        } else {
+            this.buffer = this.buffer.substring(this.start);
+            this.start = 0;
+        }
+    }
+
+    /**
+     * Flushes the parser when the stream ends; an unfinished message is reported as a parse error
+     */
+    end() {
+        this.push(this.decoder.end());
+        if (this.depth > 0 || this.invalid) {
+            if (this.oversized) {
+                this._emitOversized();
+            } else {
+                this.onError(jsonRpcError(-32700, 'Parse error: incomplete message at end of input'));
+            }
+        }
+        this.buffer = '';
+        this._reset();
+    }
+
+    _emitMessage(text) {
+        const oversized = this.oversized;
+        this._reset();
+
+        if (oversized) {
+            this._emitOversized();
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.onError(jsonRpcError(-32700, 'Parse error'));
+            return;
+        }
+        this.onMessage(message);
+    }
+
+    _emitInvalid(text) {
+        const oversized = this.oversized;
+        this._reset();
+
+        if (oversized) {
+            this._emitOversized();
+            return;
+        }
+
+        // Valid JSON that is not an object or array (e.g. a bare number) is an invalid request
+        try {
+            JSON.parse(text);
+            this.onError(jsonRpcError(-32600, 'Invalid Request'));
+        } catch (error) {
+            this.onError(jsonRpcError(-32700, 'Parse error'));
+        }
+    }
+
+    _emitOversized() {
+        this.onError(jsonRpcError(-32600, `Request exceeds maximum size of ${this.maxMessageSize} bytes`));
+    }
+}
+
+/**
+ * Starts the STDIO transport
+ * @param {object} options - Transport options
+ * @param {Function} options.handleMessage - (message, context) => Promise<response|null>
+ * @param {object} options.context - Transport context passed to handleMessage; its send() writes to the output
+ * @param {object} options.input - Readable stream (default process.stdin)
+ * @param {string|number} options.maxRequestSize - Maximum size of one message or batch (e.g. '10MB')
+ * @param {Function} options.log - Logger for important messages
+ * @param {Function} options.debugLog - Logger for debug messages
+ * @returns {object} - Transport handle with { parser, close }
+ */
+function startStdioTransport(options) {
+    const {
+        handleMessage,
+        context,
+        input = process.stdin,
+        maxRequestSize = '10MB',
+        log = () => {},
+        debugLog = () => {}
+    } = options;
+
+    /**
+     * Handles one entry of a message or batch
+     * @param {any} message - Parsed JSON value
+     * @returns {Promise<object|null>} - Response, or null for notifications
+     */
+    function dispatch(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return Promise.resolve(jsonRpcError(-32600, 'Invalid Request'));
+        }
+        return handleMessage(message, context);
+    }
+
+    // Messages are dispatched in the order they arrive. Each response is written as soon as
+    // it is ready, so a slow tool call never holds up the responses to later requests;
+    // a batch is answered once every entry has finished, in request order.
+    function onMessage(message) {
+        if (!Array.isArray(message)) {
+            dispatch(message).then((response) => {
+                if (response) {
+                    context.send(response);
+                }
+            });
+            return;
+        }
+
+        if (message.length === 0) {
+            context.send(jsonRpcError(-32600, 'Invalid Request: empty batch'));
+            return;
+        }
+
+        debugLog(`[STDIO] Received batch of ${message.length} messages`);
+        Promise.all(message.map(dispatch)).then((responses) => {
+            responses = responses.filter(Boolean);
+            // A batch of notifications gets no response at all
+            if (responses.length > 0) {
+                context.send(responses);
+            }
+        });
+    }
+
+    const parser = new JsonMessageParser({
+        onMessage,
+        onError: (error) => {
+            log('[STDIO] Rejected input:', error.error.message);
+            context.send(error);
+        },
+        maxMessageSize: parseSize(maxRequestSize)
+    });
+
+    const onData = chunk => parser.push(chunk);
+    const onEnd = () => parser.end();
+
+    input.on('data', onData);
+    input.on('end', onEnd);
+
+    return {
+        parser,
+
+        /**
+         * Stops reading from the input stream
+         */
+        close() {
+            input.off('data', onData);
+            input.off('end', onEnd);
+        }
+    };
+}
+
+module.exports = {
+    JsonMessageParser,
+    parseSize,
+    startStdioTransport
+};
@@ -1,4 +1,5 @@
 const path = require('path'); // Ensure path is imported if needed for other helpers
+const logger = require('./logger').createLogger('BrowserHelpers');
 
 /**
  * Finds a DOM node by selector (CSS or XPath) and returns its NodeId.
@@ -31,13 +32,13 @@ async function findNodeBySelector(cdpClient, selectorType, selectorValue) {
                 nodeId = resolvedNodeId;
             }
         } else {
-            console.warn(`[findNodeBySelector] Unsupported selector type: ${selectorType}`);
+            logger.warning(`[findNodeBySelector] Unsupported selector type: ${selectorType}`);
         }
 
         return nodeId;
 
     } catch (error) {
-        console.error(`[findNodeBySelector] Error finding node by selector (${selectorType}: ${selectorValue}):`, error.message);
+        logger.error(`[findNodeBySelector] Error finding node by selector (${selectorType}: ${selectorValue}):`, error.message);
         return null;
     }
 }
@@ -60,7 +61,7 @@ async function getElementClickCoordinates(cdpClient, nodeId) {
         const { model } = await DOM.getBoxModel({ nodeId: nodeId });
 
         if (!model) {
-            console.error(`[getElementClickCoordinates] No box model found for nodeId: ${nodeId}`);
+            logger.error(`[getElementClickCoordinates] No box model found for nodeId: ${nodeId}`);
             return null;
         }
 
@@ -72,7 +73,7 @@ async function getElementClickCoordinates(cdpClient, nodeId) {
 
         return { x: centerX, y: centerY };
     } catch (error) {
-        console.error(`[getElementClickCoordinates] Error getting element coordinates for nodeId ${nodeId}:`, error.message);
+        logger.error(`[getElementClickCoordinates] Error getting element coordinates for nodeId ${nodeId}:`, error.message);
         return null;
     }
 }
@@ -0,0 +1,158 @@
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const config = require('../config');
+const { redact } = require('./redact');
+
+/**
+ * Logger - Routes server diagnostics to stderr and to MCP clients
+ *
+ * Every subsystem gets a named logger (createLogger('ToolRegistry')). Messages are
+ * written to stderr when they meet the configured `logging.level`, and handed to the
+ * message sink (installed by mcpServer.js) so they can be forwarded to clients as
+ * `notifications/message` according to the level each client chose with logging/setLevel.
+ * Messages logged while a client's request is handled (see runInLogSession) belong to that
+ * client's session and are only forwarded to it; the rest are server-wide.
+ */
+
+// RFC 5424 severities, as used by MCP, from least to most severe
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Config files use the shorter console-style names
+const LEVEL_ALIASES = {
+    warn: 'warning',
+    fatal: 'critical'
+};
+
+const loggers = new Map(); // name -> logger
+let stderrLevel = null;     // Overrides logging.level when set
+let messageSink = null;     // ({ level, logger, data }, sessionId) => void
+const logSession = new AsyncLocalStorage(); // Client session whose request is being handled
+
+/**
+ * Normalizes a level name, resolving config aliases such as 'warn'
+ * @param {string} level - Level name
+ * @returns {string|null} - MCP level name, or null if unknown
+ */
+function normalizeLevel(level) {
+    const name = LEVEL_ALIASES[level] || level;
+    return LOG_LEVELS.includes(name) ? name : null;
+}
+
+/**
+ * Checks whether a string is a valid MCP log level
+ * @param {string} level - Level name
+ * @returns {boolean} - True for one of the RFC 5424 level names
+ */
+function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Checks whether a message level meets a minimum level
+ * @param {string} level - Message level
+ * @param {string} minLevel - Minimum level
+ * @returns {boolean} - True if the message should be emitted
+ */
+function isLevelEnabled(level, minLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(normalizeLevel(minLevel) || 'info');
+}
+
+/**
+ * Gets the minimum level written to stderr
+ * @returns {string} - MCP level name
+ */
+function getStderrLevel() {
+    return stderrLevel || normalizeLevel(config.get('logging.level', 'info')) || 'info';
+}
+
+/**
+ * Overrides the stderr level from config (e.g. 'debug' when debug mode is on)
+ * @param {string} level - Level name, or null to fall back to logging.level
+ */
+function setStderrLevel(level) {
+    stderrLevel = level ? normalizeLevel(level) : null;
+}
+
+/**
+ * Installs the function that forwards log messages to clients
+ * @param {Function} sink - ({ level, logger, data }, sessionId) => void, or null to stop forwarding;
+ *        sessionId is null for server-wide messages
+ */
+function setMessageSink(sink) {
+    messageSink = sink;
+}
+
+/**
+ * Runs a function on behalf of a client session; messages it logs, including from the
+ * callbacks and promises it starts, are forwarded to that session only
+ * @param {string} sessionId - Session id
+ * @param {Function} fn - Function to run
+ * @returns {any} - The function's return value
+ */
+function runInLogSession(sessionId, fn) {
+    return logSession.run(sessionId, fn);
+}
+
+/**
+ * Binds an event listener to the current client session, so that messages it logs when an
+ * event fires later (page console output, for example) still go to the session that set it up
+ * @param {Function} listener - Event listener
+ * @returns {Function} - Bound listener
+ */
+function bindToLogSession(listener) {
+    return AsyncResource.bind(listener);
+}
+
+/**
+ * Writes one log entry to stderr and the message sink
+ * @param {string} name - Logger name
+ * @param {string} level - MCP level name
+ * @param {Array} rawArgs - console-style message arguments
+ */
+function write(name, level, rawArgs) {
+    // Tool arguments and configs end up in log lines; mask their secrets first
+    const args = redact(rawArgs);
+
+    if (isLevelEnabled(level, getStderrLevel())) {
+        // stdout carries the stdio JSON-RPC stream, so diagnostics always go to stderr
+        console.error(`[${name}]`, ...args);
+    }
+
+    if (messageSink) {
+        try {
+            messageSink({ level, logger: name, data: util.format(...args) }, logSession.getStore() || null);
+        } catch (error) {
+            console.error(`[Logger] Failed to forward log message:`, error.message);
+        }
+    }
+}
+
+/**
+ * Creates (or returns the cached) logger for a subsystem
+ * @param {string} name - Logger name, shown on stderr and sent as the MCP `logger` field
+ * @returns {object} - Logger with one method per MCP level (debug, info, notice, warning, ..., emergency)
+ */
+function createLogger(name) {
+    if (loggers.has(name)) {
+        return loggers.get(name);
+    }
+
+    const logger = { name };
+    for (const level of LOG_LEVELS) {
+        logger[level] = (...args) => write(name, level, args);
+    }
+
+    loggers.set(name, logger);
+    return logger;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    isLogLevel,
+    isLevelEnabled,
+    runInLogSession,
+    bindToLogSession,
+    setStderrLevel,
+    setMessageSink
+};
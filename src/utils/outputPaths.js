@@ -0,0 +1,38 @@
+const path = require('path');
+const os = require('os');
+
+/**
+ * Resolves the directory screenshots, PDFs and other browser artifacts are written to.
+ * Uses OUTPUT_DIR when set, otherwise a folder in the user's home (or temp) directory,
+ * since process.cwd() may be read-only when launched by an MCP host.
+ * @returns {string} - Absolute output directory path
+ */
+function getOutputDir() {
+    const defaultOutputDir = process.env.HOME
+        ? path.join(process.env.HOME, '.mcp-browser-control')
+        : path.join(os.tmpdir(), 'mcp-browser-control');
+    return process.env.OUTPUT_DIR || defaultOutputDir;
+}
+
+/**
+ * Resolves the directory API session reports are written to.
+ * Uses OUTPUT_DIR when set, otherwise a reports folder in the current working directory.
+ * @returns {string} - Absolute reports directory path
+ */
+function getReportsDir() {
+    if (process.env.OUTPUT_DIR) {
+        return process.env.OUTPUT_DIR;
+    }
+
+    try {
+        return path.join(process.cwd(), 'reports');
+    } catch (error) {
+        // Fallback if current working directory is not accessible
+        return getOutputDir();
+    }
+}
+
+module.exports = {
+    getOutputDir,
+    getReportsDir
+};
@@ -0,0 +1,340 @@
+/**
+ * JSON Schema Validator - Validates values against draft-07 JSON Schemas
+ *
+ * Covers the draft-07 validation vocabulary used by tool definitions: type, enum, const,
+ * string/number/array/object constraints, properties, patternProperties,
+ * additionalProperties, dependencies, allOf/anyOf/oneOf/not, if/then/else and local
+ * $ref pointers. `format` is treated as an annotation, as draft-07 allows.
+ *
+ * Errors are reported with dotted paths, e.g. `options.clip.width must be number`
+ * or `chain[0].url is required`.
+ */
+
+/**
+ * Gets the JSON Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks a value against a schema `type` keyword
+ * @param {any} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} - True if the value has the type
+ */
+function matchesType(value, type) {
+    const actual = getType(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Structural equality for enum, const and uniqueItems
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if both values are equal JSON
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (getType(a) !== getType(b) || typeof a !== 'object' || a === null) return false;
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolves a local JSON pointer ($ref: '#/definitions/...') against the root schema
+ * @param {string} ref - Reference
+ * @param {object} rootSchema - Root schema
+ * @returns {object|undefined} - Referenced schema
+ */
+function resolveRef(ref, rootSchema) {
+    if (ref === '#') return rootSchema;
+    if (!ref.startsWith('#/')) return undefined;
+
+    return ref.slice(2).split('/').reduce((node, segment) => {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node === 'object' ? node[key] : undefined;
+    }, rootSchema);
+}
+
+/**
+ * Appends a property name to a path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} - Child path
+ */
+function childPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against a schema, collecting error messages
+ * @param {any} value - Value to validate
+ * @param {object|boolean} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {object} context - { rootSchema, rootName, ignoreAdditionalProperties, nullAsAbsent }
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateNode(value, schema, path, context, errors) {
+    const label = path || context.rootName;
+
+    if (schema === true || schema === undefined || schema === null) return;
+    if (schema === false) {
+        errors.push(`${label} is not allowed`);
+        return;
+    }
+
+    // In draft-07 a $ref replaces its sibling keywords
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, context.rootSchema);
+        if (target === undefined) {
+            errors.push(`${label}: cannot resolve schema reference ${schema.$ref}`);
+            return;
+        }
+        validateNode(value, target, path, context, errors);
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${label} must be ${types.join(' or ')}`);
+            return; // Further keywords would only repeat the type error
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+        errors.push(`${label} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        errors.push(`${label} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    const type = getType(value);
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${label} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${label} must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${label} must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${label} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${label} must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(`${label} must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(`${label} must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            errors.push(`${label} must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (type === 'array') {
+        validateArray(value, schema, path, label, context, errors);
+    }
+
+    if (type === 'object') {
+        validateObject(value, schema, path, label, context, errors);
+    }
+
+    validateCombinators(value, schema, path, label, context, errors);
+}
+
+/**
+ * Applies the array keywords
+ */
+function validateArray(value, schema, path, label, context, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${label} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${label} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => deepEqual(other, item)) !== index)) {
+        errors.push(`${label} must not contain duplicate items`);
+    }
+
+    if (Array.isArray(schema.items)) {
+        // Tuple validation
+        value.forEach((item, index) => {
+            const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems;
+            validateNode(item, itemSchema, `${path}[${index}]`, context, errors);
+        });
+    } else if (schema.items !== undefined) {
+        value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, context, errors));
+    }
+
+    if (schema.contains !== undefined && !value.some(item => isValid(item, schema.contains, context))) {
+        errors.push(`${label} must contain at least one matching item`);
+    }
+}
+
+/**
+ * Applies the object keywords
+ */
+function validateObject(value, schema, path, label, context, errors) {
+    const isAbsent = key => value[key] === undefined || (context.nullAsAbsent && value[key] === null);
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {}).map(pattern => [new RegExp(pattern, 'u'), schema.patternProperties[pattern]]);
+
+    for (const required of schema.required || []) {
+        if (isAbsent(required)) {
+            errors.push(`${childPath(path, required)} is required`);
+        }
+    }
+
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        errors.push(`${label} must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        errors.push(`${label} must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const key of keys) {
+        if (isAbsent(key)) continue;
+
+        const keyPath = childPath(path, key);
+        let matched = false;
+
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            matched = true;
+            validateNode(value[key], properties[key], keyPath, context, errors);
+        }
+        for (const [regex, patternSchema] of patterns) {
+            if (regex.test(key)) {
+                matched = true;
+                validateNode(value[key], patternSchema, keyPath, context, errors);
+            }
+        }
+
+        if (!matched && schema.additionalProperties !== undefined && !context.ignoreAdditionalProperties) {
+            if (schema.additionalProperties === false) {
+                errors.push(`${keyPath} is not allowed`);
+            } else {
+                validateNode(value[key], schema.additionalProperties, keyPath, context, errors);
+            }
+        }
+
+        if (schema.propertyNames !== undefined && !isValid(key, schema.propertyNames, context)) {
+            errors.push(`${label} has invalid property name '${key}'`);
+        }
+    }
+
+    for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+        if (isAbsent(key)) continue;
+        if (Array.isArray(dependency)) {
+            for (const dependent of dependency) {
+                if (isAbsent(dependent)) {
+                    errors.push(`${childPath(path, dependent)} is required when ${childPath(path, key)} is present`);
+                }
+            }
+        } else {
+            validateNode(value, dependency, path, context, errors);
+        }
+    }
+}
+
+/**
+ * Applies allOf, anyOf, oneOf, not and if/then/else
+ */
+function validateCombinators(value, schema, path, label, context, errors) {
+    for (const subSchema of schema.allOf || []) {
+        validateNode(value, subSchema, path, context, errors);
+    }
+
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map(subSchema => collectErrors(value, subSchema, path, context));
+        if (!branchErrors.some(branch => branch.length === 0)) {
+            errors.push(`${label} must match at least one of: ${describeBranches(branchErrors)}`);
+        }
+    }
+
+    if (schema.oneOf) {
+        const branchErrors = schema.oneOf.map(subSchema => collectErrors(value, subSchema, path, context));
+        const matches = branchErrors.filter(branch => branch.length === 0).length;
+        if (matches === 0) {
+            errors.push(`${label} must match exactly one of: ${describeBranches(branchErrors)}`);
+        } else if (matches > 1) {
+            errors.push(`${label} must match exactly one schema in oneOf, but matched ${matches}`);
+        }
+    }
+
+    if (schema.not !== undefined && isValid(value, schema.not, context)) {
+        errors.push(`${label} must not match the schema in 'not'`);
+    }
+
+    if (schema.if !== undefined) {
+        const branch = isValid(value, schema.if, context) ? schema.then : schema.else;
+        validateNode(value, branch, path, context, errors);
+    }
+}
+
+/**
+ * Validates against a sub-schema without touching the caller's error list
+ */
+function collectErrors(value, schema, path, context) {
+    const errors = [];
+    validateNode(value, schema, path, context, errors);
+    return errors;
+}
+
+function isValid(value, schema, context) {
+    return collectErrors(value, schema, '', context).length === 0;
+}
+
+/**
+ * Summarizes why each anyOf/oneOf branch failed
+ * @param {Array<Array<string>>} branchErrors - Errors per branch
+ * @returns {string} - e.g. "(selector is required) or (locatorType is required; locatorValue is required)"
+ */
+function describeBranches(branchErrors) {
+    return branchErrors.map(branch => `(${branch.join('; ')})`).join(' or ');
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {any} value - Value to validate
+ * @param {object} schema - draft-07 JSON Schema
+ * @param {object} options - Validation options
+ * @param {string} options.rootName - Name used for errors about the value itself (default 'value')
+ * @param {boolean} options.ignoreAdditionalProperties - Skip additionalProperties checks (loose validation)
+ * @param {boolean} options.nullAsAbsent - Treat null properties as if they were not present
+ * @returns {Array<string>} - Error messages, empty if the value is valid
+ */
+function validateSchema(value, schema, options = {}) {
+    const context = {
+        rootSchema: schema,
+        rootName: options.rootName || 'value',
+        ignoreAdditionalProperties: !!options.ignoreAdditionalProperties,
+        nullAsAbsent: !!options.nullAsAbsent
+    };
+    return collectErrors(value, schema, '', context);
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { addSecretValue } = require('./redact');
+
+/**
+ * Secret References - Resolves {{secret:NAME}} placeholders in tool arguments
+ *
+ * Prompts can refer to credentials by name (`"Authorization": "Bearer {{secret:STAGING_TOKEN}}"`)
+ * instead of spelling them out. Names are looked up in the environment first, then in the
+ * secrets file (`security.secrets.file`, default `.dq-mcp.secrets.json` in the working directory).
+ * The file is either a JSON object of strings or dotenv-style `NAME=value` lines. Every resolved
+ * value is registered with the redactor, so it is masked in logs, errors, reports and results.
+ */
+
+const SECRET_REFERENCE_PATTERN = /\{\{\s*secret:([A-Za-z_][A-Za-z0-9_.-]*)\s*\}\}/g;
+
+/**
+ * Checks whether a value contains {{secret:NAME}} references
+ * @param {any} value - Tool arguments (or a part of them)
+ * @returns {boolean} - True if any string in the value references a secret
+ */
+function hasSecretReferences(value) {
+    if (typeof value === 'string') {
+        SECRET_REFERENCE_PATTERN.lastIndex = 0;
+        return SECRET_REFERENCE_PATTERN.test(value);
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(hasSecretReferences);
+    }
+    return false;
+}
+
+/**
+ * Gets the path of the secrets file
+ * @returns {string} - Absolute path (the file may not exist)
+ */
+function getSecretsFile() {
+    return path.resolve(config.get('security.secrets.file', '.dq-mcp.secrets.json'));
+}
+
+/**
+ * Reads the secrets file
+ * @param {string} filePath - Secrets file path
+ * @returns {object} - { NAME: value }, empty if the file does not exist
+ */
+function readSecretsFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (path.extname(filePath) === '.json') {
+        let secrets;
+        try {
+            secrets = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not read secrets file ${filePath}: ${error.message}`);
+        }
+        if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+            throw new Error(`Secrets file ${filePath} must contain a JSON object of names and values`);
+        }
+        return secrets;
+    }
+
+    // dotenv style: NAME=value, optionally quoted; # starts a comment line
+    const secrets = {};
+    for (const line of content.split(/\r?\n/)) {
+        const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*?)\s*$/.exec(line);
+        if (match && !line.trim().startsWith('#')) {
+            secrets[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+    return secrets;
+}
+
+/**
+ * Returns a copy of tool arguments with {{secret:NAME}} references replaced by their values
+ * @param {any} parameters - Tool arguments
+ * @returns {any} - Resolved copy (the arguments themselves if they reference no secrets)
+ * @throws {Error} - ValidationError listing every reference that does not resolve
+ */
+function resolveSecrets(parameters) {
+    if (!hasSecretReferences(parameters)) {
+        return parameters;
+    }
+
+    const filePath = getSecretsFile();
+    let fileSecrets = null;
+    const errors = [];
+
+    const lookup = (name, location) => {
+        if (process.env[name] !== undefined) {
+            return process.env[name];
+        }
+        if (!fileSecrets) {
+            fileSecrets = readSecretsFile(filePath);
+        }
+        if (fileSecrets[name] !== undefined && fileSecrets[name] !== null) {
+            return String(fileSecrets[name]);
+        }
+        errors.push(`${location}: unknown secret '${name}' (set the ${name} environment variable or add it to ${filePath})`);
+        return '';
+    };
+
+    const visit = (value, location) => {
+        if (typeof value === 'string') {
+            return value.replace(SECRET_REFERENCE_PATTERN, (match, name) => {
+                const secret = lookup(name, location);
+                addSecretValue(name, secret);
+                return secret;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => visit(item, `${location}[${index}]`));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, visit(item, `${location}.${key}`)]));
+        }
+        return value;
+    };
+
+    const resolved = visit(parameters, 'parameters');
+
+    if (errors.length > 0) {
+        const error = new Error(errors.join('; '));
+        error.name = 'ValidationError';
+        error.validationErrors = errors;
+        throw error;
+    }
+    return resolved;
+}
+
+module.exports = {
+    SECRET_REFERENCE_PATTERN,
+    hasSecretReferences,
+    resolveSecrets
+};
@@ -0,0 +1,159 @@
+/**
+ * Minimal MCP client for the tests
+ * Spawns mcpServer.js on STDIO and matches responses to requests by id; server notifications
+ * (progress, log messages, list changes) are collected in `notifications`
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'mcpServer.js');
+const RESPONSE_TIMEOUT = 15000;
+
+/**
+ * Starts a server
+ * @param {object} options - Start options
+ * @param {Array<string>} options.args - Command line flags, passed on as cli.js does (DQ_MCP_ARGS)
+ * @param {object} options.env - Extra environment variables
+ * @param {string} options.cwd - Working directory (project config lookup, secrets file)
+ * @returns {object} - { request, notify, initialize, waitFor, notifications, stderr, close }
+ */
+function startServer({ args = [], env = {}, cwd } = {}) {
+    const child = spawn('node', [SERVER_PATH], {
+        cwd,
+        env: { ...process.env, DQ_MCP_ARGS: JSON.stringify(args), ...env },
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const pending = new Map();
+    const notifications = [];
+    const watchers = [];
+    let nextId = 1;
+    let output = '';
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+        stderr += data.toString();
+    });
+
+    child.stdout.on('data', (data) => {
+        output += data.toString();
+        let newlineIndex;
+        while ((newlineIndex = output.indexOf('\n')) !== -1) {
+            const line = output.substring(0, newlineIndex);
+            output = output.substring(newlineIndex + 1);
+            if (!line.trim()) continue;
+
+            const message = JSON.parse(line);
+            if (message.method) {
+                notifications.push(message);
+                watchers.slice().forEach(watcher => watcher());
+            } else if (pending.has(message.id)) {
+                pending.get(message.id)(message);
+                pending.delete(message.id);
+            }
+        }
+    });
+
+    const send = message => child.stdin.write(JSON.stringify(message) + '\n');
+
+    /**
+     * Sends a request
+     * @param {string} method - Method name
+     * @param {object} params - Parameters
+     * @param {object} options - { id } to choose the request id
+     * @returns {Promise<object>} - The whole response ({ result } or { error })
+     */
+    function request(method, params = {}, { id = nextId++ } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                reject(new Error(`Timed out waiting for the response to ${method}`));
+            }, RESPONSE_TIMEOUT);
+            pending.set(id, (response) => {
+                clearTimeout(timer);
+                resolve(response);
+            });
+            send({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    /**
+     * Sends a notification
+     * @param {string} method - Method name
+     * @param {object} params - Parameters
+     */
+    function notify(method, params = {}) {
+        send({ jsonrpc: '2.0', method, params });
+    }
+
+    /**
+     * Runs the initialize handshake
+     * @param {object} capabilities - Client capabilities
+     * @returns {Promise<object>} - The initialize result
+     */
+    async function initialize(capabilities = {}) {
+        const response = await request('initialize', {
+            protocolVersion: '2025-06-18',
+            capabilities,
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+        if (response.error) {
+            throw new Error(`initialize failed: ${response.error.message}`);
+        }
+        notify('notifications/initialized');
+        return response.result;
+    }
+
+    /**
+     * Waits for a server notification
+     * @param {Function} predicate - Test for the notification
+     * @param {number} timeout - Milliseconds to wait
+     * @returns {Promise<object>} - The first matching notification
+     */
+    function waitFor(predicate, timeout = RESPONSE_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const match = notifications.find(predicate);
+                if (!match) return false;
+                clearTimeout(timer);
+                watchers.splice(watchers.indexOf(check), 1);
+                resolve(match);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                watchers.splice(watchers.indexOf(check), 1);
+                reject(new Error('Timed out waiting for a notification'));
+            }, timeout);
+            watchers.push(check);
+            check();
+        });
+    }
+
+    /**
+     * Stops the server and waits for it to exit
+     * @returns {Promise<void>}
+     */
+    function close() {
+        return new Promise((resolve) => {
+            if (child.exitCode !== null || child.signalCode !== null) {
+                resolve();
+                return;
+            }
+            child.once('exit', () => resolve());
+            child.kill();
+        });
+    }
+
+    return {
+        request,
+        notify,
+        initialize,
+        waitFor,
+        notifications,
+        get stderr() { return stderr; },
+        close
+    };
+}
+
+module.exports = { startServer, SERVER_PATH };
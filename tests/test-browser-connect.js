@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Tests browser_connect
+ * Attaches to a stand-in for a running Chrome (its /json/list endpoint and page WebSockets) to
+ * check target selection and connection errors, and that browser_close only detaches
+ */
+
+const assert = require('assert');
+const http = require('http');
+// ws comes with chrome-remote-interface
+const WebSocket = require('ws');
+const { startServer } = require('./helpers/mcpClient');
+
+// What the stand-in Chrome saw: the targets of its open page connections and every CDP method called
+const connections = [];
+const methods = [];
+
+const chrome = http.createServer((req, res) => {
+    const { port } = chrome.address();
+    if (req.url.startsWith('/json/list')) {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify([
+            { id: 'SSO', type: 'page', title: 'Logged in app', url: 'https://app.example', webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/SSO` },
+            // DevTools is open on this tab, so Chrome offers no WebSocket for it
+            { id: 'BUSY', type: 'page', title: 'Inspected tab', url: 'https://busy.example' },
+            { id: 'WORKER', type: 'service_worker', title: 'Worker', url: 'https://app.example/sw.js', webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/WORKER` }
+        ]));
+        return;
+    }
+    res.statusCode = 404;
+    res.end();
+});
+
+const sockets = new WebSocket.Server({ server: chrome });
+sockets.on('connection', (socket, req) => {
+    const target = req.url.split('/').pop();
+    connections.push(target);
+    socket.on('message', (message) => {
+        const { id, method } = JSON.parse(message);
+        methods.push(method);
+        socket.send(JSON.stringify({ id, result: {} }));
+    });
+    socket.on('close', () => connections.splice(connections.indexOf(target), 1));
+});
+
+function callTool(server, name, args) {
+    return server.request('tools/call', { name, arguments: args });
+}
+
+async function waitUntil(predicate, timeout = 5000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the stand-in Chrome');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+async function testConnect(server, port) {
+    console.log('Testing browser_connect...');
+
+    // listOnly reports the page targets without attaching; other target types are left out
+    let response = await callTool(server, 'browser_connect', { port, listOnly: true });
+    assert.deepStrictEqual(response.result.structuredContent, {
+        host: '127.0.0.1',
+        port,
+        pages: [
+            { targetId: 'SSO', title: 'Logged in app', url: 'https://app.example', attachable: true },
+            { targetId: 'BUSY', title: 'Inspected tab', url: 'https://busy.example', attachable: false }
+        ]
+    });
+    assert.deepStrictEqual(connections, []);
+
+    // The first attachable page is picked by default
+    response = await callTool(server, 'browser_connect', { port, browserId: 'sso' });
+    const result = response.result.structuredContent;
+    assert.strictEqual(result.browserId, 'sso');
+    assert.strictEqual(result.targetId, 'SSO');
+    assert.deepStrictEqual(result.pages.map(page => page.connected), [true, false]);
+    assert.deepStrictEqual(connections, ['SSO']);
+    assert.ok(methods.includes('Page.enable'), methods.join(', '));
+
+    // A page WebSocket URL attaches to that page under a generated ID
+    response = await callTool(server, 'browser_connect', { webSocketUrl: `ws://127.0.0.1:${port}/devtools/page/SSO` });
+    assert.match(response.result.structuredContent.browserId, /^connected-/);
+    assert.strictEqual(response.result.structuredContent.targetId, 'SSO');
+    assert.deepStrictEqual(connections, ['SSO', 'SSO']);
+
+    const { result: info } = await callTool(server, 'server_info', { includeToolConfigs: false });
+    assert.deepStrictEqual(info.structuredContent.browsers, {
+        count: 2,
+        active: ['sso', response.result.structuredContent.browserId]
+    });
+
+    console.log('✅ browser_connect tests passed');
+}
+
+async function testErrors(server, port) {
+    console.log('Testing browser_connect errors...');
+
+    const expectError = async (args, message) => {
+        const response = await callTool(server, 'browser_connect', args);
+        assert.ok(response.error, `${JSON.stringify(args)} should fail`);
+        assert.ok(response.error.message.includes(message), response.error.message);
+    };
+
+    await expectError({ port, browserId: 'sso' }, "Browser ID 'sso' is already in use.");
+    await expectError({ port, targetId: 'BUSY' }, `Page target 'BUSY' at 127.0.0.1:${port} is being debugged by another client`);
+    await expectError({ port, targetId: 'NOPE' }, `No page target 'NOPE' at 127.0.0.1:${port}. Page targets: SSO, BUSY`);
+    await expectError({ port: 1 }, "Could not reach Chrome's DevTools endpoint at 127.0.0.1:1 (start Chrome with --remote-debugging-port)");
+    await expectError({ webSocketUrl: `http://127.0.0.1:${port}/devtools/page/SSO` }, 'WebSocket URL must start with ws:// or wss://');
+
+    console.log('✅ browser_connect error tests passed');
+}
+
+async function testClose(server) {
+    console.log('Testing browser_close on a connected browser...');
+
+    const response = await callTool(server, 'browser_close', { browserId: 'sso' });
+    assert.strictEqual(response.result.structuredContent.detached, true);
+    assert.ok(response.result.content[0].text.includes('Chrome is still running'));
+
+    // The connection is closed but Chrome is not asked to shut down
+    await waitUntil(() => connections.length === 1);
+    const { result: info } = await callTool(server, 'server_info', { includeToolConfigs: false });
+    assert.ok(!info.structuredContent.browsers.active.includes('sso'));
+    assert.ok(!methods.includes('Browser.close'), methods.join(', '));
+
+    const again = await callTool(server, 'browser_close', { browserId: 'sso' });
+    assert.ok(again.error || again.result.isError, 'the browser is gone after closing');
+
+    console.log('✅ browser_close detach tests passed');
+}
+
+(async () => {
+    let server;
+    try {
+        await new Promise(resolve => chrome.listen(0, '127.0.0.1', resolve));
+        const { port } = chrome.address();
+
+        server = startServer({ args: ['--enable-all'] });
+        await server.initialize();
+        await testConnect(server, port);
+        await testErrors(server, port);
+        await testClose(server);
+
+        // Closing the other connected browser drops the last page connection
+        const { result } = await callTool(server, 'server_info', { includeToolConfigs: false });
+        for (const browserId of result.structuredContent.browsers.active) {
+            await callTool(server, 'browser_close', { browserId });
+        }
+        await waitUntil(() => connections.length === 0);
+
+        console.log('\n🎉 All browser_connect tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ browser_connect test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (server) await server.close();
+        sockets.close();
+        chrome.close();
+        process.exit();
+    }
+})();
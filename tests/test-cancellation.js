@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Tests request cancellation
+ * Cancels a tool run directly, then cancels an api_request against a slow local server and
+ * checks that no response is sent, the upstream socket is closed and the server keeps working
+ */
+
+const assert = require('assert');
+const http = require('http');
+const ToolBase = require('../src/tools/base/ToolBase');
+const { startServer } = require('./helpers/mcpClient');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class WaitTool extends ToolBase {
+    static definition = {
+        name: 'test_wait',
+        description: 'Waits until cancelled',
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute(parameters, { signal }) {
+        this.signal = signal;
+        await this.sleep(60000, signal);
+        return { waited: true };
+    }
+}
+
+async function testToolRun() {
+    console.log('Testing cancelled tool runs...');
+
+    const tool = new WaitTool();
+    const controller = new AbortController();
+    const run = tool.run({}, { signal: controller.signal });
+    await sleep(50);
+    controller.abort('user pressed stop');
+
+    await assert.rejects(run, (error) => {
+        assert.strictEqual(error.code, -32800);
+        assert.strictEqual(error.data.cancelled, true);
+        assert.strictEqual(error.data.reason, 'user pressed stop');
+        return true;
+    });
+    // The signal execute() got is aborted too, so the work itself stops
+    assert.strictEqual(tool.signal.aborted, true);
+
+    // An already aborted signal never starts the work
+    const aborted = new AbortController();
+    aborted.abort();
+    const fresh = new WaitTool();
+    await assert.rejects(fresh.run({}, { signal: aborted.signal }), error => error.code === -32800);
+    assert.strictEqual(fresh.signal, undefined);
+
+    console.log('✅ Tool run cancellation tests passed');
+}
+
+async function testServerCancellation() {
+    console.log('Testing notifications/cancelled...');
+
+    const upstreamSockets = { opened: 0, closed: 0 };
+    const upstream = http.createServer((req, res) => {
+        if (req.url === '/fast') {
+            res.setHeader('content-type', 'application/json');
+            res.end('{"ok":true}');
+            return;
+        }
+        // /slow never answers
+        upstreamSockets.opened++;
+        req.socket.on('close', () => upstreamSockets.closed++);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const server = startServer();
+    try {
+        await server.initialize();
+
+        const slowCall = server.request('tools/call', { name: 'api_request', arguments: { url: `${baseUrl}/slow` } }, { id: 'slow-1' });
+        let answered = false;
+        slowCall.then(() => { answered = true; }, () => {});
+
+        for (let attempt = 0; upstreamSockets.opened === 0; attempt++) {
+            assert.ok(attempt < 100, 'api_request should reach the upstream server');
+            await sleep(50);
+        }
+
+        // Unknown request ids are ignored
+        server.notify('notifications/cancelled', { requestId: 'no-such-request' });
+        server.notify('notifications/cancelled', { requestId: 'slow-1', reason: 'test' });
+        await sleep(500);
+
+        assert.strictEqual(answered, false, 'a cancelled request must not get a response');
+        assert.strictEqual(upstreamSockets.closed, 1, 'the upstream request should be aborted');
+
+        // The server keeps serving requests, and the cancelled id can be reused
+        const response = await server.request('tools/call', { name: 'api_request', arguments: { url: `${baseUrl}/fast` } }, { id: 'slow-1' });
+        const result = JSON.parse(response.result.content[0].text);
+        assert.strictEqual(result.status, 200);
+
+        console.log('✅ notifications/cancelled tests passed');
+    } finally {
+        await server.close();
+        upstream.close();
+    }
+}
+
+(async () => {
+    try {
+        await testToolRun();
+        await testServerCancellation();
+        console.log('\n🎉 All cancellation tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Cancellation test failed:', error.message);
+        process.exit(1);
+    }
+})();
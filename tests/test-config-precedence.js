@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Tests command line configuration
+ * Checks the flag parser, then runs --print-config to check the order in which config sources
+ * apply and where each value comes from, and starts the server with broken arguments
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs, parseValue } = require('../src/config/cliArgs');
+const { SERVER_PATH } = require('./helpers/mcpClient');
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-config-'));
+const homeDir = path.join(tempDir, 'home');
+const projectDir = path.join(tempDir, 'project');
+
+/**
+ * Runs a command in the project directory with the temporary home directory
+ * @param {Array<string>} args - node arguments
+ * @param {object} env - Extra environment variables
+ * @returns {object} - { status, stdout, stderr }
+ */
+function run(args, env = {}) {
+    // MCP_* variables are config sources, so only the ones a test passes are kept
+    const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('MCP_')));
+    const result = spawnSync('node', args, {
+        cwd: projectDir,
+        env: { ...baseEnv, HOME: homeDir, DQ_MCP_ARGS: '', OUTPUT_DIR: '', ...env },
+        encoding: 'utf8',
+        input: '',
+        timeout: 30000
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Runs cli.js --print-config and reads back one setting
+ * @param {string} key - Dot path of the setting
+ * @param {Array<string>} args - Extra flags
+ * @param {object} env - Extra environment variables
+ * @returns {object} - { value, source, stdout }
+ */
+function printConfig(key, args = [], env = {}) {
+    const result = run([CLI_PATH, '--print-config', ...args], env);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const line = result.stdout.split('\n').find(candidate => candidate.startsWith(`${key} = `));
+    assert.ok(line, `${key} should be printed`);
+    const [, value, source] = /^\S+ = (.*?) +# (.*)$/.exec(line);
+    return { value: JSON.parse(value), source, stdout: result.stdout };
+}
+
+function testParseArgs() {
+    console.log('Testing the flag parser...');
+
+    assert.strictEqual(parseValue('TRUE'), true);
+    assert.strictEqual(parseValue('false'), false);
+    assert.strictEqual(parseValue('42'), 42);
+    assert.strictEqual(parseValue('1.5'), 1.5);
+    assert.deepStrictEqual(parseValue('["a",1]'), ['a', 1]);
+    assert.strictEqual(parseValue('{broken'), '{broken');
+    assert.strictEqual(parseValue('0.0.0.0'), '0.0.0.0');
+
+    let result = parseArgs(['--port', '8080', '--host=0.0.0.0', '--set', 'tools.api.timeout=5000', '--set', 'profiles.x={"include":["api_request"]}']);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.overrides, [
+        { key: 'server.port', value: 8080, source: '--port 8080' },
+        { key: 'server.host', value: '0.0.0.0', source: '--host 0.0.0.0' },
+        { key: 'tools.api.timeout', value: 5000, source: '--set tools.api.timeout=5000' },
+        { key: 'profiles.x', value: { include: ['api_request'] }, source: '--set profiles.x={"include":["api_request"]}' }
+    ]);
+
+    // Shortcut flags pick an environment or set several keys at once
+    result = parseArgs(['--debug', '--no-advanced', '--print-config', '--config', 'ci/settings.yaml'], { cwd: tempDir });
+    assert.strictEqual(result.environment, 'development');
+    assert.strictEqual(result.printConfig, true);
+    assert.strictEqual(result.configPath, path.join(tempDir, 'ci', 'settings.yaml'));
+    assert.deepStrictEqual(result.overrides.map(({ key, value }) => `${key}=${value}`), [
+        'features.enableDebugMode=true',
+        'features.enableAdvancedTools=false'
+    ]);
+    assert.strictEqual(parseArgs(['--api-only', '--env', 'production']).environment, 'production');
+
+    // Paths load plugin directories, other names are packages
+    fs.mkdirSync(path.join(tempDir, 'local-tools'), { recursive: true });
+    result = parseArgs(['--plugin', 'local-tools', '--plugin', './relative', '--plugin', '@acme/auth-tools'], { cwd: tempDir });
+    assert.deepStrictEqual(result.overrides, [
+        { key: 'plugins.directories', value: [path.join(tempDir, 'local-tools'), path.join(tempDir, 'relative')], source: '--plugin' },
+        { key: 'plugins.packages', value: ['@acme/auth-tools'], source: '--plugin' }
+    ]);
+
+    result = parseArgs(['--bogus', '--port', 'abc', '--port', '70000', '--set', 'novalue', '--set', '=1', '--transport', 'ws', '--watch=yes', '--profile']);
+    assert.deepStrictEqual(result.errors, [
+        "Unknown option '--bogus'",
+        "--port expects a port number, got 'abc'",
+        "--port expects a port number, got '70000'",
+        "--set expects key.path=value, got 'novalue'",
+        "--set expects key.path=value, got '=1'",
+        "Unknown value 'ws' for --transport. Supported: stdio, http",
+        '--watch does not take a value',
+        '--profile requires a value <name>'
+    ]);
+    assert.deepStrictEqual(result.overrides, []);
+
+    console.log('✅ Flag parser tests passed');
+}
+
+function testPrecedence() {
+    console.log('Testing config source precedence...');
+
+    fs.mkdirSync(homeDir, { recursive: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    // Each source replaces the one before it: server.js, project file, MCP_* variable, flag
+    let setting = printConfig('server.port');
+    assert.ok(setting.stdout.startsWith('Environment: api-only\nProject config: none\n'));
+    assert.deepStrictEqual([setting.value, setting.source], [3000, 'src/config/server.js']);
+
+    const configFile = path.join(projectDir, 'dq-mcp.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ server: { port: 4100 } }));
+    setting = printConfig('server.port');
+    assert.deepStrictEqual([setting.value, setting.source], [4100, configFile]);
+
+    setting = printConfig('server.port', [], { MCP_SERVER_PORT: '4200' });
+    assert.deepStrictEqual([setting.value, setting.source], [4200, 'MCP_SERVER_PORT']);
+
+    setting = printConfig('server.port', ['--port', '4300'], { MCP_SERVER_PORT: '4200' });
+    assert.deepStrictEqual([setting.value, setting.source], [4300, '--port 4300']);
+    setting = printConfig('server.port', ['--port', '4300', '--set', 'server.port=4400']);
+    assert.deepStrictEqual([setting.value, setting.source], [4400, '--set server.port=4400'], 'later flags win');
+
+    // Tool defaults come from default.js, then the category file, then the environment
+    setting = printConfig('tools.api.timeout');
+    assert.deepStrictEqual([setting.value, setting.source], [30000, 'src/config/tools/default.js']);
+    setting = printConfig('tools.browser.browser_launch.maxInstances', ['--env', 'development']);
+    assert.deepStrictEqual([setting.value, setting.source], [5, 'src/config/environments/development.js']);
+    assert.ok(setting.stdout.startsWith('Environment: development\n'));
+    setting = printConfig('features.enableBrowserTools', ['--debug']);
+    assert.deepStrictEqual([setting.value, setting.source], [true, 'src/config/environments/development.js']);
+    setting = printConfig('features.enableDebugMode', ['--debug']);
+    assert.deepStrictEqual([setting.value, setting.source], [true, '--debug']);
+
+    // Secrets are masked by the setting's name
+    setting = printConfig('auth.token', [], { MCP_AUTH_TOKEN: 'do-not-print-me' });
+    assert.deepStrictEqual([setting.value, setting.source], ['[REDACTED]', 'MCP_AUTH_TOKEN']);
+    assert.ok(!setting.stdout.includes('do-not-print-me'));
+
+    fs.rmSync(configFile);
+
+    console.log('✅ Config source precedence tests passed');
+}
+
+function testInvalidArguments() {
+    console.log('Testing invalid arguments...');
+
+    let result = run([CLI_PATH, '--print-config', '--bogus', '--port', 'abc']);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes("Unknown option '--bogus'"));
+    assert.ok(result.stderr.includes("--port expects a port number, got 'abc'"));
+    assert.ok(result.stderr.includes('Run with --help to see the available options.'));
+
+    // The server reads its flags from DQ_MCP_ARGS and refuses to start when they are broken
+    result = run([SERVER_PATH], { DQ_MCP_ARGS: 'not json' });
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('[Config] Invalid DQ_MCP_ARGS environment variable: '));
+
+    result = run([SERVER_PATH], { DQ_MCP_ARGS: JSON.stringify(['--port', 5]) });
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('Invalid DQ_MCP_ARGS environment variable: expected a JSON array of strings'));
+
+    // --set values are checked against the config schema like a config file
+    result = run([SERVER_PATH], { DQ_MCP_ARGS: JSON.stringify(['--set', 'server.prot=1', '--set', 'features.enableApiTools=maybe']) });
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('Invalid command line options:'));
+    assert.ok(result.stderr.includes("  - server.prot: unknown key (did you mean 'port'?)"));
+    assert.ok(result.stderr.includes('  - features.enableApiTools: Invalid input: expected boolean, received string'));
+
+    console.log('✅ Invalid argument tests passed');
+}
+
+(async () => {
+    try {
+        testParseArgs();
+        testPrecedence();
+        testInvalidArguments();
+        console.log('\n🎉 All config precedence tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ Config precedence test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit();
+    }
+})();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool hot reload
+ * Watches a temporary tools directory with a ToolRegistry while tool files are edited, added and
+ * removed, then runs a server with --watch and checks notifications/tools/list_changed
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolBase = require('../src/tools/base/ToolBase');
+const ToolRegistry = require('../src/tools/base/ToolRegistry');
+const { startServer } = require('./helpers/mcpClient');
+
+const TOOL_BASE_PATH = path.join(__dirname, '..', 'src', 'tools', 'base', 'ToolBase.js');
+const SERVER_TOOL_PATH = path.join(__dirname, '..', 'src', 'tools', 'api', 'zz-test-hot-reload.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Source of a tool file that reports which version of it ran
+ * @param {string} name - Tool name
+ * @param {string} version - Returned by the tool and put in its description
+ * @param {string} description - Description, when it should not change with the version
+ * @returns {string} - Module source
+ */
+function toolSource(name, version, description = `Echo ${version}`) {
+    return `const ToolBase = require(${JSON.stringify(TOOL_BASE_PATH)});
+
+class HotTool extends ToolBase {
+    static definition = {
+        name: ${JSON.stringify(name)},
+        description: ${JSON.stringify(description)},
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute() {
+        return { version: ${JSON.stringify(version)} };
+    }
+}
+
+module.exports = HotTool;
+`;
+}
+
+class ManualTool extends ToolBase {
+    static definition = {
+        name: 'api_manual',
+        description: 'Registered by hand',
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute() {
+        return { manual: true };
+    }
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every 50ms; may return a promise
+ * @param {string} description - What is awaited, for the timeout error
+ */
+async function waitUntil(condition, description) {
+    for (let attempt = 0; !(await condition()); attempt++) {
+        if (attempt > 100) throw new Error(`Timed out waiting for ${description}`);
+        await sleep(50);
+    }
+}
+
+async function callVersion(registry, name) {
+    const result = await registry.executeTool(name, {});
+    return JSON.parse(result.content[0].text).version;
+}
+
+async function testRegistryReload() {
+    console.log('Testing ToolRegistry reloads...');
+
+    const toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-tools-'));
+    fs.writeFileSync(path.join(toolsDir, 'echo.js'), toolSource('api_hot_echo', 'v1'));
+
+    const registry = new ToolRegistry();
+    await registry.discoverTools(toolsDir);
+    registry.registerTool(new ManualTool());
+
+    const changes = [];
+    const watcher = registry.watchTools(definitions => changes.push(definitions.map(definition => definition.name).sort()));
+    try {
+        assert.strictEqual(await callVersion(registry, 'api_hot_echo'), 'v1');
+
+        // New code with the same definition is loaded without a list change
+        fs.writeFileSync(path.join(toolsDir, 'echo.js'), toolSource('api_hot_echo', 'v2', 'Echo v1'));
+        await waitUntil(async () => await callVersion(registry, 'api_hot_echo') === 'v2', 'the reload');
+        assert.deepStrictEqual(changes, []);
+
+        // A changed definition is reported once, however many writes led to it
+        fs.writeFileSync(path.join(toolsDir, 'echo.js'), toolSource('api_hot_echo', 'v3'));
+        fs.writeFileSync(path.join(toolsDir, 'echo.js'), toolSource('api_hot_echo', 'v3'));
+        await waitUntil(() => changes.length === 1, 'the tool list change');
+        assert.deepStrictEqual(changes[0], ['api_hot_echo', 'api_manual']);
+        assert.strictEqual(await callVersion(registry, 'api_hot_echo'), 'v3');
+
+        // Files in subdirectories are picked up; other files are ignored
+        fs.mkdirSync(path.join(toolsDir, 'extra'));
+        fs.writeFileSync(path.join(toolsDir, 'extra', 'second.js'), toolSource('api_hot_second', 'v1'));
+        await waitUntil(() => changes.length === 2, 'the new tool');
+        assert.deepStrictEqual(changes[1], ['api_hot_echo', 'api_hot_second', 'api_manual']);
+        fs.writeFileSync(path.join(toolsDir, 'notes.txt'), 'not a tool');
+        await sleep(700);
+        assert.strictEqual(changes.length, 2);
+
+        // Removed files take their tools with them; manually registered tools stay
+        fs.unlinkSync(path.join(toolsDir, 'echo.js'));
+        await waitUntil(() => changes.length === 3, 'the removed tool');
+        assert.deepStrictEqual(changes[2], ['api_hot_second', 'api_manual']);
+        await assert.rejects(registry.executeTool('api_hot_echo', {}), error => error.code === -32601);
+        const manual = await registry.executeTool('api_manual', {});
+        assert.deepStrictEqual(JSON.parse(manual.content[0].text), { manual: true });
+
+        console.log('✅ ToolRegistry reload tests passed');
+    } finally {
+        watcher.close();
+        fs.rmSync(toolsDir, { recursive: true, force: true });
+    }
+}
+
+async function testServerReload() {
+    console.log('Testing notifications/tools/list_changed...');
+
+    const server = startServer({ args: ['--watch'] });
+    try {
+        const { capabilities } = await server.initialize();
+        assert.strictEqual(capabilities.tools.listChanged, true);
+        await sleep(300);
+
+        fs.writeFileSync(SERVER_TOOL_PATH, toolSource('api_test_hot_reload', 'v1'));
+        await server.waitFor(notification => notification.method === 'notifications/tools/list_changed');
+
+        const { result } = await server.request('tools/list');
+        assert.ok(result.tools.some(tool => tool.name === 'api_test_hot_reload'));
+        const response = await server.request('tools/call', { name: 'api_test_hot_reload', arguments: {} });
+        assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { version: 'v1' });
+
+        console.log('✅ notifications/tools/list_changed tests passed');
+    } finally {
+        fs.rmSync(SERVER_TOOL_PATH, { force: true });
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        await testRegistryReload();
+        await testServerReload();
+        console.log('\n🎉 All hot reload tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Hot reload test failed:', error.message);
+        process.exit(1);
+    }
+})();
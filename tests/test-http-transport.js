@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the HTTP transport
+ * Runs the transport with a stub message handler to check sessions, Origin and Host checks
+ * and limits, then a real server to check SSE responses and per-session log messages
+ */
+
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const { spawn } = require('child_process');
+const { startHttpTransport } = require('../src/transports/httpTransport');
+const { SERVER_PATH } = require('./helpers/mcpClient');
+
+const SESSION_HEADER = 'mcp-session-id';
+
+function request(id, method, params = {}) {
+    return { jsonrpc: "2.0", id, method, params };
+}
+
+function initializeRequest(id = 1, extra = {}) {
+    return request(id, 'initialize', {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'http-test', version: '1.0.0' },
+        ...extra
+    });
+}
+
+function post(url, body, headers = {}) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+/**
+ * Sends a POST with a chosen Host header, which fetch does not allow setting
+ * @param {string} url - Endpoint URL
+ * @param {object} body - JSON-RPC message
+ * @param {object} headers - Request headers, including host
+ * @returns {Promise<number>} - Response status
+ */
+function postWithHost(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', headers: { 'content-type': 'application/json', accept: 'application/json', ...headers } }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+/**
+ * Parses the events of a finished SSE response body
+ * @param {string} text - Response body
+ * @returns {Array<object>} - { event, data } with data JSON-decoded where possible
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(block => block.trim() && !block.startsWith(':')).map((block) => {
+        const event = (/^event: (.*)$/m.exec(block) || [])[1];
+        const data = (/^data: (.*)$/m.exec(block) || [])[1];
+        try {
+            return { event, data: JSON.parse(data) };
+        } catch (error) {
+            return { event, data };
+        }
+    });
+}
+
+/**
+ * Reads an event stream in the background
+ * @param {Response} response - Fetch response with an open event stream
+ * @returns {object} - { text(), events() }
+ */
+function collectStream(response) {
+    let text = '';
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    (async () => {
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                text += decoder.decode(value);
+            }
+        } catch (error) {
+            // Aborted by the test
+        }
+    })();
+    return {
+        text: () => text,
+        events: () => parseEvents(text)
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function testTransport() {
+    console.log('Testing transport sessions and checks...');
+
+    const closedSessions = [];
+    const transport = await startHttpTransport({
+        port: 0,
+        maxSessions: 2,
+        sessionIdleTimeout: 300,
+        onSessionClosed: sessionId => closedSessions.push(sessionId),
+        handleMessage: async (message) => {
+            if (message.id === undefined) return null;
+            if (message.method === 'initialize' && message.params.fail) {
+                return { jsonrpc: "2.0", id: message.id, error: { code: -32602, message: 'Invalid params' } };
+            }
+            return { jsonrpc: "2.0", id: message.id, result: { method: message.method } };
+        }
+    });
+
+    try {
+        const url = transport.url;
+
+        // A failed initialize leaves no session behind
+        let response = await post(url, initializeRequest(1, { fail: true }), { accept: 'application/json' });
+        assert.strictEqual(response.headers.get(SESSION_HEADER), null);
+        assert.strictEqual((await response.json()).error.code, -32602);
+        assert.strictEqual(transport.sessions.size, 0);
+        assert.strictEqual(closedSessions.length, 1);
+
+        // initialize may not be batched
+        response = await post(url, [initializeRequest(1), request(2, 'ping')]);
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(transport.sessions.size, 0);
+
+        // A successful initialize creates the session and returns its id
+        response = await post(url, initializeRequest(1), { accept: 'application/json' });
+        const sessionId = response.headers.get(SESSION_HEADER);
+        assert.ok(sessionId);
+        assert.strictEqual((await response.json()).result.method, 'initialize');
+        assert.ok(transport.sessions.has(sessionId));
+
+        // Later requests need the session header
+        response = await post(url, request(2, 'ping'), { accept: 'application/json' });
+        assert.strictEqual(response.status, 400);
+        response = await post(url, request(2, 'ping'), { accept: 'application/json', [SESSION_HEADER]: 'unknown' });
+        assert.strictEqual(response.status, 404);
+        response = await post(url, request(2, 'ping'), { accept: 'application/json', [SESSION_HEADER]: sessionId });
+        assert.deepStrictEqual((await response.json()).result, { method: 'ping' });
+
+        // Requests from other sites, and to names other than the bound host, are refused
+        response = await post(url, request(3, 'ping'), { [SESSION_HEADER]: sessionId, origin: 'https://evil.example' });
+        assert.strictEqual(response.status, 403);
+        response = await post(url, request(3, 'ping'), { [SESSION_HEADER]: sessionId, origin: 'http://localhost:5173' });
+        assert.strictEqual(response.status, 200);
+        await response.text();
+        assert.strictEqual(await postWithHost(url, request(3, 'ping'), { [SESSION_HEADER]: sessionId, host: 'rebound.example:3000' }), 403);
+        assert.strictEqual(await postWithHost(url, request(3, 'ping'), { [SESSION_HEADER]: sessionId, host: `localhost:${transport.port}` }), 200);
+
+        // The session limit refuses further sessions
+        response = await post(url, initializeRequest(1), { accept: 'application/json' });
+        assert.ok(response.headers.get(SESSION_HEADER));
+        await response.text();
+        response = await post(url, initializeRequest(1), { accept: 'application/json' });
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(transport.sessions.size, 2);
+
+        // Sessions without requests or an open stream are closed
+        await sleep(800);
+        assert.strictEqual(transport.sessions.size, 0);
+        response = await post(url, request(4, 'ping'), { accept: 'application/json', [SESSION_HEADER]: sessionId });
+        assert.strictEqual(response.status, 404);
+
+        console.log('✅ Transport session tests passed');
+    } finally {
+        await transport.close();
+    }
+}
+
+async function testServer() {
+    console.log('Testing server over HTTP...');
+
+    const port = await getFreePort();
+    const server = spawn('node', [SERVER_PATH], {
+        env: { ...process.env, DQ_MCP_ARGS: JSON.stringify(['--transport', 'http', '--port', String(port), '--debug']) },
+        stdio: ['ignore', 'ignore', 'ignore']
+    });
+    const url = `http://127.0.0.1:${port}/mcp`;
+    const streams = [];
+
+    async function initialize() {
+        const response = await post(url, initializeRequest());
+        assert.strictEqual(response.headers.get('content-type').split(';')[0], 'text/event-stream');
+        const sessionId = response.headers.get(SESSION_HEADER);
+        const [event] = parseEvents(await response.text());
+        assert.strictEqual(event.data.id, 1);
+        assert.ok(event.data.result.protocolVersion);
+
+        const headers = { [SESSION_HEADER]: sessionId };
+        assert.strictEqual((await post(url, { jsonrpc: "2.0", method: 'notifications/initialized' }, headers)).status, 202);
+        await (await post(url, request(2, 'logging/setLevel', { level: 'debug' }), headers)).text();
+        return headers;
+    }
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await fetch(url, { method: 'DELETE' });
+                break;
+            } catch (error) {
+                if (attempt > 50) throw new Error('HTTP server did not start');
+                await sleep(100);
+            }
+        }
+
+        const first = await initialize();
+        const second = await initialize();
+
+        // A request accepting text/event-stream gets its response as an SSE event
+        let response = await post(url, request(3, 'tools/list'), first);
+        const [event] = parseEvents(await response.text());
+        assert.strictEqual(event.event, 'message');
+        assert.ok(event.data.result.tools.length > 0);
+
+        // Log messages reach only the session whose request logged them
+        const controller = new AbortController();
+        const stream = await fetch(url, { headers: { accept: 'text/event-stream', ...first }, signal: controller.signal });
+        assert.strictEqual(stream.status, 200);
+        streams.push(controller);
+        const firstStream = collectStream(stream);
+
+        const call = (id, sessionId) => request(id, 'tools/call', { name: 'api_session_status', arguments: { sessionId } });
+        await (await post(url, call(4, 'from-second-client'), { ...second, accept: 'application/json' })).text();
+        await (await post(url, call(5, 'from-first-client'), { ...first, accept: 'application/json' })).text();
+        await sleep(300);
+
+        const logged = firstStream.events().filter(e => e.data.method === 'notifications/message').map(e => e.data.params.data).join('\n');
+        assert.ok(logged.includes('from-first-client'), 'the first client should see its own log messages');
+        assert.ok(!logged.includes('from-second-client'), 'the first client must not see the second client\'s log messages');
+
+        // A second standalone stream for the same session is refused
+        response = await fetch(url, { headers: { accept: 'text/event-stream', ...first } });
+        assert.strictEqual(response.status, 409);
+        await response.text();
+
+        // DELETE ends the session
+        response = await fetch(url, { method: 'DELETE', headers: second });
+        assert.strictEqual(response.status, 204);
+        response = await post(url, request(6, 'ping'), second);
+        assert.strictEqual(response.status, 404);
+        await response.text();
+
+        console.log('✅ Server HTTP tests passed');
+    } finally {
+        streams.forEach(controller => controller.abort());
+        await new Promise((resolve) => {
+            server.once('exit', resolve);
+            server.kill();
+        });
+    }
+}
+
+(async () => {
+    try {
+        await testTransport();
+        await testServer();
+        console.log('\n🎉 All HTTP transport tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ HTTP transport test failed:', error.message);
+        process.exit(1);
+    }
+})();
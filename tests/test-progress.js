@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Tests progress notifications
+ * Checks the reporter handed to tools directly, then runs an api_request chain against a local
+ * server with and without a progressToken and on a protocol version without progress messages
+ */
+
+const assert = require('assert');
+const http = require('http');
+const ToolBase = require('../src/tools/base/ToolBase');
+const { startServer } = require('./helpers/mcpClient');
+
+class StepTool extends ToolBase {
+    static definition = {
+        name: 'test_steps',
+        description: 'Reports progress out of order',
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute(parameters, { reportProgress }) {
+        reportProgress(1, 3, 'one');
+        reportProgress(1, 3, 'one again');
+        reportProgress(0, 3, 'back to zero');
+        reportProgress(2, 3);
+        reportProgress('3', 3, 'not a number');
+        reportProgress(3, 3, 'done');
+        return { done: true };
+    }
+}
+
+async function testReporter() {
+    console.log('Testing the progress reporter...');
+
+    const updates = [];
+    await new StepTool().run({}, { onProgress: update => updates.push(update) });
+
+    // Progress only ever increases
+    assert.deepStrictEqual(updates, [
+        { progress: 1, total: 3, message: 'one' },
+        { progress: 2, total: 3, message: undefined },
+        { progress: 3, total: 3, message: 'done' }
+    ]);
+
+    // Without a callback, reporting is a no-op
+    const result = await new StepTool().run({});
+    assert.ok(!result.isError);
+
+    console.log('✅ Progress reporter tests passed');
+}
+
+async function testServerProgress() {
+    console.log('Testing notifications/progress...');
+
+    const upstream = http.createServer((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ path: req.url }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+    const chain = ['login', 'create', 'verify'].map(name => ({ name, url: `${baseUrl}/${name}` }));
+
+    const server = startServer();
+    const legacyServer = startServer();
+    try {
+        await server.initialize();
+
+        let response = await server.request('tools/call', {
+            name: 'api_request',
+            arguments: { chain },
+            _meta: { progressToken: 'chain-1' }
+        });
+        assert.ok(response.result);
+
+        const progress = server.notifications
+            .filter(notification => notification.method === 'notifications/progress')
+            .map(notification => notification.params);
+        assert.deepStrictEqual(progress, [
+            { progressToken: 'chain-1', progress: 0, total: 3, message: 'Step 1 of 3: login' },
+            { progressToken: 'chain-1', progress: 1, total: 3, message: 'Step 2 of 3: create' },
+            { progressToken: 'chain-1', progress: 2, total: 3, message: 'Step 3 of 3: verify' },
+            { progressToken: 'chain-1', progress: 3, total: 3, message: 'Chain completed' }
+        ]);
+
+        // Without a progressToken nothing is sent
+        const sent = server.notifications.length;
+        response = await server.request('tools/call', { name: 'api_request', arguments: { chain } });
+        assert.ok(response.result);
+        assert.ok(server.notifications.slice(sent).every(n => n.method !== 'notifications/progress'));
+
+        // 2024-11-05 has no message field on progress notifications
+        await legacyServer.request('initialize', {
+            protocolVersion: '2024-11-05',
+            capabilities: {},
+            clientInfo: { name: 'legacy-client', version: '1.0.0' }
+        });
+        legacyServer.notify('notifications/initialized');
+        await legacyServer.request('tools/call', {
+            name: 'api_request',
+            arguments: { chain: chain.slice(0, 1) },
+            _meta: { progressToken: 7 }
+        });
+        const legacyProgress = legacyServer.notifications
+            .filter(notification => notification.method === 'notifications/progress')
+            .map(notification => notification.params);
+        assert.deepStrictEqual(legacyProgress, [
+            { progressToken: 7, progress: 0, total: 1 },
+            { progressToken: 7, progress: 1, total: 1 }
+        ]);
+
+        console.log('✅ notifications/progress tests passed');
+    } finally {
+        await server.close();
+        await legacyServer.close();
+        upstream.close();
+    }
+}
+
+(async () => {
+    try {
+        await testReporter();
+        await testServerProgress();
+        console.log('\n🎉 All progress tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Progress test failed:', error.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Tests project config files (dq-mcp.config.*)
+ * Checks lookup and parsing of each format in temporary directories, then starts the CLI and
+ * the server against valid and invalid files
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SERVER_PATH, startServer } = require('./helpers/mcpClient');
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-project-config-'));
+const homeDir = path.join(tempDir, 'home');
+const projectDir = path.join(tempDir, 'project');
+
+// The home directory is the fallback location, so keep the real one out of the lookup
+process.env.HOME = homeDir;
+
+const { findProjectConfig, readProjectConfig } = require('../src/config/projectConfig');
+
+function write(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Runs a command in the project directory with the temporary home directory
+ * @param {Array<string>} args - node arguments
+ * @param {object} env - Extra environment variables
+ * @returns {object} - { status, stdout, stderr }
+ */
+function run(args, env = {}) {
+    const result = spawnSync('node', args, {
+        cwd: projectDir,
+        env: { ...process.env, HOME: homeDir, DQ_MCP_ARGS: '', OUTPUT_DIR: '', ...env },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function assertConfigError(fn, pattern) {
+    assert.throws(fn, error => error.name === 'ConfigError' && pattern.test(error.message));
+}
+
+function testLookupAndParsing() {
+    console.log('Testing config file lookup and parsing...');
+
+    fs.mkdirSync(projectDir, { recursive: true });
+    const originalCwd = process.cwd();
+    process.chdir(projectDir);
+    try {
+        assert.strictEqual(findProjectConfig(), null);
+
+        // The home directory is used when the project has no file
+        const homeFile = write(path.join(homeDir, 'dq-mcp.config.yml'), 'profile: read-only\n');
+        assert.strictEqual(findProjectConfig(), homeFile);
+
+        // The working directory wins, and JSON comes before the other formats
+        const yamlFile = write(path.join(projectDir, 'dq-mcp.config.yaml'), '# Shared settings\nserver:\n  port: 4100\n');
+        assert.strictEqual(findProjectConfig(), yamlFile);
+        const jsonFile = write(path.join(projectDir, 'dq-mcp.config.json'), '{ "server": { "port": 4200 } }');
+        assert.strictEqual(findProjectConfig(), jsonFile);
+
+        assert.deepStrictEqual(readProjectConfig(yamlFile), { server: { port: 4100 } });
+        assert.deepStrictEqual(readProjectConfig(jsonFile), { server: { port: 4200 } });
+        const jsFile = write(path.join(tempDir, 'settings', 'dq-mcp.config.js'), 'module.exports = { profile: "read-only" };\n');
+        assert.deepStrictEqual(readProjectConfig(jsFile), { profile: 'read-only' });
+        assert.deepStrictEqual(readProjectConfig(write(path.join(tempDir, 'empty.yaml'), '')), {});
+
+        // An explicit path must exist; broken files name the file and the problem
+        assert.strictEqual(findProjectConfig(jsFile), jsFile);
+        assertConfigError(() => findProjectConfig(path.join(tempDir, 'missing.json')), /Config file not found/);
+        assertConfigError(() => readProjectConfig(write(path.join(tempDir, 'broken.json'), '{ "server": ')), /Could not read .*broken\.json/);
+        assertConfigError(() => readProjectConfig(write(path.join(tempDir, 'list.yaml'), '- a\n- b\n')), /expected an object at the top level/);
+
+        fs.rmSync(homeFile);
+        fs.rmSync(yamlFile);
+    } finally {
+        process.chdir(originalCwd);
+    }
+
+    console.log('✅ Config file lookup and parsing tests passed');
+}
+
+function testCli() {
+    console.log('Testing project config in the CLI...');
+
+    write(path.join(projectDir, 'dq-mcp.config.json'), JSON.stringify({
+        $schema: './node_modules/@democratize-quality/mcp-server/dq-mcp.config.schema.json',
+        outputDir: 'reports',
+        profile: 'read-only',
+        features: { enableBrowserTools: true }
+    }));
+
+    let result = run([CLI_PATH, '--print-config']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const configFile = path.join(projectDir, 'dq-mcp.config.json');
+    assert.ok(result.stdout.includes(`Project config: ${configFile}`));
+    assert.match(result.stdout, new RegExp(`^profile = "read-only" +# ${configFile}$`, 'm'));
+    assert.match(result.stdout, new RegExp(`^features\\.enableBrowserTools = true +# ${configFile}$`, 'm'));
+    // outputDir is relative to the config file, not the working directory
+    assert.ok(result.stdout.includes(`OUTPUT_DIR = ${JSON.stringify(path.join(projectDir, 'reports'))}`));
+
+    // --config loads a file from anywhere instead of the lookup
+    const otherFile = write(path.join(tempDir, 'ci', 'settings.yaml'), 'outputDir: ci-output\nprofile: null\n');
+    result = run([CLI_PATH, '--print-config', '--config', otherFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes(`Project config: ${otherFile}`));
+    assert.ok(result.stdout.includes(`OUTPUT_DIR = ${JSON.stringify(path.join(tempDir, 'ci', 'ci-output'))}`));
+
+    result = run([CLI_PATH, '--print-config', '--config', path.join(tempDir, 'nowhere.json')]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('Config file not found'));
+
+    console.log('✅ CLI project config tests passed');
+}
+
+async function testServer() {
+    console.log('Testing project config in the server...');
+
+    // Every problem is listed and the server does not start
+    write(path.join(projectDir, 'dq-mcp.config.json'), JSON.stringify({
+        server: { prot: 3000 },
+        features: { enableApiTools: 'yes' },
+        profile: 'read-only'
+    }));
+    const result = run([SERVER_PATH]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes(`Invalid configuration in ${path.join(projectDir, 'dq-mcp.config.json')}`));
+    assert.ok(result.stderr.includes("server.prot: unknown key (did you mean 'port'?)"));
+    assert.ok(result.stderr.includes('features.enableApiTools: Invalid input: expected boolean, received string'));
+
+    // A valid file shapes the server: here the read-only profile
+    write(path.join(projectDir, 'dq-mcp.config.json'), JSON.stringify({ profile: 'read-only' }));
+    const server = startServer({ cwd: projectDir, env: { HOME: homeDir } });
+    try {
+        await server.initialize();
+        const response = await server.request('tools/call', { name: 'api_request', arguments: { url: 'http://127.0.0.1:1/', method: 'POST' } });
+        assert.strictEqual(response.error.code, -32602);
+        assert.ok(response.error.message.includes("profile 'read-only'"));
+    } finally {
+        await server.close();
+    }
+
+    console.log('✅ Server project config tests passed');
+}
+
+(async () => {
+    try {
+        testLookupAndParsing();
+        testCli();
+        await testServer();
+        console.log('\n🎉 All project config tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ Project config test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit();
+    }
+})();
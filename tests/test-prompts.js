@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Tests MCP prompt templates
+ * Lists and renders the bundled QA prompts, checks required arguments, hides prompts whose
+ * tools are disabled and loads a custom prompt from a configured directory
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/mcpClient');
+
+const BUNDLED_PROMPTS = ['accessibility_check', 'api_crud_regression', 'session_report', 'smoke_test_url'];
+
+const CUSTOM_PROMPT = `module.exports = {
+    name: "login_check",
+    description: "Check that a user can log in",
+    arguments: [{ name: "url", description: "Login page", required: true }],
+    requiredTools: ["api_request"],
+    getMessages({ url }) {
+        return [{ role: "user", content: { type: "text", text: \`Log in at \${url} with api_request\` } }];
+    }
+};
+`;
+
+async function testBundledPrompts() {
+    console.log('Testing bundled prompts...');
+
+    const server = startServer({ args: ['--enable-all'] });
+    try {
+        await server.initialize();
+
+        const { result } = await server.request('prompts/list');
+        assert.deepStrictEqual(result.prompts.map(prompt => prompt.name).sort(), BUNDLED_PROMPTS);
+        const smokeTest = result.prompts.find(prompt => prompt.name === 'smoke_test_url');
+        assert.deepStrictEqual(smokeTest.arguments.map(argument => [argument.name, argument.required]), [
+            ['url', true],
+            ['expectedText', false]
+        ]);
+
+        // Rendered instructions name the real tools and carry the arguments
+        let response = await server.request('prompts/get', {
+            name: 'smoke_test_url',
+            arguments: { url: 'https://example.com', expectedText: 'Example Domain' }
+        });
+        const [message] = response.result.messages;
+        assert.strictEqual(message.role, 'user');
+        for (const text of ['browser_launch', 'browser_navigate', 'browser_screenshot', 'browser_close', 'https://example.com', 'Example Domain']) {
+            assert.ok(message.content.text.includes(text), `prompt text should mention ${text}`);
+        }
+
+        response = await server.request('prompts/get', { name: 'smoke_test_url', arguments: {} });
+        assert.strictEqual(response.error.code, -32602);
+        assert.deepStrictEqual(response.error.data.missing_arguments, ['url']);
+
+        response = await server.request('prompts/get', { name: 'no_such_prompt' });
+        assert.strictEqual(response.error.code, -32602);
+
+        console.log('✅ Bundled prompt tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+async function testAvailabilityAndCustomPrompts() {
+    console.log('Testing prompt availability and custom prompt directories...');
+
+    const promptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-prompts-'));
+    fs.writeFileSync(path.join(promptDir, 'login-check.js'), CUSTOM_PROMPT);
+
+    // API tools only: prompts that need the browser are left out
+    const server = startServer({ args: ['--api-only', '--set', `prompts.directories=${JSON.stringify([promptDir])}`] });
+    try {
+        await server.initialize();
+
+        const { result } = await server.request('prompts/list');
+        const names = result.prompts.map(prompt => prompt.name);
+        assert.ok(names.includes('login_check'), 'custom prompt should be listed');
+        assert.ok(names.includes('api_crud_regression'));
+        assert.ok(!names.includes('smoke_test_url'), 'browser prompts need the browser tools');
+
+        let response = await server.request('prompts/get', { name: 'login_check', arguments: { url: 'https://example.com/login' } });
+        assert.strictEqual(response.result.messages[0].content.text, 'Log in at https://example.com/login with api_request');
+
+        response = await server.request('prompts/get', { name: 'smoke_test_url', arguments: { url: 'https://example.com' } });
+        assert.strictEqual(response.error.code, -32602);
+
+        console.log('✅ Prompt availability tests passed');
+    } finally {
+        await server.close();
+        fs.rmSync(promptDir, { recursive: true, force: true });
+    }
+}
+
+(async () => {
+    try {
+        await testBundledPrompts();
+        await testAvailabilityAndCustomPrompts();
+        console.log('\n🎉 All prompt tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Prompt test failed:', error.message);
+        process.exit(1);
+    }
+})();
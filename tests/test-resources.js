@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Tests MCP resources
+ * Reads files from a temporary output directory, including symlinks that lead out of it and
+ * URIs with malformed percent-encoding, directly and through resources/read
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/mcpClient');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-resources-'));
+const outputDir = path.join(tempDir, 'output');
+const outsideDir = path.join(tempDir, 'outside');
+process.env.OUTPUT_DIR = outputDir;
+
+const { readResource, listResources, getResourceUri } = require('../src/resources');
+
+function setUp() {
+    fs.mkdirSync(outputDir);
+    fs.mkdirSync(outsideDir);
+    fs.writeFileSync(path.join(outputDir, 'page one.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    fs.writeFileSync(path.join(outsideDir, 'private.png'), 'not for clients');
+    fs.writeFileSync(path.join(outsideDir, 'private.html'), '<p>not for clients</p>');
+    fs.symlinkSync(path.join(outsideDir, 'private.png'), path.join(outputDir, 'link.png'));
+    fs.symlinkSync(outsideDir, path.join(outputDir, 'linked-dir'));
+}
+
+function assertError(fn, code) {
+    assert.throws(fn, error => error.code === code, `expected error ${code}`);
+}
+
+function testReadResource() {
+    console.log('Testing readResource...');
+
+    const uri = getResourceUri('screenshots', path.join(outputDir, 'page one.png'));
+    assert.strictEqual(uri, 'dq://screenshots/page%20one.png');
+    const [content] = readResource(uri);
+    assert.strictEqual(content.mimeType, 'image/png');
+    assert.strictEqual(Buffer.from(content.blob, 'base64').length, 4);
+
+    // Symlinks out of the output directory are not followed, as files or as directories
+    assertError(() => readResource('dq://screenshots/link.png'), -32002);
+    assertError(() => readResource('dq://reports/linked-dir/private.html'), -32002);
+    assertError(() => readResource('dq://screenshots/..%2Foutside%2Fprivate.png'), -32002);
+    assert.ok(!listResources().some(resource => resource.uri.includes('link')));
+
+    // Malformed percent-encoding is invalid params, not an internal error
+    assertError(() => readResource('dq://screenshots/%E0%A4%A.png'), -32602);
+    assertError(() => readResource('dq://api-sessions/%E0%A4%A'), -32602);
+
+    assertError(() => readResource('dq://screenshots/missing.png'), -32002);
+    assertError(() => readResource('https://example.com/x.png'), -32002);
+
+    console.log('✅ readResource tests passed');
+}
+
+async function testServer() {
+    console.log('Testing resources/read...');
+
+    const server = startServer({ env: { OUTPUT_DIR: outputDir } });
+    try {
+        await server.initialize();
+
+        let response = await server.request('resources/read', { uri: 'dq://screenshots/%E0%A4%A.png' });
+        assert.strictEqual(response.error.code, -32602);
+
+        response = await server.request('resources/read', { uri: 'dq://screenshots/link.png' });
+        assert.strictEqual(response.error.code, -32002);
+
+        response = await server.request('resources/read', { uri: 'dq://screenshots/page%20one.png' });
+        assert.strictEqual(response.result.contents[0].mimeType, 'image/png');
+
+        console.log('✅ resources/read tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        setUp();
+        testReadResource();
+        await testServer();
+        console.log('\n🎉 All resource tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ Resource test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit();
+    }
+})();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Tests message framing and batch handling on the STDIO transport
+ * Feeds fragmented, concatenated, batched and oversized input both to the stream parser
+ * directly and to a running server over stdin
+ */
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const path = require('path');
+const { JsonMessageParser, parseSize } = require('../src/transports/stdioTransport');
+
+function parse(chunks, maxMessageSize) {
+    const messages = [];
+    const errors = [];
+    const parser = new JsonMessageParser({
+        onMessage: message => messages.push(message),
+        onError: error => errors.push(error.error),
+        maxMessageSize
+    });
+    chunks.forEach(chunk => parser.push(chunk));
+    parser.end();
+    return { messages, errors };
+}
+
+function testParser() {
+    console.log('Testing stream parser...');
+
+    // A message split at every character, including inside strings and escapes
+    const text = '{"jsonrpc":"2.0","id":1,"method":"ping","params":{"s":"a \\"}\\" b [x]"}}\n';
+    let result = parse(text.split(''));
+    assert.deepStrictEqual(result.messages, [JSON.parse(text)]);
+    assert.deepStrictEqual(result.errors, []);
+
+    // Several messages in one chunk, with and without newlines between them
+    result = parse(['{"id":1}\n{"id":2}{"id":3}\r\n  {"id":4}\n']);
+    assert.deepStrictEqual(result.messages.map(m => m.id), [1, 2, 3, 4]);
+
+    // A multi-byte character split across two chunks
+    const bytes = Buffer.from('{"text":"héllo ✓"}\n');
+    result = parse([bytes.subarray(0, 11), bytes.subarray(11)]);
+    assert.deepStrictEqual(result.messages, [{ text: 'héllo ✓' }]);
+
+    // Batches are passed through as arrays
+    result = parse(['[{"id":1},', '{"id":2}]\n']);
+    assert.deepStrictEqual(result.messages, [[{ id: 1 }, { id: 2 }]]);
+
+    // Garbage and malformed JSON are reported without losing the messages around them
+    result = parse(['not json\n{"id":1}\n{"id":}\n42\n{"id":2}\n']);
+    assert.deepStrictEqual(result.messages.map(m => m.id), [1, 2]);
+    assert.deepStrictEqual(result.errors.map(e => e.code), [-32700, -32700, -32600]);
+
+    // Oversized messages are rejected, later ones still parse
+    result = parse(['{"data":"' + 'x'.repeat(100), '"}\n{"id":1}\n'], 64);
+    assert.deepStrictEqual(result.messages, [{ id: 1 }]);
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].code, -32600);
+
+    // Truncated input at end of stream
+    result = parse(['{"id":1']);
+    assert.deepStrictEqual(result.messages, []);
+    assert.strictEqual(result.errors[0].code, -32700);
+
+    assert.strictEqual(parseSize('10MB'), 10 * 1024 * 1024);
+    assert.strictEqual(parseSize('512kb'), 512 * 1024);
+    assert.strictEqual(parseSize(2048), 2048);
+
+    console.log('✅ Stream parser tests passed');
+}
+
+function request(id, method, params = {}) {
+    return { jsonrpc: "2.0", id, method, params };
+}
+
+async function testServer() {
+    console.log('Testing server over stdin...');
+
+    const server = spawn('node', [path.join(__dirname, '..', 'mcpServer.js')], {
+        stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    const received = [];
+    let waiting = null;
+    let output = '';
+
+    server.stdout.on('data', (data) => {
+        output += data.toString();
+        let newlineIndex;
+        while ((newlineIndex = output.indexOf('\n')) !== -1) {
+            const line = output.substring(0, newlineIndex);
+            output = output.substring(newlineIndex + 1);
+            const message = JSON.parse(line);
+            if (message.method) continue; // Server notifications
+            received.push(message);
+        }
+        if (waiting && received.length >= waiting.count) {
+            waiting.resolve(received.splice(0, waiting.count));
+            waiting = null;
+        }
+    });
+
+    function expect(count) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} responses`)), 10000);
+            waiting = { count, resolve: (responses) => { clearTimeout(timer); resolve(responses); } };
+            if (received.length >= count) {
+                waiting.resolve(received.splice(0, count));
+                waiting = null;
+            }
+        });
+    }
+
+    async function write(text, pieces = 1) {
+        const size = Math.ceil(text.length / pieces);
+        for (let i = 0; i < text.length; i += size) {
+            server.stdin.write(text.substring(i, i + size));
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    try {
+        // initialize delivered in fragments
+        await write(JSON.stringify(request(1, 'initialize', {
+            protocolVersion: '2025-06-18',
+            capabilities: {},
+            clientInfo: { name: 'stdio-test', version: '1.0.0' }
+        })) + '\n', 7);
+        let [response] = await expect(1);
+        assert.strictEqual(response.id, 1);
+        assert.ok(response.result.protocolVersion);
+
+        // A notification followed by two requests in the same chunk: none may be dropped
+        await write([
+            { jsonrpc: "2.0", method: 'notifications/initialized' },
+            request(2, 'ping'),
+            request(3, 'tools/list')
+        ].map(message => JSON.stringify(message)).join('\n') + '\n');
+        const responses = await expect(2);
+        assert.deepStrictEqual(responses.map(r => r.id).sort(), [2, 3]);
+
+        // Batch with a notification, a request, an unknown method and an invalid entry
+        await write(JSON.stringify([
+            request(4, 'ping'),
+            { jsonrpc: "2.0", method: 'notifications/initialized' },
+            request(5, 'no/such/method'),
+            42
+        ]) + '\n', 3);
+        [response] = await expect(1);
+        assert.ok(Array.isArray(response), 'batch must be answered with an array');
+        assert.deepStrictEqual(response.map(r => r.id), [4, 5, null]);
+        assert.deepStrictEqual(response[0].result, {});
+        assert.strictEqual(response[1].error.code, -32601);
+        assert.strictEqual(response[2].error.code, -32600);
+
+        // Empty batch, parse error and a request over the default security.maxRequestSize;
+        // the server keeps serving afterwards
+        const pad = 'x'.repeat(parseSize('10MB'));
+        await write('[]\n{"jsonrpc":"2.0",\n"id":}\n' + JSON.stringify(request(6, 'ping', { pad })) + '\n');
+        const errors = await expect(3);
+        assert.deepStrictEqual(errors.map(r => r.error.code), [-32600, -32700, -32600]);
+
+        await write(JSON.stringify(request(7, 'ping')) + '\n');
+        [response] = await expect(1);
+        assert.strictEqual(response.id, 7);
+
+        console.log('✅ Server stdin tests passed');
+    } finally {
+        server.kill();
+    }
+}
+
+(async () => {
+    try {
+        testParser();
+        await testServer();
+        console.log('\n🎉 All STDIO transport tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ STDIO transport test failed:', error.message);
+        process.exit(1);
+    }
+})();
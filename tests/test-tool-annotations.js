@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool titles and annotations
+ * Checks that tool definitions are rejected for bad annotations, that every tool lists a title
+ * and all four hints, and that both are left out for protocol versions that do not know them
+ */
+
+const assert = require('assert');
+const ToolBase = require('../src/tools/base/ToolBase');
+const { startServer } = require('./helpers/mcpClient');
+
+const HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+/**
+ * Defines a tool class with the given extra definition fields
+ * @param {object} fields - title and/or annotations
+ * @returns {Function} - Tool class
+ */
+function defineTool(fields) {
+    return class extends ToolBase {
+        static definition = {
+            name: 'test_annotated',
+            description: 'Annotated tool',
+            input_schema: { type: 'object', properties: {} },
+            ...fields
+        };
+    };
+}
+
+function testDefinitions() {
+    console.log('Testing definition checks...');
+
+    const Annotated = defineTool({ title: 'Annotated', annotations: { readOnlyHint: true, openWorldHint: false } });
+    assert.doesNotThrow(() => new Annotated());
+
+    assert.throws(() => new (defineTool({ title: 42 }))(), /title must be a string/);
+    assert.throws(() => new (defineTool({ annotations: [] }))(), /annotations must be an object/);
+    assert.throws(() => new (defineTool({ annotations: { readOnly: true } }))(), /Unknown tool annotation: readOnly/);
+    assert.throws(() => new (defineTool({ annotations: { destructiveHint: 'yes' } }))(), /'destructiveHint' must be a boolean/);
+
+    console.log('✅ Definition check tests passed');
+}
+
+/**
+ * Starts a server with every tool and lists them for a protocol version
+ * @param {string} protocolVersion - Version the client asks for
+ * @returns {Promise<Array<object>>} - Listed tools
+ */
+async function listTools(protocolVersion) {
+    const server = startServer({ args: ['--enable-all'] });
+    try {
+        await server.request('initialize', {
+            protocolVersion,
+            capabilities: {},
+            clientInfo: { name: 'annotation-test', version: '1.0.0' }
+        });
+        server.notify('notifications/initialized');
+        const { result } = await server.request('tools/list');
+        return result.tools;
+    } finally {
+        await server.close();
+    }
+}
+
+async function testToolList() {
+    console.log('Testing tools/list titles and annotations...');
+
+    let tools = await listTools('2025-06-18');
+    assert.ok(tools.length > 20);
+    for (const tool of tools) {
+        assert.strictEqual(typeof tool.title, 'string', `${tool.name} should have a title`);
+        assert.strictEqual(tool.annotations.title, tool.title);
+        for (const hint of HINTS) {
+            assert.strictEqual(typeof tool.annotations[hint], 'boolean', `${tool.name} should declare ${hint}`);
+        }
+        // Read-only tools cannot be destructive
+        if (tool.annotations.readOnlyHint) {
+            assert.strictEqual(tool.annotations.destructiveHint, false, `${tool.name} is read-only and destructive`);
+        }
+    }
+
+    const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+    assert.strictEqual(byName.browser_screenshot.title, 'Take Screenshot');
+    assert.strictEqual(byName.browser_screenshot.annotations.readOnlyHint, true);
+    assert.strictEqual(byName.browser_evaluate.annotations.destructiveHint, true);
+    assert.strictEqual(byName.api_request.annotations.openWorldHint, true);
+    assert.strictEqual(byName.server_info.annotations.idempotentHint, true);
+
+    // 2025-03-26 knows annotations but reads the title from them
+    tools = await listTools('2025-03-26');
+    assert.ok(tools.every(tool => tool.title === undefined && typeof tool.annotations.title === 'string'));
+    assert.ok(tools.every(tool => tool.outputSchema === undefined));
+
+    // 2024-11-05 has neither
+    tools = await listTools('2024-11-05');
+    assert.ok(tools.every(tool => tool.title === undefined && tool.annotations === undefined));
+
+    console.log('✅ tools/list annotation tests passed');
+}
+
+(async () => {
+    try {
+        testDefinitions();
+        await testToolList();
+        console.log('\n🎉 All tool annotation tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Tool annotation test failed:', error.message);
+        process.exit(1);
+    }
+})();
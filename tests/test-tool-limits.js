@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool rate and concurrency limits
+ * Runs stub tools through a ToolRegistry to check rate limit rejections, refills, category
+ * scopes, per-browser serialization and queued cancellation, then a rate limited server
+ */
+
+const assert = require('assert');
+const ToolBase = require('../src/tools/base/ToolBase');
+const ToolRegistry = require('../src/tools/base/ToolRegistry');
+const { startServer } = require('./helpers/mcpClient');
+
+const RATE_LIMITED = -32029;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class PingTool extends ToolBase {
+    static definition = {
+        name: 'api_test_ping',
+        description: 'Answers immediately',
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute() {
+        return { pong: true };
+    }
+}
+
+class OtherPingTool extends PingTool {
+    static definition = { ...PingTool.definition, name: 'api_test_other_ping' };
+}
+
+// Records when calls start and end, so overlapping calls show up in the log
+const events = [];
+
+class PageTool extends ToolBase {
+    static definition = {
+        name: 'browser_test_page',
+        description: 'Works on a page for a while',
+        input_schema: {
+            type: 'object',
+            properties: { browserId: { type: 'string' }, label: { type: 'string' }, ms: { type: 'number' } }
+        }
+    };
+
+    async execute({ label, ms = 100 }, { signal }) {
+        events.push(`start ${label}`);
+        await this.sleep(ms, signal);
+        events.push(`end ${label}`);
+        return { label };
+    }
+}
+
+async function testRateLimits() {
+    console.log('Testing rate limits...');
+
+    const registry = new ToolRegistry();
+    const ping = new PingTool();
+    const otherPing = new OtherPingTool();
+    registry.registerTool(ping);
+    registry.registerTool(otherPing);
+
+    // Unlimited unless enabled
+    for (let i = 0; i < 5; i++) {
+        await registry.executeTool('api_test_ping', {});
+    }
+
+    ping.toolConfig.rateLimit = { enabled: true, maxRequests: 2, windowMs: 400 };
+    await registry.executeTool('api_test_ping', {});
+    await registry.executeTool('api_test_ping', {});
+    await assert.rejects(registry.executeTool('api_test_ping', {}), (error) => {
+        assert.strictEqual(error.code, RATE_LIMITED);
+        assert.strictEqual(error.data.rate_limited, true);
+        assert.strictEqual(error.data.scope, 'tool:api_test_ping');
+        assert.strictEqual(error.data.max_requests, 2);
+        assert.ok(error.data.retry_after_ms > 0 && error.data.retry_after_ms <= 200);
+        return true;
+    });
+
+    // Other tools have their own bucket, and tokens come back over the window
+    await registry.executeTool('api_test_other_ping', {});
+    await sleep(250);
+    await registry.executeTool('api_test_ping', {});
+
+    // A category scope is shared by the tools of the category
+    const shared = { enabled: true, maxRequests: 1, windowMs: 60000, scope: 'category' };
+    ping.toolConfig.rateLimit = shared;
+    otherPing.toolConfig.rateLimit = shared;
+    await registry.executeTool('api_test_ping', {});
+    await assert.rejects(registry.executeTool('api_test_other_ping', {}), (error) => {
+        assert.strictEqual(error.code, RATE_LIMITED);
+        assert.strictEqual(error.data.scope, 'category:api');
+        return true;
+    });
+
+    console.log('✅ Rate limit tests passed');
+}
+
+async function testConcurrency() {
+    console.log('Testing concurrency limits...');
+
+    const registry = new ToolRegistry();
+    registry.registerTool(new PageTool());
+    const run = (browserId, label, options) => registry.executeTool('browser_test_page', { browserId, label }, options);
+
+    // Calls on the same browser run one at a time; other browsers are not held up
+    events.length = 0;
+    await Promise.all([run('a', 'a1'), run('a', 'a2'), run('b', 'b1')]);
+    assert.ok(events.indexOf('end a1') < events.indexOf('start a2'), events.join(', '));
+    assert.ok(events.indexOf('start b1') < events.indexOf('end a1'), events.join(', '));
+
+    // A call cancelled while queued never starts and frees its place
+    events.length = 0;
+    const controller = new AbortController();
+    const first = run('c', 'c1');
+    const queued = run('c', 'c2', { signal: controller.signal });
+    await sleep(20);
+    controller.abort('stop');
+    await assert.rejects(queued, error => error.code === -32800 && error.data.cancelled === true);
+    await first;
+    assert.deepStrictEqual(events, ['start c1', 'end c1']);
+    assert.strictEqual(registry.limiter.browserLocks.size, 0);
+
+    // Browser tools share the global slots
+    registry.limiter.config = { get: key => (key === 'tools.browser.global.maxConcurrentOperations' ? 1 : undefined) };
+    events.length = 0;
+    await Promise.all([run('x', 'x1'), run('y', 'y1')]);
+    assert.deepStrictEqual(events, ['start x1', 'end x1', 'start y1', 'end y1']);
+
+    console.log('✅ Concurrency limit tests passed');
+}
+
+async function testServer() {
+    console.log('Testing rate limited tools/call...');
+
+    const server = startServer({
+        args: ['--set', 'tools.api.api_session_status.rateLimit={"enabled":true,"maxRequests":2,"windowMs":60000}']
+    });
+    try {
+        await server.initialize();
+
+        const call = () => server.request('tools/call', { name: 'api_session_status', arguments: { sessionId: 'missing' } });
+        assert.ok((await call()).result);
+        assert.ok((await call()).result);
+
+        const { error } = await call();
+        assert.strictEqual(error.code, RATE_LIMITED);
+        assert.strictEqual(error.data.tool_name, 'api_session_status');
+        assert.strictEqual(error.data.window_ms, 60000);
+
+        // Only the limited tool is refused
+        assert.ok((await server.request('tools/call', { name: 'server_info', arguments: {} })).result);
+
+        console.log('✅ Rate limited tools/call tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        await testRateLimits();
+        await testConcurrency();
+        await testServer();
+        console.log('\n🎉 All tool limit tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Tool limit test failed:', error.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool middleware
+ * Checks hook order, short-circuits, error recovery and invalid middleware on ToolMiddleware,
+ * then loads a middleware module into a server through middleware.modules
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolBase = require('../src/tools/base/ToolBase');
+const ToolMiddleware = require('../src/tools/base/ToolMiddleware');
+const ToolRegistry = require('../src/tools/base/ToolRegistry');
+const { startServer } = require('./helpers/mcpClient');
+
+const MIDDLEWARE_MODULE = `module.exports = ({ tag }) => ({
+    name: 'tagger',
+    before(context) {
+        if (context.toolName === 'server_info' && context.parameters.cached) {
+            return { content: [{ type: 'text', text: tag + ' from cache' }] };
+        }
+    },
+    after(context) {
+        return { ...context.result, _meta: { ...context.result._meta, tag, shortCircuited: context.shortCircuited } };
+    }
+});
+`;
+
+class EchoTool extends ToolBase {
+    static definition = {
+        name: 'api_test_echo',
+        description: 'Echoes its message',
+        input_schema: {
+            type: 'object',
+            properties: { message: { type: 'string' }, fail: { type: 'boolean' } },
+            additionalProperties: false
+        }
+    };
+
+    async execute({ message, fail }) {
+        if (fail) throw new Error('echo failed');
+        return { message };
+    }
+}
+
+/**
+ * Creates a middleware that records each hook call
+ * @param {string} name - Middleware name
+ * @param {Array<string>} calls - Receives "<name>.<hook>" entries
+ * @param {object} overrides - Hooks replacing the recording ones
+ * @returns {object} - Middleware
+ */
+function recorder(name, calls, overrides = {}) {
+    return {
+        name,
+        before: () => { calls.push(`${name}.before`); },
+        after: () => { calls.push(`${name}.after`); },
+        onError: () => { calls.push(`${name}.onError`); },
+        ...overrides
+    };
+}
+
+async function testPipeline() {
+    console.log('Testing the middleware pipeline...');
+
+    const calls = [];
+    const pipeline = new ToolMiddleware();
+    pipeline.use(recorder('outer', calls));
+    pipeline.use(recorder('inner', calls));
+    assert.deepStrictEqual(pipeline.getNames(), ['outer', 'inner']);
+
+    // before runs in registration order, after in reverse
+    let result = await pipeline.run({ toolName: 'tool', parameters: {} }, async () => {
+        calls.push('tool');
+        return 'done';
+    });
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(calls, ['outer.before', 'inner.before', 'tool', 'inner.after', 'outer.after']);
+
+    // Errors go to the onError hooks in reverse order; after hooks only run once there is a result
+    calls.length = 0;
+    await assert.rejects(pipeline.run({ toolName: 'tool', parameters: {} }, async () => {
+        throw new Error('boom');
+    }), /boom/);
+    assert.deepStrictEqual(calls, ['outer.before', 'inner.before', 'inner.onError', 'outer.onError']);
+
+    // A before hook that returns a value skips the tool and the later before hooks
+    calls.length = 0;
+    const caching = new ToolMiddleware();
+    caching.use(recorder('cache', calls, { before: () => 'cached' }));
+    caching.use(recorder('inner', calls));
+    result = await caching.run({ toolName: 'tool', parameters: {} }, async () => {
+        calls.push('tool');
+    });
+    assert.strictEqual(result, 'cached');
+    assert.deepStrictEqual(calls, ['inner.after', 'cache.after']);
+
+    // An onError hook that returns a value recovers; earlier ones are not asked
+    calls.length = 0;
+    const recovering = new ToolMiddleware();
+    recovering.use(recorder('outer', calls));
+    recovering.use(recorder('fallback', calls, { onError: context => `recovered from ${context.error.message}` }));
+    result = await recovering.run({ toolName: 'tool', parameters: {} }, async () => {
+        throw new Error('boom');
+    });
+    assert.strictEqual(result, 'recovered from boom');
+    assert.deepStrictEqual(calls, ['outer.before', 'fallback.before', 'fallback.after', 'outer.after']);
+
+    assert.throws(() => pipeline.use({ name: 'empty' }), /defines none of/);
+    assert.throws(() => pipeline.use({ before: 'not a function' }, 'broken.js'), /from broken.js: 'before' must be a function/);
+
+    console.log('✅ Middleware pipeline tests passed');
+}
+
+async function testRegistry() {
+    console.log('Testing middleware around tool calls...');
+
+    const registry = new ToolRegistry();
+    registry.registerTool(new EchoTool());
+
+    let seen = null;
+    registry.use({
+        name: 'rewrite',
+        before(context) {
+            context.parameters = { ...context.parameters, message: context.parameters.message.toUpperCase() };
+        }
+    });
+    registry.use({
+        name: 'observe',
+        after(context) {
+            seen = { parameters: context.parameters, duration: context.duration };
+        },
+        onError(context) {
+            seen = { error: context.error.code };
+        }
+    });
+
+    // The tool gets the parameters as rewritten by before hooks
+    const result = await registry.executeTool('api_test_echo', { message: 'hello' });
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), { message: 'HELLO' });
+    assert.deepStrictEqual(seen.parameters, { message: 'HELLO' });
+    assert.ok(seen.duration >= 0);
+
+    // onError sees the MCP error of a failed call
+    await assert.rejects(registry.executeTool('api_test_echo', { message: 'x', fail: true }), error => error.code === -32000);
+    assert.deepStrictEqual(seen, { error: -32000 });
+
+    console.log('✅ Tool call middleware tests passed');
+}
+
+async function testServer() {
+    console.log('Testing middleware.modules...');
+
+    const moduleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-middleware-'));
+    const modulePath = path.join(moduleDir, 'tagger.js');
+    fs.writeFileSync(modulePath, MIDDLEWARE_MODULE);
+
+    const modules = [{ module: modulePath, options: { tag: 'audit' } }];
+    const server = startServer({ args: ['--set', `middleware.modules=${JSON.stringify(modules)}`] });
+    try {
+        await server.initialize();
+
+        let response = await server.request('tools/call', { name: 'server_info', arguments: {} });
+        assert.deepStrictEqual(response.result._meta, { tag: 'audit', shortCircuited: false });
+
+        response = await server.request('tools/call', { name: 'server_info', arguments: { cached: true } });
+        assert.strictEqual(response.result.content[0].text, 'audit from cache');
+        assert.deepStrictEqual(response.result._meta, { tag: 'audit', shortCircuited: true });
+
+        console.log('✅ middleware.modules tests passed');
+    } finally {
+        await server.close();
+        fs.rmSync(moduleDir, { recursive: true, force: true });
+    }
+}
+
+(async () => {
+    try {
+        await testPipeline();
+        await testRegistry();
+        await testServer();
+        console.log('\n🎉 All tool middleware tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Tool middleware test failed:', error.message);
+        process.exit(1);
+    }
+})();
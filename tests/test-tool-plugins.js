@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool plugins
+ * Loads plugins from a temporary project (a directory of tool files, a manifest and an npm
+ * package) to check namespacing, categories and feature flags, then serves them from a server
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolPluginLoader = require('../src/tools/base/ToolPluginLoader');
+const { startServer } = require('./helpers/mcpClient');
+
+const TOOL_BASE_PATH = path.join(__dirname, '..', 'src', 'tools', 'base', 'ToolBase.js');
+
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-plugins-'));
+
+/**
+ * Source of a tool class expression
+ * @param {string} name - Tool name as the plugin defines it
+ * @param {string} baseClass - Expression for ToolBase
+ * @returns {string} - Class source
+ */
+function toolClass(name, baseClass) {
+    return `class extends ${baseClass} {
+    static definition = {
+        name: ${JSON.stringify(name)},
+        description: 'Plugin tool ${name}',
+        input_schema: { type: 'object', properties: {} }
+    };
+
+    async execute() {
+        return { tool: ${JSON.stringify(name)}, category: this._getToolCategory(this.constructor.definition.name) };
+    }
+}`;
+}
+
+function writeFile(relativePath, content) {
+    const filePath = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+function setUp() {
+    // A directory of tool files, named after the directory
+    writeFile('plugins/acme-tools/lookup.js', `const ToolBase = require(${JSON.stringify(TOOL_BASE_PATH)});
+module.exports = ${toolClass('lookup', 'ToolBase')};
+`);
+    writeFile('plugins/acme-tools/nested/acme_tools_report.js', `const ToolBase = require(${JSON.stringify(TOOL_BASE_PATH)});
+module.exports = ${toolClass('acme_tools_report', 'ToolBase')};
+`);
+
+    // A manifest built from the server's ToolBase, with its own category and feature flag
+    writeFile('plugins/checks/index.js', `module.exports = ({ ToolBase }) => ({
+    name: 'qa-checks',
+    namespace: 'qa',
+    category: 'qa',
+    featureFlag: 'enableQaChecks',
+    tools: [${toolClass('ping', 'ToolBase')}, ${toolClass('server_info', 'ToolBase')}]
+});
+`);
+
+    // An npm package in the project's node_modules
+    writeFile('node_modules/@acme/auth-tools/package.json', JSON.stringify({ name: '@acme/auth-tools', main: 'main.js' }));
+    writeFile('node_modules/@acme/auth-tools/main.js', `const ToolBase = require(${JSON.stringify(TOOL_BASE_PATH)});
+module.exports = { Login: ${toolClass('login', 'ToolBase')}, helper: () => {} };
+`);
+}
+
+function toolNames(plugin) {
+    return plugin.tools.map(ToolClass => ToolClass.definition.name).sort();
+}
+
+function testLoader() {
+    console.log('Testing ToolPluginLoader...');
+
+    const loader = new ToolPluginLoader({ baseDir: projectDir });
+    const plugins = loader.loadAll({
+        directories: ['plugins/acme-tools', 'plugins/checks', 'plugins/missing'],
+        packages: ['@acme/auth-tools', { package: '@acme/auth-tools', namespace: '' }]
+    });
+
+    // The missing directory is skipped
+    assert.deepStrictEqual(plugins.map(plugin => plugin.name), ['acme-tools', 'qa-checks', '@acme/auth-tools', '@acme/auth-tools']);
+    const [directory, manifest, pkg, unprefixed] = plugins;
+
+    // Names get the namespace once; sanitized from the directory or package name by default
+    assert.strictEqual(directory.namespace, 'acme_tools');
+    assert.deepStrictEqual(toolNames(directory), ['acme_tools_lookup', 'acme_tools_report']);
+    assert.deepStrictEqual(toolNames(manifest), ['qa_ping', 'qa_server_info']);
+    assert.deepStrictEqual(toolNames(pkg), ['acme_auth_tools_login']);
+    assert.deepStrictEqual(toolNames(unprefixed), ['login']);
+
+    // Manifest metadata is carried by the wrapped classes; the plugin's own class keeps its name
+    const [Ping] = manifest.tools;
+    assert.strictEqual(Ping.category, 'qa');
+    assert.strictEqual(Ping.featureFlag, 'enableQaChecks');
+    assert.strictEqual(Ping.plugin, 'qa-checks');
+    assert.strictEqual(Object.getPrototypeOf(Ping).definition.name, 'ping');
+
+    assert.throws(() => loader._readManifest(42, 'broken'), /broken does not export any tools/);
+
+    console.log('✅ ToolPluginLoader tests passed');
+}
+
+async function testServer() {
+    console.log('Testing plugin tools in a server...');
+
+    const pluginArgs = [
+        '--set', 'plugins.directories=["plugins/acme-tools",{"path":"plugins/checks","namespace":""}]',
+        '--set', 'plugins.packages=["@acme/auth-tools"]'
+    ];
+
+    // Tools without a category of their own fall under 'other', which the default environment disables
+    let server = startServer({ args: [...pluginArgs, '--set', 'features.enableOtherTools=true'], cwd: projectDir });
+    try {
+        await server.initialize();
+
+        const { result } = await server.request('tools/list');
+        const names = result.tools.map(tool => tool.name);
+        for (const name of ['acme_tools_lookup', 'acme_tools_report', 'ping', 'acme_auth_tools_login']) {
+            assert.ok(names.includes(name), `${name} should be listed`);
+        }
+        // A plugin tool cannot replace a bundled tool of the same name
+        assert.strictEqual(names.filter(name => name === 'server_info').length, 1);
+        assert.strictEqual(result.tools.find(tool => tool.name === 'server_info').description.includes('Plugin tool'), false);
+
+        let response = await server.request('tools/call', { name: 'ping', arguments: {} });
+        assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { tool: 'ping', category: 'qa' });
+        response = await server.request('tools/call', { name: 'acme_auth_tools_login', arguments: {} });
+        assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { tool: 'login', category: 'other' });
+    } finally {
+        await server.close();
+    }
+
+    server = startServer({ args: pluginArgs, cwd: projectDir });
+    try {
+        await server.initialize();
+        const { result } = await server.request('tools/list');
+        const names = result.tools.map(tool => tool.name);
+        assert.ok(names.includes('ping'), 'a plugin category is enabled unless its flag is turned off');
+        assert.ok(!names.includes('acme_tools_lookup'));
+    } finally {
+        await server.close();
+    }
+
+    server = startServer({ args: [...pluginArgs, '--set', 'features.enableQaChecks=false'], cwd: projectDir });
+    try {
+        await server.initialize();
+        const { result } = await server.request('tools/list');
+        assert.ok(!result.tools.some(tool => tool.name === 'ping'));
+
+        console.log('✅ Plugin server tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        setUp();
+        testLoader();
+        await testServer();
+        console.log('\n🎉 All tool plugin tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ Tool plugin test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+        process.exit();
+    }
+})();
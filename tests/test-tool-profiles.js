@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool profiles
+ * Checks glob matching and argument constraints on ToolProfile directly, then runs a server
+ * with --profile read-only and checks the tools it lists and the calls it rejects
+ */
+
+const assert = require('assert');
+const ToolProfile = require('../src/tools/base/ToolProfile');
+const { startServer } = require('./helpers/mcpClient');
+
+// Everything the read-only profile may offer; a tool added to the server must not show up here
+const READ_ONLY_TOOLS = [
+    'api_request',
+    'api_session_status',
+    'browser_dom',
+    'browser_network',
+    'browser_screenshot',
+    'browser_tabs',
+    'browser_wait',
+    'server_info'
+];
+
+function testProfile() {
+    console.log('Testing ToolProfile...');
+
+    const profile = new ToolProfile('smoke', {
+        include: ['api_*', 'browser_screen?hot'],
+        exclude: ['api_session_report'],
+        arguments: {
+            api_request: { method: ['GET'], chain: false },
+            'browser_*': { fullPage: { type: 'boolean', const: false } }
+        }
+    });
+
+    assert.strictEqual(profile.allows('api_request'), true);
+    assert.strictEqual(profile.allows('browser_screenshot'), true);
+    assert.strictEqual(profile.allows('api_session_report'), false);
+    assert.strictEqual(profile.allows('browser_evaluate'), false);
+
+    assert.deepStrictEqual(profile.checkArguments('api_request', { method: 'GET', url: 'https://example.com' }), []);
+    assert.deepStrictEqual(profile.checkArguments('api_request', { method: 'POST', chain: [] }), [
+        'method must be one of: "GET"',
+        'chain is not allowed'
+    ]);
+    assert.strictEqual(profile.checkArguments('browser_screenshot', { fullPage: true }).length, 1);
+
+    // Listed schemas are narrowed; forbidden arguments disappear
+    const definition = profile.adaptDefinition({
+        name: 'api_request',
+        input_schema: { type: 'object', properties: { method: { type: 'string' }, chain: { type: 'array' } } }
+    });
+    assert.deepStrictEqual(definition.input_schema.properties, { method: { type: 'string', enum: ['GET'] } });
+
+    assert.throws(() => new ToolProfile('broken', { arguments: { api_request: { method: 'GET' } } }), /Profile 'broken'/);
+
+    console.log('✅ ToolProfile tests passed');
+}
+
+async function testReadOnlyServer() {
+    console.log('Testing the read-only profile...');
+
+    const server = startServer({ args: ['--enable-all', '--profile', 'read-only'] });
+    try {
+        await server.initialize();
+
+        const { result } = await server.request('tools/list');
+        const names = result.tools.map(tool => tool.name).sort();
+        assert.deepStrictEqual(names, READ_ONLY_TOOLS);
+
+        const dom = result.tools.find(tool => tool.name === 'browser_dom');
+        assert.deepStrictEqual(dom.inputSchema.properties.action.enum, ['get']);
+
+        // Tools outside the allowlist are rejected, not just hidden
+        for (const name of ['browser_evaluate', 'browser_launch', 'browser_connect', 'api_session_report', 'workflow_run']) {
+            const response = await server.request('tools/call', { name, arguments: {} });
+            assert.strictEqual(response.error.code, -32601, `${name} should be rejected`);
+        }
+
+        let response = await server.request('tools/call', {
+            name: 'browser_dom',
+            arguments: { browserId: 'none', action: 'click', selector: 'button' }
+        });
+        assert.strictEqual(response.error.code, -32602);
+        assert.deepStrictEqual(response.error.data.violations, ['action must be one of: "get"']);
+
+        response = await server.request('tools/call', {
+            name: 'api_request',
+            arguments: { url: 'http://127.0.0.1:1/', method: 'DELETE' }
+        });
+        assert.strictEqual(response.error.code, -32602);
+
+        console.log('✅ Read-only profile tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        testProfile();
+        await testReadOnlyServer();
+        console.log('\n🎉 All tool profile tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Tool profile test failed:', error.message);
+        process.exit(1);
+    }
+})();
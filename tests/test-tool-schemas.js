@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Tests tool input and output schemas
+ * Checks the draft-07 validator's error paths, input validation levels and output_schema checks
+ * on ToolBase, then the errors and structuredContent a server returns for tools/call
+ */
+
+const assert = require('assert');
+const ToolBase = require('../src/tools/base/ToolBase');
+const { validateSchema } = require('../src/utils/schemaValidator');
+const { startServer } = require('./helpers/mcpClient');
+
+const INPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        options: {
+            type: 'object',
+            properties: { clip: { type: 'object', properties: { width: { type: 'number', minimum: 1 } } } }
+        },
+        chain: { type: 'array', items: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } },
+        method: { enum: ['GET', 'POST'] },
+        target: { anyOf: [{ required: ['selector'] }, { required: ['x', 'y'] }] },
+        retries: { $ref: '#/definitions/count' }
+    },
+    required: ['url'],
+    additionalProperties: false,
+    definitions: { count: { type: 'integer', minimum: 0 } }
+};
+
+class EchoTool extends ToolBase {
+    static definition = {
+        name: 'test_echo',
+        description: 'Returns its output parameter',
+        input_schema: {
+            type: 'object',
+            properties: { output: { type: 'object' } },
+            required: ['output'],
+            additionalProperties: false
+        },
+        output_schema: {
+            type: 'object',
+            properties: { status: { type: 'string', enum: ['ok', 'failed'] }, count: { type: 'integer' } },
+            required: ['status']
+        }
+    };
+
+    async execute({ output }) {
+        return output;
+    }
+}
+
+function testValidator() {
+    console.log('Testing the schema validator...');
+
+    const errors = validateSchema({
+        options: { clip: { width: '1' } },
+        chain: [{}],
+        method: 'PUT',
+        extra: true,
+        target: {},
+        retries: 1.5
+    }, INPUT_SCHEMA, { rootName: 'parameters' });
+
+    // Errors name the exact path of the bad value
+    assert.deepStrictEqual(errors, [
+        'url is required',
+        'options.clip.width must be number',
+        'chain[0].url is required',
+        'method must be one of: "GET", "POST"',
+        'extra is not allowed',
+        'target must match at least one of: (target.selector is required) or (target.x is required; target.y is required)',
+        'retries must be integer'
+    ]);
+
+    assert.deepStrictEqual(validateSchema({ url: 'x', extra: true }, INPUT_SCHEMA, { ignoreAdditionalProperties: true }), []);
+    assert.deepStrictEqual(validateSchema('x', INPUT_SCHEMA, { rootName: 'parameters' }), ['parameters must be object']);
+    assert.deepStrictEqual(validateSchema({ url: null }, INPUT_SCHEMA, { nullAsAbsent: true }), ['url is required']);
+
+    console.log('✅ Schema validator tests passed');
+}
+
+async function testToolValidation() {
+    console.log('Testing ToolBase validation...');
+
+    const tool = new EchoTool();
+
+    // strict rejects unknown parameters, loose lets them through, none skips validation
+    await assert.rejects(tool.run({ output: { status: 'ok' }, extra: 1 }), (error) => {
+        assert.strictEqual(error.code, -32602);
+        assert.deepStrictEqual(error.data.validation_errors, ['extra is not allowed']);
+        return true;
+    });
+    tool.toolConfig.validationLevel = 'loose';
+    await tool.run({ output: { status: 'ok' }, extra: 1 });
+    await assert.rejects(tool.run({}), error => error.code === -32602);
+    tool.toolConfig.validationLevel = 'none';
+    await tool.run({ output: 'not an object' });
+    tool.toolConfig.validationLevel = 'strict';
+
+    // Objects become structuredContent; output is only checked when enableOutputValidation is set
+    let result = await tool.run({ output: { status: 'done' } });
+    assert.deepStrictEqual(result.structuredContent, { status: 'done' });
+
+    tool.toolConfig.enableOutputValidation = true;
+    result = await tool.run({ output: { status: 'ok', count: 2 } });
+    assert.deepStrictEqual(result.structuredContent, { status: 'ok', count: 2 });
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), { status: 'ok', count: 2 });
+
+    await assert.rejects(tool.run({ output: { status: 'done', count: 1.5 } }), (error) => {
+        assert.strictEqual(error.code, -32603);
+        assert.deepStrictEqual(error.data.validation_errors, [
+            'status must be one of: "ok", "failed"',
+            'count must be integer'
+        ]);
+        return true;
+    });
+
+    // structuredContent of a content result is checked the same way
+    await assert.rejects(tool.run({
+        output: { content: [{ type: 'text', text: 'done' }], structuredContent: { count: 1 } }
+    }), error => error.code === -32603);
+
+    console.log('✅ ToolBase validation tests passed');
+}
+
+async function testServer() {
+    console.log('Testing tools/call validation...');
+
+    const server = startServer({ args: ['--set', 'tools.default.enableOutputValidation=true'] });
+    try {
+        await server.initialize();
+
+        let response = await server.request('tools/call', {
+            name: 'api_request',
+            arguments: { url: 'http://127.0.0.1:1/', method: 'FETCH', chain: [{ name: 'step' }], bogus: 1 }
+        });
+        assert.strictEqual(response.error.code, -32602);
+        assert.ok(response.error.data.validation_errors.includes('bogus is not allowed'));
+        assert.ok(response.error.data.validation_errors.includes('chain[0].url is required'));
+        assert.ok(response.error.data.validation_errors.some(error => error.startsWith('method must be one of:')));
+
+        // The structuredContent of tools with an outputSchema matches the listed schema
+        const { result } = await server.request('tools/list');
+        const calls = { server_info: {}, api_session_status: { sessionId: 'missing' } };
+        for (const [name, args] of Object.entries(calls)) {
+            const { outputSchema } = result.tools.find(tool => tool.name === name);
+            assert.ok(outputSchema, `${name} should list an outputSchema`);
+
+            response = await server.request('tools/call', { name, arguments: args });
+            assert.ok(response.result, `${name} should pass output validation`);
+            const { structuredContent } = response.result;
+            assert.ok(structuredContent, `${name} should return structuredContent`);
+            assert.deepStrictEqual(validateSchema(structuredContent, outputSchema, { nullAsAbsent: true }), []);
+        }
+
+        console.log('✅ tools/call validation tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    try {
+        testValidator();
+        await testToolValidation();
+        await testServer();
+        console.log('\n🎉 All tool schema tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Tool schema test failed:', error.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Tests workflow_run
+ * Runs workflows of api_request steps against a local server to check templating between steps,
+ * error handling, workflow files and that the active profile applies to every step
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/mcpClient');
+
+const WORKFLOW_FILE = `name: create-user
+inputs:
+  name: Grace
+steps:
+  - id: create
+    tool: api_request
+    arguments:
+      url: "{{inputs.base}}/users"
+      method: POST
+      data:
+        name: "{{inputs.name}}"
+  - tool: api_request
+    arguments:
+      url: "{{inputs.base}}/users/{{create.body.id}}"
+`;
+
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-workflows-'));
+
+// Requests the local API received, as "METHOD path body"
+const received = [];
+
+const upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        received.push(`${req.method} ${decodeURI(req.url)}${body ? ` ${body}` : ''}`);
+        res.setHeader('content-type', 'application/json');
+        res.statusCode = req.method === 'POST' ? 201 : 200;
+        res.end(JSON.stringify({ id: 42, tags: ['a', 'b'] }));
+    });
+});
+
+function callWorkflow(server, args) {
+    return server.request('tools/call', { name: 'workflow_run', arguments: args });
+}
+
+async function testTemplating(server, base) {
+    console.log('Testing templates between steps...');
+
+    received.length = 0;
+    const response = await callWorkflow(server, {
+        inputs: { base, name: 'Ada' },
+        steps: [
+            { id: 'create', tool: 'api_request', arguments: { url: '{{inputs.base}}/users', method: 'POST', data: { name: '{{inputs.name}}' } } },
+            {
+                id: 'fetch',
+                tool: 'api_request',
+                arguments: {
+                    url: '{{inputs.base}}/users/{{create.body.id}}?tags={{create.body.tags}}&first={{steps[0].body.tags[0]}}',
+                    // A whole-string template keeps the value's type, so this stays a number
+                    expect: { status: '{{steps[0].status}}' }
+                },
+                continueOnError: true
+            },
+            { tool: 'api_request', arguments: { url: '{{inputs.base}}/users/{{fetch.status}}' } }
+        ]
+    });
+
+    assert.deepStrictEqual(received, [
+        'POST /users {"name":"Ada"}',
+        'GET /users/42?tags=["a","b"]&first=a',
+        'GET /users/200'
+    ]);
+
+    // The expectation was 201 but the GET answered 200, so that step failed and the run went on
+    const { structuredContent } = response.result;
+    assert.strictEqual(response.result.isError, true);
+    assert.deepStrictEqual(structuredContent.steps.map(step => step.status), ['success', 'failed', 'success']);
+    assert.strictEqual(structuredContent.steps[1].output.validation.status, false);
+    assert.strictEqual(structuredContent.summary.total, 3);
+    assert.ok(response.result.content[0].text.includes('| 2 | fetch | api_request | failed |'));
+
+    console.log('✅ Template tests passed');
+}
+
+async function testErrors(server, base) {
+    console.log('Testing failing and invalid workflows...');
+
+    // A reference that does not resolve fails its step; by default the rest are skipped
+    received.length = 0;
+    let response = await callWorkflow(server, {
+        inputs: { base },
+        steps: [
+            { tool: 'api_request', arguments: { url: '{{inputs.base}}/users/{{missing.id}}' } },
+            { tool: 'api_request', arguments: { url: '{{inputs.base}}/never' } }
+        ]
+    });
+    let { structuredContent } = response.result;
+    assert.deepStrictEqual(structuredContent.steps.map(step => step.status), ['failed', 'skipped']);
+    assert.strictEqual(structuredContent.steps[0].error, "Template {{missing.id}} does not resolve: 'missing' not found");
+    assert.deepStrictEqual(received, []);
+
+    response = await callWorkflow(server, {
+        inputs: { base },
+        onError: 'continue',
+        steps: [
+            { tool: 'api_request', arguments: { url: '{{inputs.nope}}' } },
+            { tool: 'api_request', arguments: { url: '{{inputs.base}}/after' } }
+        ]
+    });
+    ({ structuredContent } = response.result);
+    assert.deepStrictEqual(structuredContent.steps.map(step => step.status), ['failed', 'success']);
+    assert.deepStrictEqual(received, ['GET /after']);
+
+    // Steps are checked before any of them runs
+    received.length = 0;
+    response = await callWorkflow(server, {
+        steps: [
+            { id: 'inputs', tool: 'api_request', arguments: { url: `${base}/first` } },
+            { tool: 'browser_launch' },
+            { tool: 'workflow_run', arguments: {} }
+        ]
+    });
+    assert.strictEqual(response.error.code, -32000);
+    assert.ok(response.error.message.includes('steps[0].id must be a name'));
+    assert.ok(response.error.message.includes("steps[1]: tool 'browser_launch' is not available"));
+    assert.ok(response.error.message.includes('steps[2]: workflows cannot run workflow_run'));
+    assert.deepStrictEqual(received, []);
+
+    console.log('✅ Workflow error tests passed');
+}
+
+async function testWorkflowFile(server, base) {
+    console.log('Testing workflow files...');
+
+    received.length = 0;
+    const response = await callWorkflow(server, { workflow: 'create-user', inputs: { base } });
+    const { structuredContent } = response.result;
+    assert.strictEqual(structuredContent.success, true);
+    assert.strictEqual(structuredContent.workflow, 'create-user');
+    // Defaults from the file apply unless the call overrides them
+    assert.deepStrictEqual(received, ['POST /users {"name":"Grace"}', 'GET /users/42']);
+
+    const outside = await callWorkflow(server, { workflow: '../elsewhere.yaml' });
+    assert.ok(outside.error.message.includes('must be inside the project'));
+
+    console.log('✅ Workflow file tests passed');
+}
+
+async function testProfile(base) {
+    console.log('Testing profiles on workflow steps...');
+
+    const profile = { include: ['workflow_run', 'api_request'], arguments: { api_request: { method: ['GET'] } } };
+    const server = startServer({ args: ['--set', `profiles.get-only=${JSON.stringify(profile)}`, '--profile', 'get-only'] });
+    try {
+        await server.initialize();
+
+        // A workflow cannot reach tools or arguments the profile withholds from direct calls
+        received.length = 0;
+        let response = await callWorkflow(server, {
+            steps: [
+                { tool: 'api_request', arguments: { url: `${base}/users` } },
+                { tool: 'api_request', arguments: { url: `${base}/users`, method: 'DELETE' } }
+            ]
+        });
+        const { steps } = response.result.structuredContent;
+        assert.deepStrictEqual(steps.map(step => step.status), ['success', 'failed']);
+        assert.strictEqual(steps[1].error, 'Arguments not allowed by profile \'get-only\': method must be one of: "GET"');
+        assert.deepStrictEqual(received, ['GET /users']);
+
+        response = await callWorkflow(server, { steps: [{ tool: 'server_info' }] });
+        assert.ok(response.error.message.includes("tool 'server_info' is not available"));
+
+        console.log('✅ Workflow profile tests passed');
+    } finally {
+        await server.close();
+    }
+}
+
+(async () => {
+    let server;
+    try {
+        fs.mkdirSync(path.join(projectDir, 'workflows'));
+        fs.writeFileSync(path.join(projectDir, 'workflows', 'create-user.yaml'), WORKFLOW_FILE);
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${upstream.address().port}`;
+
+        server = startServer({ cwd: projectDir });
+        await server.initialize();
+        await testTemplating(server, base);
+        await testErrors(server, base);
+        await testWorkflowFile(server, base);
+        await testProfile(base);
+
+        console.log('\n🎉 All workflow tests passed!');
+        process.exitCode = 0;
+    } catch (error) {
+        console.error('❌ Workflow test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (server) await server.close();
+        upstream.close();
+        fs.rmSync(projectDir, { recursive: true, force: true });
+        process.exit();
+    }
+})();